@@ -29,34 +29,62 @@ return [
 
     /*
     |--------------------------------------------------------------------------
-    | Chart Packages
+    | Loader
     |--------------------------------------------------------------------------
     |
-    | The Google Charts packages to load. By default, all packages are loaded
-    | so any chart type works out of the box. For better performance, you can
-    | limit this to only the packages you actually use.
+    | Where the Google Charts loader script is fetched from. For air-gapped
+    | or CSP-restricted deployments, run `php artisan google-charts-flux:vendor`
+    | to copy the loader and a pinned version's files into public/, then point
+    | 'url' at the local copy. 'fallback_url' is tried when 'url' fails, e.g.
+    | the CDN as a fallback for a local copy, or the other way around.
     |
-    | Available packages: corechart, geochart, gauge, sankey, table, treemap,
-    | orgchart, timeline, calendar, wordtree, annotationchart, gantt, map
+    | Each URL is attempted 1 + 'retries' times. 'timeout' (milliseconds)
+    | bounds both fetching the script and google.charts.load() finishing, so
+    | a blocked or stalled load shows an error instead of a spinner forever.
     |
     */
 
-    'packages' => [
-        'corechart',
-        'geochart',
-        'gauge',
-        'sankey',
-        'table',
-        'treemap',
-        'orgchart',
-        'timeline',
-        'calendar',
-        'wordtree',
-        'annotationchart',
-        'gantt',
-        'map',
+    'loader' => [
+        'url' => env('GOOGLE_CHARTS_LOADER_URL', 'https://www.gstatic.com/charts/loader.js'),
+        'fallback_url' => env('GOOGLE_CHARTS_LOADER_FALLBACK_URL'),
+        'timeout' => env('GOOGLE_CHARTS_LOADER_TIMEOUT', 15000),
+        'retries' => env('GOOGLE_CHARTS_LOADER_RETRIES', 1),
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Language
+    |--------------------------------------------------------------------------
+    |
+    | The locale Google Charts uses for number and date formatters, axis
+    | labels and month/day names (e.g. 'de', 'fr', 'pt-BR'). When null,
+    | the application locale is used.
+    |
+    */
+
+    'language' => env('GOOGLE_CHARTS_LANGUAGE'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Extra Chart Packages
+    |--------------------------------------------------------------------------
+    |
+    | Packages are detected automatically: the first chart to initialize
+    | loads the packages needed by every chart and dashboard on the page in
+    | a single google.charts.load() call (Google allows only one per page).
+    |
+    | List packages here that should always be loaded as well, e.g. for
+    | chart types that only appear later through wire:navigate or Livewire
+    | updates without a full page load.
+    |
+    | Available packages: corechart, geochart, gauge, sankey, table, treemap,
+    | orgchart, timeline, calendar, wordtree, annotationchart, gantt, map,
+    | controls (required by <x-google-chart.dashboard>)
+    |
+    */
+
+    'packages' => [],
+
     /*
     |--------------------------------------------------------------------------
     | Default Chart Options
@@ -142,6 +170,80 @@ return [
         ],
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Responsive Breakpoints
+    |--------------------------------------------------------------------------
+    |
+    | Container widths (in pixels) for breakpoint-keyed options, given with
+    | <x-google-chart.options breakpoint="sm"> or the chart's `responsive`
+    | prop. A breakpoint's options apply while the chart's container is at
+    | most that wide; narrower breakpoints are merged over wider ones.
+    | Widths are measured on the chart element, not the viewport, so a chart
+    | in a narrow card uses its narrow options on any screen.
+    |
+    */
+
+    'breakpoints' => [
+        'xs' => 360,
+        'sm' => 640,
+        'md' => 768,
+        'lg' => 1024,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Themes
+    |--------------------------------------------------------------------------
+    |
+    | Named themes with a light variant (merged over 'defaults', under
+    | per-chart options) and a dark variant (merged over 'dark' when dark
+    | mode is active). Select one per chart with the `theme` prop, or for
+    | every chart with 'theme'.
+    |
+    | Any option value may use CSS variables such as 'var(--color-accent)'
+    | or 'var(--color-accent, #3b82f6)'. They are resolved from the chart's
+    | computed styles at draw time, and charts redraw when they change.
+    |
+    */
+
+    'theme' => env('GOOGLE_CHARTS_THEME'),
+
+    'themes' => [
+        // Follows the Flux accent color and Tailwind palette variables
+        'flux' => [
+            'light' => [
+                'colors' => [
+                    'var(--color-accent, #3b82f6)',
+                    'var(--color-sky-500, #0ea5e9)',
+                    'var(--color-amber-500, #f59e0b)',
+                    'var(--color-emerald-500, #10b981)',
+                    'var(--color-rose-500, #f43f5e)',
+                    'var(--color-violet-500, #8b5cf6)',
+                ],
+            ],
+            'dark' => [],
+        ],
+
+        // Okabe-Ito colorblind-safe palette with maximum text contrast
+        'high-contrast' => [
+            'light' => [
+                'colors' => ['#000000', '#e69f00', '#0072b2', '#d55e00', '#009e73', '#cc79a7', '#56b4e9', '#f0e442'],
+                'legend' => ['textStyle' => ['color' => '#000000']],
+                'titleTextStyle' => ['color' => '#000000'],
+                'hAxis' => ['textStyle' => ['color' => '#000000'], 'gridlines' => ['color' => '#737373']],
+                'vAxis' => ['textStyle' => ['color' => '#000000'], 'gridlines' => ['color' => '#737373']],
+            ],
+            'dark' => [
+                'colors' => ['#ffffff', '#f0e442', '#56b4e9', '#e69f00', '#009e73', '#cc79a7', '#d55e00', '#0072b2'],
+                'legend' => ['textStyle' => ['color' => '#ffffff']],
+                'titleTextStyle' => ['color' => '#ffffff'],
+                'hAxis' => ['textStyle' => ['color' => '#ffffff'], 'gridlines' => ['color' => '#a3a3a3']],
+                'vAxis' => ['textStyle' => ['color' => '#ffffff'], 'gridlines' => ['color' => '#a3a3a3']],
+            ],
+        ],
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Loading Placeholder
@@ -155,6 +257,34 @@ return [
 
     'loading' => 'skeleton',
 
+    /*
+    |--------------------------------------------------------------------------
+    | Empty State Message
+    |--------------------------------------------------------------------------
+    |
+    | Shown in place of a chart with nothing to draw (no rows, or only null
+    | values), unless the chart has an <x-google-chart.empty> slot.
+    |
+    */
+
+    'empty_message' => 'No data to display',
+
+    /*
+    |--------------------------------------------------------------------------
+    | Lazy Rendering
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, charts wait until they come within 'lazy_margin' of the
+    | viewport before loading Google Charts, building data and drawing, and
+    | hold redraws while scrolled off-screen. Useful on pages with many
+    | charts. Can be overridden per chart with the `lazy` prop.
+    |
+    */
+
+    'lazy' => env('GOOGLE_CHARTS_LAZY', false),
+
+    'lazy_margin' => '200px',
+
     /*
     |--------------------------------------------------------------------------
     | Auto-Inject Assets
@@ -7,76 +7,219 @@
 (function () {
     'use strict';
 
+    // wire:navigate re-runs body scripts on every visit. The loader state
+    // and Alpine registrations must survive navigation, so run only once.
+    if (window.GoogleChartsFlux) return;
+
     // =========================================================================
     // Google Charts Loader Manager (singleton)
     // =========================================================================
 
+    /**
+     * Google's hosted loader, used when no loader URLs are configured.
+     */
+    const DEFAULT_LOADER_URL = 'https://www.gstatic.com/charts/loader.js';
+
     const GoogleChartsLoader = {
         _promise: null,
-        _scriptLoaded: false,
+        _packages: new Set(),
 
         /**
          * Load the Google Charts library and requested packages.
          * Returns a promise that resolves when charts are ready to use.
          *
-         * @param {Object} config - { version, packages, apiKey, language }
+         * Google allows a single google.charts.load() call per page, so the
+         * first call loads the packages of every chart on the page at once
+         * (see collectPackages()). Each caller's promise rejects with a clear
+         * error if a package it requires was not part of that load.
+         *
+         * A failed load is forgotten so a later call (e.g. a chart's retry())
+         * can try again.
+         *
+         * @param {Object} config - { version, packages, requires, apiKey, language, loaderUrls, timeout, retries }
          * @returns {Promise<void>}
          */
         load(config) {
-            if (this._promise) {
-                return this._promise;
+            if (!this._promise) {
+                this._promise = this.loadLibrary(config).catch((e) => {
+                    this._promise = null;
+                    throw e;
+                });
             }
 
-            this._promise = new Promise((resolve, reject) => {
-                const onScriptReady = () => {
-                    const loadOptions = {
-                        packages: config.packages || ['corechart'],
-                    };
+            return this._promise.then(() => this.assertPackages(config.requires));
+        },
 
-                    if (config.apiKey) {
-                        loadOptions.mapsApiKey = config.apiKey;
-                    }
+        /**
+         * Collect the packages to load: those required by every chart and
+         * dashboard on the page (rendered as data-gcf-package attributes from
+         * ChartType::package()), the caller's requirements, and any extra
+         * packages listed in config.
+         *
+         * @param {Object} config - { packages, requires }
+         * @returns {string[]}
+         */
+        collectPackages(config) {
+            const packages = new Set([...(config.packages || []), ...(config.requires || [])]);
+            document.querySelectorAll('[data-gcf-package]').forEach(el => {
+                packages.add(el.dataset.gcfPackage);
+            });
+            if (packages.size === 0) {
+                packages.add('corechart');
+            }
+            return [...packages];
+        },
 
-                    if (config.language) {
-                        loadOptions.language = config.language;
-                    }
+        /**
+         * Throw if any required package was not part of the page's load.
+         *
+         * @param {string[]} [required]
+         */
+        assertPackages(required) {
+            if (!this._packages) return;
+            const missing = (required || []).filter(p => !this._packages.has(p));
+            if (missing.length > 0) {
+                throw new Error(
+                    `This chart needs the Google Charts package(s) "${missing.join('", "')}", but the page already loaded `
+                    + `[${[...this._packages].join(', ')}] and Google allows only one load per page. `
+                    + 'Add the package(s) to the google-charts-flux "packages" config, or render the chart with the initial page.'
+                );
+            }
+        },
+
+        /**
+         * Inject the loader script and call google.charts.load(), trying
+         * each configured loader URL in turn (e.g. a self-hosted copy, then
+         * the CDN) with config.retries extra attempts per URL. Every step is
+         * bounded by config.timeout so a stalled load fails visibly instead
+         * of leaving charts on their placeholder forever.
+         *
+         * @param {Object} config - { version, packages, requires, apiKey, language, loaderUrls, timeout, retries }
+         * @returns {Promise<void>}
+         */
+        async loadLibrary(config) {
+            const packages = this.collectPackages(config);
+            this._packages = new Set(packages);
+
+            const urls = config.loaderUrls && config.loaderUrls.length > 0
+                ? config.loaderUrls
+                : [DEFAULT_LOADER_URL];
+            const timeout = config.timeout || 15000;
+            const retries = config.retries ?? 1;
+
+            // The library was already loaded by another script: reuse it.
+            // Its packages are unknown, so assertPackages() trusts it.
+            if (typeof google !== 'undefined' && google.visualization?.DataTable) {
+                this._packages = null;
+                return;
+            }
+
+            // The loader script is on the page but nothing was loaded yet:
+            // there is nothing to retry, google.charts.load() may only be
+            // called once.
+            if (typeof google !== 'undefined' && google.charts) {
+                await this.loadPackages(config, packages, timeout);
+                return;
+            }
 
+            let lastError = null;
+            for (const url of urls) {
+                for (let attempt = 0; attempt <= retries; attempt++) {
                     try {
-                        google.charts.load(config.version || 'current', loadOptions);
-                        google.charts.setOnLoadCallback(() => resolve());
+                        await this.injectScript(url, timeout);
+                        await this.loadPackages(config, packages, timeout);
+                        return;
                     } catch (e) {
-                        reject(e);
+                        lastError = e;
+                        console.warn(`[GoogleChartsFlux] ${e.message}`);
+                        this.removeScript();
                     }
-                };
-
-                // If google.charts already exists (script already loaded)
-                if (typeof google !== 'undefined' && google.charts) {
-                    onScriptReady();
-                    return;
                 }
+            }
 
-                // If the script tag is already in the DOM but hasn't loaded yet
-                if (this._scriptLoaded) {
-                    const interval = setInterval(() => {
-                        if (typeof google !== 'undefined' && google.charts) {
-                            clearInterval(interval);
-                            onScriptReady();
-                        }
-                    }, 50);
-                    return;
-                }
+            throw lastError;
+        },
 
-                // Load the script
-                this._scriptLoaded = true;
+        /**
+         * Inject the Google Charts loader script from a URL.
+         *
+         * @param {string} url
+         * @param {number} timeout - Milliseconds before giving up
+         * @returns {Promise<void>}
+         */
+        injectScript(url, timeout) {
+            return new Promise((resolve, reject) => {
                 const script = document.createElement('script');
-                script.src = 'https://www.gstatic.com/charts/loader.js';
+                const timer = setTimeout(() => {
+                    reject(new Error(`Timed out after ${timeout}ms loading Google Charts from ${url}`));
+                }, timeout);
+
+                script.src = url;
                 script.async = true;
-                script.onload = onScriptReady;
-                script.onerror = () => reject(new Error('Failed to load Google Charts library'));
+                script.dataset.gcfLoader = '';
+                script.onload = () => {
+                    clearTimeout(timer);
+                    if (typeof google !== 'undefined' && google.charts) {
+                        resolve();
+                    } else {
+                        reject(new Error(`${url} did not define google.charts`));
+                    }
+                };
+                script.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error(`Failed to load Google Charts library from ${url}`));
+                };
                 document.head.appendChild(script);
             });
+        },
+
+        /**
+         * Call google.charts.load() and wait for setOnLoadCallback.
+         *
+         * @param {Object} config - { version, apiKey, language }
+         * @param {string[]} packages
+         * @param {number} timeout - Milliseconds before giving up
+         * @returns {Promise<void>}
+         */
+        loadPackages(config, packages, timeout) {
+            return new Promise((resolve, reject) => {
+                const loadOptions = { packages };
+
+                if (config.apiKey) {
+                    loadOptions.mapsApiKey = config.apiKey;
+                }
+
+                if (config.language) {
+                    loadOptions.language = config.language;
+                }
+
+                const timer = setTimeout(() => {
+                    reject(new Error(`Google Charts packages [${packages.join(', ')}] did not load within ${timeout}ms`));
+                }, timeout);
+
+                try {
+                    google.charts.load(config.version || 'current', loadOptions);
+                    google.charts.setOnLoadCallback(() => {
+                        clearTimeout(timer);
+                        resolve();
+                    });
+                } catch (e) {
+                    clearTimeout(timer);
+                    reject(e);
+                }
+            });
+        },
 
-            return this._promise;
+        /**
+         * Remove an injected loader script and the state it defined so the
+         * next attempt starts from a clean slate.
+         */
+        removeScript() {
+            document.querySelectorAll('script[data-gcf-loader]').forEach(s => s.remove());
+            if (typeof google !== 'undefined') {
+                delete google.charts;
+                delete google.visualization;
+            }
         },
     };
 
@@ -125,6 +268,150 @@
         'line', 'pie', 'donut', 'sankey', 'scatter', 'timeline',
     ]);
 
+    /**
+     * Events dispatched by the component itself rather than by Google
+     * Charts. <x-google-chart.event> entries for these are not registered
+     * as Google listeners.
+     *
+     * @type {Set<string>}
+     */
+    const SYNTHETIC_EVENTS = new Set(['seriestoggle', 'drilldown', 'empty']);
+
+    /**
+     * Events a ChartWrapper forwards from its chart. Dashboards bind every
+     * other declared event to the wrapper's inner chart.
+     *
+     * @type {Set<string>}
+     */
+    const WRAPPER_EVENTS = new Set(['ready', 'select', 'error']);
+
+    /**
+     * Legend color of series hidden through the interactive legend.
+     */
+    const HIDDEN_SERIES_COLORS = { light: '#d4d4d8', dark: '#52525b' };
+
+    /**
+     * Chart types that can draw reference lines and bands, mapped to the
+     * ComboChart seriesType they are drawn as (null: drawn as is, their
+     * generated series are lines already or take a per-series type).
+     *
+     * @type {Object<string, string|null>}
+     */
+    const OVERLAY_CHART_TYPES = {
+        'line':         null,
+        'combo':        null,
+        'area':         'area',
+        'column':       'bars',
+        'bar':          'bars',
+        'stepped-area': 'steppedArea',
+    };
+
+    /**
+     * Default reference line and band colors.
+     */
+    const OVERLAY_COLORS = {
+        line: { light: '#71717a', dark: '#a1a1aa' },
+        band: { light: '#ef4444', dark: '#f87171' },
+    };
+
+    /**
+     * Chart types whose data points are whole rows (selected with
+     * {row, column: null}) rather than cells of a series column.
+     *
+     * @type {Set<string>}
+     */
+    const ROW_SELECTION_TYPES = new Set([
+        'calendar', 'donut', 'gantt', 'geo', 'map', 'org', 'pie',
+        'table', 'timeline', 'treemap', 'wordtree',
+    ]);
+
+    // =========================================================================
+    // Typed Values (JSON → Date / timeofday)
+    // =========================================================================
+
+    /**
+     * Google's JSON date string form: "Date(2024, 0, 31)" with a zero-based
+     * month and optional hours, minutes, seconds and milliseconds.
+     */
+    const GOOGLE_DATE_PATTERN = /^Date\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*(\d+)\s*)?(?:,\s*(\d+)\s*)?(?:,\s*(\d+)\s*)?(?:,\s*(\d+)\s*)?\)$/;
+
+    /**
+     * A bare ISO date ("2024-01-31"), which must be read as a local date —
+     * new Date() would parse it as UTC midnight and shift the day.
+     */
+    const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    /**
+     * A time of day ("13:45", "13:45:30" or "13:45:30.250").
+     */
+    const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+    /**
+     * Parse Google's "Date(y,m,d[,h,i,s,ms])" string form.
+     *
+     * @param {string} value
+     * @returns {Date|null} null when the string is not in that form
+     */
+    function parseGoogleDate(value) {
+        const m = GOOGLE_DATE_PATTERN.exec(value);
+        if (!m) return null;
+        const [y, mo, d, h, i, sec, ms] = m.slice(1).map(v => (v === undefined ? 0 : Number(v)));
+        return new Date(y, mo, d, h, i, sec, ms);
+    }
+
+    /**
+     * Convert a JSON value to the JS representation Google expects for
+     * the given column type. Values already in the right shape, nulls and
+     * unparseable strings are returned unchanged.
+     *
+     * @param {*} value
+     * @param {string} type - Column type ('date', 'datetime', 'timeofday', ...)
+     * @returns {*}
+     */
+    function reviveValue(value, type) {
+        if (typeof value !== 'string') return value;
+
+        const googleDate = parseGoogleDate(value);
+        if (googleDate) return googleDate;
+
+        if (type === 'timeofday') {
+            const m = TIME_OF_DAY_PATTERN.exec(value);
+            if (!m) return value;
+            return [Number(m[1]), Number(m[2]), Number(m[3] || 0), Number((m[4] || '0').padEnd(3, '0'))];
+        }
+
+        if (type === 'date' || type === 'datetime') {
+            const m = ISO_DATE_PATTERN.exec(value);
+            if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+
+            const parsed = new Date(value);
+            return isNaN(parsed.getTime()) ? value : parsed;
+        }
+
+        return value;
+    }
+
+    /**
+     * Revive typed values in data rows in place.
+     *
+     * Only columns with a declared date/datetime/timeofday type are
+     * touched, except that Google's unambiguous "Date(...)" strings are
+     * revived in any column.
+     *
+     * @param {Array<Array>} rows
+     * @param {Array<string|undefined>} types - Declared type per column index
+     * @returns {Array<Array>} The same rows array
+     */
+    function reviveRows(rows, types) {
+        for (const row of rows) {
+            if (!Array.isArray(row)) continue;
+            for (let c = 0; c < row.length; c++) {
+                row[c] = reviveValue(row[c], types[c]);
+            }
+        }
+        return rows;
+    }
+
     // =========================================================================
     // Utility Functions
     // =========================================================================
@@ -172,527 +459,4292 @@
                document.body.classList.contains('dark');
     }
 
+    /**
+     * Call onChange whenever the page appearance may have changed: Flux
+     * dark mode and CSS variable changes (class, inline style or
+     * data-theme on <html>) and Flux's appearance event.
+     *
+     * @param {Object} component - Alpine component with a listen() helper
+     * @param {Function} onChange
+     * @returns {MutationObserver} Observer the component disconnects on destroy
+     */
+    function observeAppearance(component, onChange) {
+        const observer = new MutationObserver(() => onChange());
+        observer.observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['class', 'style', 'data-theme'],
+        });
+
+        component.listen(document, 'flux:appearance', () => {
+            // Small delay to let Flux update the DOM class
+            setTimeout(() => onChange(), 50);
+        });
+
+        return observer;
+    }
+
+    /**
+     * Compute a statistic over the non-null values of a number column.
+     *
+     * @param {google.visualization.DataTable|google.visualization.DataView} table
+     * @param {number} column - Column index (-1 or undefined yields null)
+     * @param {string} statistic - 'avg', 'min', 'max' or 'median'
+     * @returns {number|null} The statistic, or null without values
+     */
+    function seriesStatistic(table, column, statistic) {
+        if (column === undefined || column < 0) return null;
+
+        const values = [];
+        for (let r = 0; r < table.getNumberOfRows(); r++) {
+            const value = table.getValue(r, column);
+            if (typeof value === 'number') values.push(value);
+        }
+        if (values.length === 0) return null;
+
+        switch (statistic) {
+            case 'min':
+                return Math.min(...values);
+            case 'max':
+                return Math.max(...values);
+            case 'median': {
+                values.sort((a, b) => a - b);
+                const middle = Math.floor(values.length / 2);
+                return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+            }
+            default:
+                return values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    }
+
+    /**
+     * Limit calls to one per `wait` milliseconds. A call inside the wait
+     * is delayed to its end, with the latest arguments.
+     *
+     * @param {Function} fn
+     * @param {number} wait
+     * @returns {Function}
+     */
+    function throttle(fn, wait) {
+        let last = 0;
+        let timer = null;
+        let pending = null;
+
+        return (...args) => {
+            pending = args;
+            if (timer) return;
+
+            const delay = Math.max(0, last + wait - Date.now());
+            timer = setTimeout(() => {
+                timer = null;
+                last = Date.now();
+                fn(...pending);
+            }, delay);
+        };
+    }
+
+    /**
+     * Delay calls until they stopped for `wait` milliseconds, then call
+     * once with the latest arguments.
+     *
+     * @param {Function} fn
+     * @param {number} wait
+     * @returns {Function}
+     */
+    function debounce(fn, wait) {
+        let timer = null;
+
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), wait);
+        };
+    }
+
+    /**
+     * Escape a string for use in HTML text and attribute values.
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Build a Google DataTable from an array-of-arrays format.
      *
+     * Header cells may be plain labels or column descriptions such as
+     * { label: 'Day', type: 'date' }; values in typed columns are revived
+     * from their JSON string form. The input array is not mutated.
+     *
      * @param {Array[]} data - First row is headers, rest are data rows
      * @returns {google.visualization.DataTable}
      */
     function arrayToDataTable(data) {
-        return google.visualization.arrayToDataTable(data);
+        const header = data[0];
+        const types = header.map(h => (h && typeof h === 'object' ? h.type : undefined));
+        const rows = reviveRows(data.slice(1).map(row => (Array.isArray(row) ? [...row] : row)), types);
+        return google.visualization.arrayToDataTable([header, ...rows]);
     }
 
     /**
-     * Build a Google DataTable from declarative columns and rows.
+     * Find a column index by numeric index, column id, or column label.
      *
-     * @param {Array<{type: string, label: string, role?: string}>} columns
+     * @param {google.visualization.DataTable} dataTable
+     * @param {number|string} column
+     * @returns {number} -1 when no column matches
+     */
+    function findColumnIndex(dataTable, column) {
+        if (typeof column === 'number') {
+            return Number.isInteger(column) && column >= 0 && column < dataTable.getNumberOfColumns() ? column : -1;
+        }
+        const numCols = dataTable.getNumberOfColumns();
+        for (let c = 0; c < numCols; c++) {
+            if (dataTable.getColumnId(c) === column) return c;
+        }
+        for (let c = 0; c < numCols; c++) {
+            if (dataTable.getColumnLabel(c) === column) return c;
+        }
+        return -1;
+    }
+
+    /**
+     * Get the declared type of every column in a DataTable.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @returns {string[]}
+     */
+    function columnTypes(dataTable) {
+        return Array.from({ length: dataTable.getNumberOfColumns() }, (_, c) => dataTable.getColumnType(c));
+    }
+
+    /**
+     * Append rows in column order to a DataTable, reviving typed values.
+     * Rows of the wrong size or with values of the wrong type are reported
+     * with a warning and leave the DataTable unchanged.
+     *
+     * @param {google.visualization.DataTable} dataTable
      * @param {Array<Array>} rows
-     * @returns {google.visualization.DataTable}
+     * @param {string} operation - Name of the calling operation, for warnings
+     * @returns {boolean} Whether the rows were added
      */
-    function columnsRowsToDataTable(columns, rows) {
-        const dataTable = new google.visualization.DataTable();
-        for (const col of columns) {
-            if (col.role) {
-                dataTable.addColumn({ type: col.type, role: col.role, label: col.label || '' });
-            } else {
-                dataTable.addColumn(col.type, col.label || '');
-            }
+    function addDataRows(dataTable, rows, operation) {
+        const numCols = dataTable.getNumberOfColumns();
+        const invalid = rows.findIndex(row => !Array.isArray(row) || row.length !== numCols);
+        if (invalid !== -1) {
+            console.warn(`[GoogleChartsFlux] ${operation}: row ${invalid} must have ${numCols} cells, one per column`);
+            return false;
         }
-        if (rows.length > 0) {
-            dataTable.addRows(rows);
+
+        const numRows = dataTable.getNumberOfRows();
+        try {
+            dataTable.addRows(reviveRows(rows.map(row => [...row]), columnTypes(dataTable)));
+        } catch (e) {
+            dataTable.removeRows(numRows, dataTable.getNumberOfRows() - numRows);
+            console.warn(`[GoogleChartsFlux] ${operation}: ${e.message}`);
+            return false;
         }
-        return dataTable;
+        return true;
     }
 
     /**
-     * Escape a string for safe insertion into HTML.
+     * Remove rows from a DataTable, clamped to the rows it has.
      *
-     * @param {string} str - Raw string to escape
-     * @returns {string} HTML-escaped string
+     * @param {google.visualization.DataTable} dataTable
+     * @param {number} index - Zero-based index of the first row to remove
+     * @param {number} count - Number of rows to remove
+     * @returns {boolean} Whether any rows were removed
      */
-    function escapeHtml(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+    function removeDataRows(dataTable, index, count) {
+        const available = dataTable.getNumberOfRows() - index;
+        if (!Number.isInteger(index) || index < 0 || available <= 0) return false;
+        dataTable.removeRows(index, Math.min(count, available));
+        return true;
     }
 
-    // =========================================================================
-    // Alpine.js Component: googleChart
-    // =========================================================================
+    /**
+     * Set cells of a DataTable. Cells with an unknown column, a row out of
+     * range or a value of the wrong type are skipped with a warning.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {Array<{row: number, column: number|string, value: *, formatted?: string}>} cells
+     * @returns {Array<Array>} [row, column, formatted] of the cells set with
+     *     an explicit formatted value, to restore after the formatters ran
+     */
+    function patchDataCells(dataTable, cells) {
+        const numRows = dataTable.getNumberOfRows();
+        const formatted = [];
+        for (const cell of cells) {
+            const col = findColumnIndex(dataTable, cell?.column);
+            if (col === -1) {
+                console.warn(`[GoogleChartsFlux] patchCells: unknown column "${cell?.column}"`);
+                continue;
+            }
+            if (!Number.isInteger(cell.row) || cell.row < 0 || cell.row >= numRows) {
+                console.warn(`[GoogleChartsFlux] patchCells: row ${cell.row} is out of range (${numRows} rows)`);
+                continue;
+            }
+
+            const value = reviveValue(cell.value, dataTable.getColumnType(col));
+            try {
+                dataTable.setCell(cell.row, col, value, cell.formatted);
+            } catch (e) {
+                console.warn(`[GoogleChartsFlux] patchCells: ${e.message}`);
+                continue;
+            }
+            if (cell.formatted !== undefined && cell.formatted !== null) {
+                formatted.push([cell.row, col, cell.formatted]);
+            }
+        }
+        return formatted;
+    }
 
     /**
-     * Alpine.js data component for rendering and managing a Google Chart.
+     * Compare two cell values, treating Dates and timeofday arrays by value.
      *
-     * @param {Object} config
-     * @param {string} config.type          - Chart type (e.g. 'pie', 'bar', 'line')
-     * @param {Array|null} config.data      - Chart data as array-of-arrays
-     * @param {Object} config.options       - Chart-specific options
-     * @param {Object} config.defaults      - Default options from config
-     * @param {Object} config.darkOptions   - Dark mode option overrides
-     * @param {Array} config.events         - Event listeners [{on, emit}]
-     * @param {Array} config.columns        - Declarative column definitions
-     * @param {Array} config.rows           - Declarative row data
-     * @param {Array} config.seriesConfig   - Series configuration [{index, ...props}]
-     * @param {Array} config.axisConfig     - Axis configuration [{which, ...props}]
-     * @param {Object} config.loaderConfig  - Google Charts loader config
-     * @param {string} config.wireModelProp - Livewire property name for wire:model
-     * @param {string} config.loading       - Loading display type: 'skeleton', 'spinner', 'none'
-     * @param {Object} [config.otherBreakdown]         - "Other" slice breakdown data for tooltip mini-chart
-     * @param {string} config.otherBreakdown.label      - Label of the "Other" row (must match a DataTable row label)
-     * @param {Array<[string, number]>} config.otherBreakdown.items - Breakdown items as [label, value] pairs
-     * @returns {Object} Alpine.js component data
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
      */
-    function googleChartComponent(config) {
-        return {
-            chart: null,
-            dataTable: null,
-            ready: false,
-            error: null,
-            _resizeObserver: null,
-            _darkModeObserver: null,
-            _drawTimeout: null,
+    function valuesEqual(a, b) {
+        if (a instanceof Date && b instanceof Date) {
+            return a.getTime() === b.getTime();
+        }
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((v, i) => v === b[i]);
+        }
+        return a === b;
+    }
 
-            /**
-             * Initialize the chart: parse sub-components, load Google Charts,
-             * build data, and render.
-             *
-             * Called automatically by Alpine (x-data auto-init). Do NOT call
-             * from x-init — Alpine handles this.
-             */
-            async init() {
-                try {
-                    // Parse declarative sub-component <template> elements
-                    // before loading the chart library or building data.
-                    this.parseSubComponents();
+    /**
+     * Normalize a bound selection value — a row key, an array of keys, or
+     * {key, column} entries for single cells — to a list of entries.
+     *
+     * @param {*} value
+     * @returns {Array<{key: *, column: (string|number|null)}>}
+     */
+    function normalizeSelection(value) {
+        if (value === null || value === undefined || value === '') return [];
+        return (Array.isArray(value) ? value : [value]).map(item => (
+            item !== null && typeof item === 'object' && !Array.isArray(item) && 'key' in item
+                ? { key: item.key, column: item.column ?? null }
+                : { key: item, column: null }
+        ));
+    }
 
+    /**
+     * Determine whether a value is a DataTable JSON literal ({cols, rows}).
+     *
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isDataTableLiteral(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.cols);
+    }
+
+    /**
+     * Build a DataTable from either supported data shape: array-of-arrays
+     * or a DataTable JSON literal with full column and cell metadata.
+     *
+     * @param {Array[]|Object} data
+     * @returns {google.visualization.DataTable}
+     */
+    function toDataTable(data) {
+        if (isDataTableLiteral(data)) {
+            return new google.visualization.DataTable(data);
+        }
+        return arrayToDataTable(data);
+    }
+
+    /**
+     * Determine whether data in either supported shape contains a header.
+     *
+     * @param {*} data
+     * @returns {boolean}
+     */
+    function hasData(data) {
+        if (isDataTableLiteral(data)) return true;
+        return Array.isArray(data) && data.length > 0;
+    }
+
+    /**
+     * Apply new data to an existing DataTable in place, using setCell for
+     * changed cells and addRows/removeRows for the tail, so the chart can
+     * animate between states instead of redrawing from scratch.
+     *
+     * The live DataTable has already been through the formatters, so the
+     * incoming data is formatted the same way (format) before formatted
+     * values and properties are compared; otherwise every formatted cell
+     * would be rewritten on each update.
+     *
+     * Returns false without a usable result when the column structure
+     * (count, labels, types, roles or properties) differs or a cell cannot
+     * be set; the caller should then rebuild the DataTable.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {Array[]|Object} data - Array-of-arrays or DataTable JSON literal
+     * @param {Function} [format] - Applies the live table's formatters to a DataTable
+     * @returns {boolean} true when the DataTable now matches data
+     */
+    function applyDataDiff(dataTable, data, format = () => {}) {
+        try {
+            const source = toDataTable(data);
+            format(source);
+            const numCols = dataTable.getNumberOfColumns();
+            if (source.getNumberOfColumns() !== numCols) return false;
+
+            for (let c = 0; c < numCols; c++) {
+                if (source.getColumnLabel(c) !== dataTable.getColumnLabel(c)
+                    || source.getColumnType(c) !== dataTable.getColumnType(c)
+                    || source.getColumnRole(c) !== dataTable.getColumnRole(c)
+                    || JSON.stringify(source.getColumnProperties(c)) !== JSON.stringify(dataTable.getColumnProperties(c))) {
+                    return false;
+                }
+            }
+
+            const current = dataTable.getNumberOfRows();
+            const incoming = source.getNumberOfRows();
+            const common = Math.min(current, incoming);
+
+            for (let r = 0; r < common; r++) {
+                for (let c = 0; c < numCols; c++) {
+                    const value = source.getValue(r, c);
+                    const formatted = source.getFormattedValue(r, c);
+                    const properties = source.getProperties(r, c);
+
+                    if (!valuesEqual(value, dataTable.getValue(r, c))
+                        || formatted !== dataTable.getFormattedValue(r, c)
+                        || JSON.stringify(properties) !== JSON.stringify(dataTable.getProperties(r, c))) {
+                        dataTable.setCell(r, c, value, formatted, properties);
+                    }
+                }
+            }
+
+            if (incoming > current) {
+                const rows = [];
+                for (let r = current; r < incoming; r++) {
+                    rows.push(Array.from({ length: numCols }, (_, c) => ({
+                        v: source.getValue(r, c),
+                        f: source.getFormattedValue(r, c),
+                        p: source.getProperties(r, c),
+                    })));
+                }
+                dataTable.addRows(rows);
+            } else if (current > incoming) {
+                dataTable.removeRows(incoming, current - incoming);
+            }
+        } catch (e) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Build a Google DataTable from declarative columns and rows.
+     *
+     * @param {Array<{type: string, label: string, role?: string}>} columns
+     * @param {Array<Array>} rows
+     * @returns {google.visualization.DataTable}
+     */
+    function columnsRowsToDataTable(columns, rows) {
+        const dataTable = new google.visualization.DataTable();
+        for (const col of columns) {
+            const descriptor = { type: col.type, label: col.label || '' };
+            for (const key of ['id', 'role', 'pattern']) {
+                if (col[key]) descriptor[key] = col[key];
+            }
+            dataTable.addColumn(descriptor);
+        }
+        if (rows.length > 0) {
+            const types = columns.map(col => col.type);
+            dataTable.addRows(reviveRows(rows.map(row => [...row]), types));
+        }
+        return dataTable;
+    }
+
+    /**
+     * Dispatch a bridged chart event to Livewire and as a bubbling DOM
+     * CustomEvent on the component's root element.
+     *
+     * Livewire listeners receive the payload as a single `payload`
+     * parameter (see ChartEventPayload::fromArray()).
+     *
+     * @param {Object} component - Alpine component instance ($el, $wire)
+     * @param {string} name - Event name to dispatch
+     * @param {Object} payload - Serializable event payload
+     * @param {string|null} [to] - Livewire component to dispatch to (default: all listeners)
+     */
+    function dispatchChartEvent(component, name, payload, to = null) {
+        // Dispatch as Livewire event
+        if (component.$wire) {
+            if (to) {
+                component.$wire.dispatchTo(to, name, { payload });
+            } else {
+                component.$wire.dispatch(name, { payload });
+            }
+        }
+
+        // Also dispatch as a DOM custom event for Alpine listeners
+        component.$el.dispatchEvent(new CustomEvent(name, {
+            detail: payload,
+            bubbles: true,
+        }));
+    }
+
+    // =========================================================================
+    // Data Views
+    // =========================================================================
+
+    /**
+     * Calculations available to calculated view columns, keyed by name.
+     * Each receives the referenced column values of one row. There is no
+     * expression evaluation: only these named operations can run.
+     * 'percentOfTotal' needs the column total and is handled separately.
+     *
+     * @type {Object<string, function(Array): (number|null)>}
+     */
+    const VIEW_CALCULATIONS = {
+        ratio: ([a, b]) => (a === null || !b ? null : a / b),
+        difference: ([a, b]) => (a === null || b === null ? null : a - b),
+        percent: ([a, b]) => (a === null || !b ? null : (a / b) * 100),
+        sum: values => values.reduce((total, v) => total + (v ?? 0), 0),
+        product: values => (values.some(v => v === null) ? null : values.reduce((total, v) => total * v, 1)),
+    };
+
+    /**
+     * Resolve a view column reference to a DataTable column index.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {number|string} column - Column index, id or label
+     * @returns {number}
+     */
+    function resolveViewColumn(dataTable, column) {
+        const index = findColumnIndex(dataTable, column);
+        if (index === -1) {
+            throw new Error(`Unknown column "${column}" in <x-google-chart.view>`);
+        }
+        return index;
+    }
+
+    /**
+     * Build a DataView column definition for a calculated column.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {Object} spec - { calc, columns, label, id, decimals }
+     * @param {number[]} rows - Rows in the view, for 'percentOfTotal'
+     * @returns {Object}
+     */
+    function calculatedColumn(dataTable, spec, rows) {
+        const columns = (spec.columns || []).map(c => resolveViewColumn(dataTable, c));
+
+        let compute;
+        if (spec.calc === 'percentOfTotal') {
+            const total = rows.reduce((sum, r) => sum + (dataTable.getValue(r, columns[0]) ?? 0), 0);
+            compute = ([value]) => (value === null || !total ? null : (value / total) * 100);
+        } else if (VIEW_CALCULATIONS[spec.calc]) {
+            compute = VIEW_CALCULATIONS[spec.calc];
+        } else {
+            throw new Error(`Unknown calculation "${spec.calc}". Valid calculations: ${[...Object.keys(VIEW_CALCULATIONS), 'percentOfTotal'].join(', ')}`);
+        }
+
+        const column = {
+            type: 'number',
+            label: spec.label || spec.calc,
+            calc: (dt, row) => {
+                const value = compute(columns.map(c => dt.getValue(row, c)));
+                if (value === null || !Number.isFinite(value)) return null;
+                return typeof spec.decimals === 'number'
+                    ? { v: value, f: value.toFixed(spec.decimals) }
+                    : value;
+            },
+        };
+        if (spec.id) {
+            column.id = spec.id;
+        }
+        return column;
+    }
+
+    /**
+     * Wrap a DataTable in a DataView from an <x-google-chart.view> definition.
+     *
+     * Filters use getFilteredRows() semantics ({column, value, minValue,
+     * maxValue}, all must match); columns are references or calculated
+     * column definitions.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {Object} spec - { columns, filters }
+     * @returns {google.visualization.DataView}
+     */
+    function createDataView(dataTable, spec) {
+        const view = new google.visualization.DataView(dataTable);
+
+        if (spec.filters && spec.filters.length > 0) {
+            const filters = spec.filters.map(f => ({ ...f, column: resolveViewColumn(dataTable, f.column) }));
+            view.setRows(dataTable.getFilteredRows(filters));
+        }
+
+        if (spec.columns && spec.columns.length > 0) {
+            const rows = view.getViewRows();
+            view.setColumns(spec.columns.map(c => (c !== null && typeof c === 'object')
+                ? calculatedColumn(dataTable, c, rows)
+                : resolveViewColumn(dataTable, c)));
+        }
+
+        return view;
+    }
+
+    // =========================================================================
+    // Aggregation
+    // =========================================================================
+
+    /**
+     * Aggregation functions of <x-google-chart.aggregate>, matching
+     * ChartData::aggregate(). Each receives a group's non-null values.
+     *
+     * @type {Object<string, function(Array): *>}
+     */
+    const AGGREGATIONS = {
+        sum: values => values.reduce((total, v) => total + v, 0),
+        avg: values => (values.length === 0 ? null : values.reduce((total, v) => total + v, 0) / values.length),
+        count: values => values.length,
+        min: values => (values.length === 0 ? null : values.reduce((a, b) => (b < a ? b : a))),
+        max: values => (values.length === 0 ? null : values.reduce((a, b) => (b > a ? b : a))),
+    };
+
+    /**
+     * Truncate a date to the start of its day, week (Monday) or month.
+     *
+     * @param {*} value
+     * @param {string} bucket - 'day', 'week' or 'month'
+     * @returns {*} A Date, or the value unchanged when it isn't one
+     */
+    function bucketDate(value, bucket) {
+        if (!(value instanceof Date)) return value;
+
+        const date = new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        if (bucket === 'week') {
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        } else if (bucket === 'month') {
+            date.setDate(1);
+        }
+        return date;
+    }
+
+    /**
+     * Get the series label of a pivot value (dates as YYYY-MM-DD).
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    function pivotLabel(value) {
+        if (value instanceof Date) {
+            const pad = n => String(n).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Group a DataTable from an <x-google-chart.aggregate> definition with
+     * google.visualization.data.group(), then pivot it if requested.
+     *
+     * Groups are sorted by their keys. An aggregated column keeps its
+     * label, suffixed with the function when the column is aggregated more
+     * than once, so formats and views can refer to it by label.
+     *
+     * @param {google.visualization.DataTable|google.visualization.DataView} dataTable
+     * @param {Object} definition - { by, aggregations: [{column, function}], bucket, pivot }
+     * @returns {google.visualization.DataTable}
+     */
+    function aggregateDataTable(dataTable, definition) {
+        const resolve = (column) => {
+            const index = findColumnIndex(dataTable, column);
+            if (index === -1) {
+                throw new Error(`Unknown column "${column}" in <x-google-chart.aggregate>`);
+            }
+            return index;
+        };
+
+        const keys = definition.by.map((column, i) => {
+            const index = resolve(column);
+            const type = dataTable.getColumnType(index);
+            const key = { column: index, type, label: dataTable.getColumnLabel(index), id: dataTable.getColumnId(index) };
+            if (i === 0 && definition.bucket && (type === 'date' || type === 'datetime')) {
+                key.type = 'date';
+                key.modifier = value => bucketDate(value, definition.bucket);
+            }
+            return key;
+        });
+
+        const counts = {};
+        const aggregations = definition.aggregations.map((aggregation) => {
+            const index = resolve(aggregation.column);
+            counts[index] = (counts[index] || 0) + 1;
+            return { index, fn: aggregation.function };
+        });
+        const columns = aggregations.map(({ index, fn }) => {
+            const label = dataTable.getColumnLabel(index);
+            return {
+                column: index,
+                type: fn === 'min' || fn === 'max' ? dataTable.getColumnType(index) : 'number',
+                label: counts[index] > 1 ? `${label} (${fn})` : label,
+                aggregation: values => AGGREGATIONS[fn](values.filter(v => v !== null)),
+            };
+        });
+
+        if (definition.pivot === null || definition.pivot === undefined) {
+            return google.visualization.data.group(dataTable, keys, columns);
+        }
+
+        // Group by the keys and the pivot column, then spread the pivot
+        // values into one column each; groups missing a value get null.
+        const pivot = resolve(definition.pivot);
+        const grouped = google.visualization.data.group(dataTable, [
+            ...keys,
+            { column: pivot, type: dataTable.getColumnType(pivot), label: dataTable.getColumnLabel(pivot) },
+        ], columns.slice(0, 1));
+
+        const categories = grouped.getDistinctValues(keys.length).filter(value => value !== null);
+        const result = new google.visualization.DataTable();
+        keys.forEach((key, i) => result.addColumn({ type: grouped.getColumnType(i), label: key.label, id: key.id }));
+        categories.forEach(category => result.addColumn(columns[0].type, pivotLabel(category)));
+
+        let previous = null;
+        let row = -1;
+        for (let r = 0; r < grouped.getNumberOfRows(); r++) {
+            const category = grouped.getValue(r, keys.length);
+            if (category === null) continue;
+
+            const keyValues = keys.map((_, i) => grouped.getValue(r, i));
+            if (!previous || keyValues.some((value, i) => !valuesEqual(value, previous[i]))) {
+                row = result.addRow([...keyValues, ...categories.map(() => null)]);
+                previous = keyValues;
+            }
+            const c = keys.length + categories.findIndex(value => valuesEqual(value, category));
+            result.setValue(row, c, grouped.getValue(r, keys.length + 1));
+        }
+
+        return result;
+    }
+
+    // =========================================================================
+    // Linked Chart Groups
+    // =========================================================================
+
+    /**
+     * Registry of charts sharing a `group`. Members mirror each other's
+     * selection and hover highlight client-side, matching rows by their
+     * selection key column.
+     */
+    const ChartGroups = {
+        _groups: new Map(),
+
+        /**
+         * @param {string} name
+         * @param {Object} component - googleChart Alpine component instance
+         */
+        join(name, component) {
+            if (!this._groups.has(name)) {
+                this._groups.set(name, new Set());
+            }
+            this._groups.get(name).add(component);
+        },
+
+        /**
+         * @param {string} name
+         * @param {Object} component - googleChart Alpine component instance
+         */
+        leave(name, component) {
+            const group = this._groups.get(name);
+            if (!group) return;
+            group.delete(component);
+            if (group.size === 0) {
+                this._groups.delete(name);
+            }
+        },
+
+        /**
+         * Get the other members of a group.
+         *
+         * @param {string} name
+         * @param {Object} except - The member to leave out
+         * @returns {Object[]}
+         */
+        others(name, except) {
+            return [...(this._groups.get(name) || [])].filter(c => c !== except);
+        },
+    };
+
+    // =========================================================================
+    // Themes
+    // =========================================================================
+
+    /**
+     * Registry of named themes, each with a light variant (merged under
+     * per-chart options) and a dark variant (merged over the dark mode
+     * options). Themes from the google-charts-flux config are registered
+     * by the charts that use them; scripts can add more with
+     * GoogleChartsFlux.themes.register().
+     */
+    const ThemeRegistry = {
+        _themes: new Map(),
+
+        /**
+         * Register or replace a theme. Charts using it redraw.
+         *
+         * @param {string} name
+         * @param {{light: Object, dark: Object}} theme
+         */
+        register(name, theme) {
+            const normalized = { light: theme.light || {}, dark: theme.dark || {} };
+            const existing = this._themes.get(name);
+            if (existing && JSON.stringify(existing) === JSON.stringify(normalized)) return;
+
+            this._themes.set(name, normalized);
+            if (existing) {
+                document.dispatchEvent(new CustomEvent('google-charts-flux:theme', { detail: { name } }));
+            }
+        },
+
+        /**
+         * @param {string} name
+         * @returns {{light: Object, dark: Object}|null}
+         */
+        get(name) {
+            return this._themes.get(name) || null;
+        },
+    };
+
+    /**
+     * Matches var(--token) and var(--token, fallback) in option values.
+     */
+    const CSS_VAR_PATTERN = /var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g;
+
+    let colorContext = null;
+    const colorCache = new Map();
+
+    /**
+     * Convert any CSS color (oklch(), hsl(), named colors, ...) to the hex
+     * notation Google Charts' color parser understands, by painting it on
+     * a 1×1 canvas. Values that are not colors are returned unchanged.
+     *
+     * @param {string} color
+     * @returns {string}
+     */
+    function toHexColor(color) {
+        if (colorCache.has(color)) {
+            return colorCache.get(color);
+        }
+
+        if (!colorContext) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            colorContext = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // An invalid color leaves fillStyle unchanged; try two sentinels so
+        // genuine black or white is still recognized.
+        colorContext.fillStyle = '#000000';
+        colorContext.fillStyle = color;
+        const first = colorContext.fillStyle;
+        colorContext.fillStyle = '#ffffff';
+        colorContext.fillStyle = color;
+        if (first !== colorContext.fillStyle) {
+            colorCache.set(color, color);
+            return color;
+        }
+
+        colorContext.clearRect(0, 0, 1, 1);
+        colorContext.fillRect(0, 0, 1, 1);
+        const [r, g, b, a] = colorContext.getImageData(0, 0, 1, 1).data;
+        const hex = a === 0
+            ? 'transparent'
+            : '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+
+        colorCache.set(color, hex);
+        return hex;
+    }
+
+    /**
+     * Resolve var(--token) references in option values from an element's
+     * computed styles, so colors can follow Flux accent and Tailwind theme
+     * variables (scoped variables on wrapper elements work too).
+     *
+     * @param {*} value - Options object, array or value
+     * @param {Element} el - Element whose computed styles provide the variables
+     * @returns {*}
+     */
+    function resolveCssTokens(value, el) {
+        if (typeof value === 'string') {
+            if (!value.includes('var(')) return value;
+            const styles = getComputedStyle(el);
+            const resolved = value.replace(CSS_VAR_PATTERN, (_, name, fallback) => (
+                styles.getPropertyValue(name).trim() || (fallback || '').trim()
+            ));
+            return resolved ? toHexColor(resolved) : resolved;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => resolveCssTokens(v, el));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveCssTokens(v, el)]));
+        }
+        return value;
+    }
+
+    // =========================================================================
+    // Accessibility
+    // =========================================================================
+
+    /**
+     * Describe a DataTable for screen readers: title, size, domain range,
+     * series, and each series' extremes.
+     *
+     * @param {google.visualization.DataTable|google.visualization.DataView} dataTable
+     * @param {Object} context - { type, title }
+     * @returns {string}
+     */
+    function describeDataTable(dataTable, { type, title }) {
+        const numRows = dataTable.getNumberOfRows();
+        const typeName = type.replace(/[-_]/g, ' ');
+        const sentences = [];
+
+        if (title) {
+            sentences.push(`${title}.`);
+        }
+        sentences.push(`${typeName.charAt(0).toUpperCase()}${typeName.slice(1)} chart with ${numRows} ${numRows === 1 ? 'row' : 'rows'}.`);
+        if (numRows === 0) {
+            return sentences.join(' ');
+        }
+
+        const domain = dataTable.getColumnLabel(0);
+        sentences.push(`${domain || 'Data'} from ${dataTable.getFormattedValue(0, 0)} to ${dataTable.getFormattedValue(numRows - 1, 0)}.`);
+
+        const series = [];
+        for (let c = 1; c < dataTable.getNumberOfColumns(); c++) {
+            if (!dataTable.getColumnRole(c) && dataTable.getColumnType(c) === 'number') {
+                series.push(c);
+            }
+        }
+        if (series.length > 1) {
+            sentences.push(`${series.length} series: ${series.map(c => dataTable.getColumnLabel(c)).join(', ')}.`);
+        }
+
+        for (const c of series) {
+            let min = null;
+            let max = null;
+            for (let r = 0; r < numRows; r++) {
+                const value = dataTable.getValue(r, c);
+                if (value === null) continue;
+                if (min === null || value < dataTable.getValue(min, c)) min = r;
+                if (max === null || value > dataTable.getValue(max, c)) max = r;
+            }
+            if (min === null) continue;
+
+            sentences.push(`${dataTable.getColumnLabel(c) || 'Values'} range from ${dataTable.getFormattedValue(min, c)}`
+                + ` (${dataTable.getFormattedValue(min, 0)}) to ${dataTable.getFormattedValue(max, c)}`
+                + ` (${dataTable.getFormattedValue(max, 0)}).`);
+        }
+
+        return sentences.join(' ');
+    }
+
+    // =========================================================================
+    // HTML Tooltips
+    // =========================================================================
+
+    /**
+     * Styles for rendered tooltips. Google draws HTML tooltips in its own
+     * white box, which is restyled in dark mode so tooltips follow the
+     * page without being re-rendered.
+     */
+    const TOOLTIP_STYLES = `
+        .gcf-tooltip { padding: 8px 10px; font-size: 12px; line-height: 1.4; }
+        .gcf-tooltip-title { font-weight: 600; margin-bottom: 4px; }
+        .gcf-tooltip img { display: block; max-width: none; margin: 4px 0; }
+        .dark .google-visualization-tooltip { background: #27272a; border-color: #3f3f46; color: #fafafa; }
+        .dark .google-visualization-tooltip * { color: inherit; }
+    `;
+
+    /**
+     * Add the tooltip styles to the document once.
+     */
+    function injectTooltipStyles() {
+        if (document.querySelector('style[data-gcf-tooltip-styles]')) return;
+
+        const style = document.createElement('style');
+        style.dataset.gcfTooltipStyles = '';
+        style.textContent = TOOLTIP_STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Render an <x-google-chart.tooltip> template with Alpine against a
+     * point's scope and return the resulting static HTML.
+     *
+     * The template is rendered in a hidden container attached to the
+     * document, and read after Alpine's next tick, so x-for, x-if and
+     * other deferred directives have rendered.
+     *
+     * Alpine attributes and <template> elements are stripped from the
+     * result: Google inserts the tooltip into the chart, where Alpine
+     * would otherwise initialize them again without the point's scope.
+     *
+     * @param {string} template - The tooltip's Alpine markup
+     * @param {Object} scope    - { row, formatted, key, series, value, formattedValue, chart, items }
+     * @returns {Promise<string>}
+     */
+    async function renderTooltipTemplate(template, scope) {
+        const el = document.createElement('div');
+        el.hidden = true;
+        el.innerHTML = template;
+        document.body.appendChild(el);
+
+        let output;
+        try {
+            Alpine.addScopeToNode(el, scope);
+            Alpine.initTree(el);
+            await Alpine.nextTick();
+            output = el.cloneNode(true);
+        } finally {
+            Alpine.destroyTree(el);
+            el.remove();
+        }
+
+        output.querySelectorAll('template').forEach(t => t.remove());
+        output.querySelectorAll('*').forEach((node) => {
+            for (const { name } of Array.from(node.attributes)) {
+                if (name.startsWith('x-') || name.startsWith(':') || name.startsWith('@')) {
+                    node.removeAttribute(name);
+                }
+            }
+        });
+
+        return output.innerHTML;
+    }
+
+    /**
+     * Tooltip HTML for definitions without a template: the title, the
+     * mini chart, and the hovered series value or the mini chart's items.
+     *
+     * @param {Object} definition - Tooltip definition
+     * @param {Object} scope      - Point scope (see renderTooltipTemplate())
+     * @param {string} domain     - Formatted domain value of the row
+     * @returns {string}
+     */
+    function defaultTooltipHtml(definition, scope, domain) {
+        let html = `<div class="gcf-tooltip-title">${escapeHtml(definition.title ?? domain)}</div>`;
+        if (scope.chart) {
+            html += `<img src="${scope.chart}" width="${definition.chartWidth}" height="${definition.chartHeight}" alt="">`;
+        }
+
+        if (definition.listItems && scope.items.length > 0) {
+            const total = scope.items.reduce((sum, item) => sum + (Number(item[1]) || 0), 0);
+            for (const [label, value] of scope.items) {
+                const pct = total > 0 ? ((value / total) * 100).toFixed(1) : '0.0';
+                html += `<div>${escapeHtml(label)}: ${escapeHtml(value)} (${pct}%)</div>`;
+            }
+        } else {
+            html += `<div>${escapeHtml(scope.series)}: <strong>${escapeHtml(scope.formattedValue)}</strong></div>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Draw a chart off-screen and capture it as a PNG data URI.
+     *
+     * @param {string} type     - Chart type key of CHART_CLASS_MAP
+     * @param {Array|Object} data - Array-of-arrays or DataTable JSON literal
+     * @param {Object} options  - Google Charts options, including width and height
+     * @returns {Promise<string|null>} Null if the chart type cannot be captured as an image
+     */
+    async function renderMiniChart(type, data, options) {
+        const ChartClass = google.visualization[CHART_CLASS_MAP[type]];
+        if (!ChartClass || typeof ChartClass.prototype.getImageURI !== 'function') {
+            console.warn(`[GoogleChartsFlux] Tooltip charts of type "${type}" cannot be rendered as images`);
+            return null;
+        }
+
+        const container = document.createElement('div');
+        container.style.cssText = `position:fixed;left:-9999px;top:-9999px;width:${options.width}px;height:${options.height}px;`;
+        document.body.appendChild(container);
+
+        try {
+            const chart = new ChartClass(container);
+            const uri = await new Promise((resolve, reject) => {
+                google.visualization.events.addOneTimeListener(chart, 'ready', () => {
+                    resolve(chart.getImageURI());
+                });
+                google.visualization.events.addOneTimeListener(chart, 'error', (err) => {
+                    reject(new Error(err.message || 'Tooltip chart render failed'));
+                });
+                chart.draw(toDataTable(data), options);
+            });
+            chart.clearChart();
+            return uri;
+        } finally {
+            container.remove();
+        }
+    }
+
+    // =========================================================================
+    // Remote Data
+    // =========================================================================
+
+    /**
+     * Parse CSV into array-of-arrays. The first line is the header; numeric
+     * cells become numbers and empty cells null.
+     *
+     * @param {string} text
+     * @returns {Array[]}
+     */
+    function parseCsv(text) {
+        const lines = [];
+        let line = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                line.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                line.push(field);
+                lines.push(line);
+                line = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || line.length > 0) {
+            line.push(field);
+            lines.push(line);
+        }
+
+        const [header, ...rows] = lines.filter(l => l.length > 1 || l[0] !== '');
+        if (!header) return [];
+
+        const numeric = /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+        return [header, ...rows.map(row => row.map((v) => {
+            if (v === '') return null;
+            return numeric.test(v) ? Number(v) : v;
+        }))];
+    }
+
+    /**
+     * Fetch chart data from a URL: array-of-arrays or DataTable JSON
+     * (possibly carrying ChartData metadata), or CSV.
+     *
+     * @param {string} url
+     * @param {AbortSignal} signal
+     * @returns {Promise<Array|Object>}
+     */
+    async function fetchRemoteData(url, signal) {
+        const response = await fetch(url, {
+            signal,
+            headers: { Accept: 'application/json, text/csv;q=0.9' },
+        });
+        if (!response.ok) {
+            throw new Error(`Could not load chart data from ${url} (HTTP ${response.status})`);
+        }
+
+        const text = await response.text();
+        const type = response.headers.get('Content-Type') || '';
+        return type.includes('json') || /^\s*[[{]/.test(text) ? JSON.parse(text) : parseCsv(text);
+    }
+
+    /**
+     * Send a Query Language query to a Google data source and resolve with
+     * the result as a DataTable JSON literal.
+     *
+     * @param {string} url        - Data source URL
+     * @param {string} tq         - Query Language string
+     * @param {AbortSignal} signal - Aborts the request and rejects with an AbortError
+     * @returns {Promise<Object>}
+     */
+    function queryRemoteData(url, tq, signal) {
+        return new Promise((resolve, reject) => {
+            const query = new google.visualization.Query(url);
+            if (tq) {
+                query.setQuery(tq);
+            }
+
+            signal.addEventListener('abort', () => {
+                query.abort();
+                reject(new DOMException('The chart data request was aborted', 'AbortError'));
+            }, { once: true });
+
+            query.send((response) => {
+                if (response.isError()) {
+                    reject(new Error(`${response.getMessage()}: ${response.getDetailedMessage()}`));
+                    return;
+                }
+                resolve(JSON.parse(response.getDataTable().toJSON()));
+            });
+        });
+    }
+
+    // =========================================================================
+    // Column Formatters
+    // =========================================================================
+
+    /**
+     * Format type → google.visualization formatter class name.
+     */
+    const FORMATTER_CLASS_MAP = {
+        'arrow':   'ArrowFormat',
+        'bar':     'BarFormat',
+        'color':   'ColorFormat',
+        'date':    'DateFormat',
+        'number':  'NumberFormat',
+        'pattern': 'PatternFormat',
+    };
+
+    /**
+     * Split data that carries package metadata under "_"-prefixed keys
+     * (e.g. _formats, _otherBreakdown) into the data and metadata.
+     *
+     * PHP arrays with such keys serialize to JSON objects, so the rows
+     * arrive keyed "0", "1", ... and are restored to an array here.
+     * DataTable JSON literals keep their cols/rows keys.
+     *
+     * @param {*} value - Array-of-arrays, DataTable JSON literal, or an object with numeric and "_" keys
+     * @returns {{data: *, meta: Object}}
+     */
+    function unwrapData(value) {
+        if (!value || Array.isArray(value) || typeof value !== 'object') {
+            return { data: value, meta: {} };
+        }
+        const literal = isDataTableLiteral(value);
+        const data = literal ? {} : [];
+        const meta = {};
+        for (const key of Object.keys(value)) {
+            if (key.startsWith('_')) {
+                meta[key.slice(1)] = value[key];
+            } else if (literal) {
+                data[key] = value[key];
+            } else {
+                data[Number(key)] = value[key];
+            }
+        }
+        return { data, meta };
+    }
+
+    /**
+     * Derive formats from declarative column `pattern` props: a
+     * NumberFormat for number columns and a DateFormat for date/datetime.
+     *
+     * @param {Array<{type: string, pattern?: string}>} columns
+     * @returns {Array<Object>}
+     */
+    function columnPatternFormats(columns) {
+        const formats = [];
+        columns.forEach((col, index) => {
+            if (!col.pattern) return;
+            if (col.type === 'number') {
+                formats.push({ type: 'number', columns: [index], options: { pattern: col.pattern } });
+            } else if (col.type === 'date' || col.type === 'datetime') {
+                formats.push({ type: 'date', columns: [index], options: { pattern: col.pattern } });
+            }
+        });
+        return formats;
+    }
+
+    /**
+     * Create a google.visualization formatter from a format definition.
+     *
+     * @param {Object} format - { type, options?, pattern?, ranges?, gradients? }
+     * @returns {Object} Formatter instance
+     */
+    function createFormatter(format) {
+        const className = FORMATTER_CLASS_MAP[format.type];
+        if (!className) {
+            throw new Error(`Unknown format type: "${format.type}". Valid types: ${Object.keys(FORMATTER_CLASS_MAP).join(', ')}`);
+        }
+
+        const FormatClass = google.visualization[className];
+        if (format.type === 'pattern') {
+            return new FormatClass(format.pattern);
+        }
+
+        const formatter = new FormatClass(format.options || {});
+        if (format.type === 'color') {
+            for (const range of format.ranges || []) {
+                formatter.addRange(...range);
+            }
+            for (const gradient of format.gradients || []) {
+                formatter.addGradientRange(...gradient);
+            }
+        }
+        return formatter;
+    }
+
+    /**
+     * Apply format definitions to a DataTable. Columns may be referenced
+     * by index, id or label; unknown columns are skipped with a warning.
+     *
+     * Formatters use the locale passed to the loader as `language`.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @param {Array<Object>} formats - { type, columns, options?, pattern?, source?, target?, ranges?, gradients? }
+     */
+    function applyFormatters(dataTable, formats) {
+        for (const format of formats) {
+            const formatter = createFormatter(format);
+
+            if (format.type === 'pattern') {
+                const source = (format.source || format.columns || []).map(c => findColumnIndex(dataTable, c));
+                const target = format.target !== undefined && format.target !== null
+                    ? findColumnIndex(dataTable, format.target)
+                    : undefined;
+                if (source.includes(-1) || target === -1) {
+                    console.warn('[GoogleChartsFlux] Pattern format references an unknown column:', format);
+                    continue;
+                }
+                formatter.format(dataTable, source, target);
+                continue;
+            }
+
+            for (const column of format.columns || []) {
+                const index = findColumnIndex(dataTable, column);
+                if (index === -1) {
+                    console.warn(`[GoogleChartsFlux] ${FORMATTER_CLASS_MAP[format.type]} references unknown column "${column}"`);
+                    continue;
+                }
+                formatter.format(dataTable, index);
+            }
+        }
+    }
+
+    // =========================================================================
+    // Export Helpers
+    // =========================================================================
+
+    /**
+     * MIME types for the text and image export formats.
+     *
+     * @type {Object<string, string>}
+     */
+    const EXPORT_MIME_TYPES = {
+        png: 'image/png',
+        svg: 'image/svg+xml',
+        csv: 'text/csv',
+        json: 'application/json',
+    };
+
+    /**
+     * Convert a DataTable to array-of-arrays, header row first, using
+     * formatted cell values so exports match what the chart displays.
+     *
+     * @param {google.visualization.DataTable} dataTable
+     * @returns {Array<Array<string>>}
+     */
+    function dataTableToFormattedRows(dataTable) {
+        const numCols = dataTable.getNumberOfColumns();
+        const numRows = dataTable.getNumberOfRows();
+        const rows = [Array.from({ length: numCols }, (_, c) => dataTable.getColumnLabel(c))];
+        for (let r = 0; r < numRows; r++) {
+            rows.push(Array.from({ length: numCols }, (_, c) => dataTable.getFormattedValue(r, c)));
+        }
+        return rows;
+    }
+
+    /**
+     * Serialize rows to RFC 4180 CSV.
+     *
+     * @param {Array<Array<string>>} rows
+     * @returns {string}
+     */
+    function rowsToCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const str = String(value ?? '');
+            return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+        }).join(',')).join('\r\n');
+    }
+
+    /**
+     * Find the first opaque background color behind an element, falling
+     * back to white, or zinc-900 in dark mode.
+     *
+     * @param {HTMLElement} el
+     * @returns {string}
+     */
+    function resolveBackgroundColor(el) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            const bg = getComputedStyle(node).backgroundColor;
+            if (bg && bg !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(bg)) {
+                return bg;
+            }
+        }
+        return isDarkMode() ? '#18181b' : '#ffffff';
+    }
+
+    /**
+     * Draw an image URI onto a canvas filled with a background color and
+     * return the result as a PNG data URI.
+     *
+     * @param {string} uri - PNG or SVG data URI
+     * @param {string} background - CSS color
+     * @param {number} fallbackWidth - Used when the image has no intrinsic size
+     * @param {number} fallbackHeight
+     * @returns {Promise<string>}
+     */
+    function rasterizeImage(uri, background, fallbackWidth, fallbackHeight) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.naturalWidth || fallbackWidth;
+                canvas.height = img.naturalHeight || fallbackHeight;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            img.onerror = () => reject(new Error('Failed to rasterize chart image'));
+            img.src = uri;
+        });
+    }
+
+    /**
+     * Trigger a browser download for a data URI or text content.
+     *
+     * @param {string} content - Data URI or raw text
+     * @param {string} filename
+     * @param {string} mimeType
+     */
+    function triggerDownload(content, filename, mimeType) {
+        const isDataUri = content.startsWith('data:');
+        const href = isDataUri ? content : URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        if (!isDataUri) {
+            setTimeout(() => URL.revokeObjectURL(href), 0);
+        }
+    }
+
+    // =========================================================================
+    // Alpine.js Component: googleChart
+    // =========================================================================
+
+    /**
+     * Alpine.js data component for rendering and managing a Google Chart.
+     *
+     * @param {Object} config
+     * @param {string} config.type          - Chart type (e.g. 'pie', 'bar', 'line')
+     * @param {Array|Object|null} config.data - Chart data as array-of-arrays or DataTable JSON literal
+     * @param {Object} config.options       - Chart-specific options
+     * @param {Object} config.defaults      - Default options from config
+     * @param {Object} config.darkOptions   - Dark mode option overrides
+     * @param {Object} config.responsive    - Option overrides keyed by breakpoint name or maximum container width
+     * @param {Object} config.breakpoints   - Breakpoint widths by name (e.g. {sm: 640})
+     * @param {Array} config.events         - Event listeners [{on, emit, throttle, debounce, once, to, handler}]
+     * @param {Array} config.columns        - Declarative column definitions
+     * @param {Array} config.rows           - Declarative row data
+     * @param {Array} config.seriesConfig   - Series configuration [{index, ...props}]
+     * @param {Array} config.axisConfig     - Axis configuration [{which, ...props}]
+     * @param {Array} config.formats        - Column formatter definitions [{type, columns, ...}]
+     * @param {Array} config.views          - DataView definitions [{name, columns, filters}]
+     * @param {Array} config.dataFormats    - Formatter definitions embedded in the data by ChartData
+     * @param {Object} config.loaderConfig  - Google Charts loader config
+     * @param {string} config.wireModelProp - Livewire property name for wire:model
+     * @param {string} config.loading       - Loading display type: 'skeleton', 'spinner', 'none'
+     * @param {boolean} config.lazy         - Defer loading and drawing until the chart nears the viewport
+     * @param {string} config.lazyMargin    - IntersectionObserver rootMargin for lazy charts (e.g. '200px')
+     * @param {boolean} config.toggleable   - Toggle series visibility by clicking legend entries
+     * @param {string} config.selectionProp - Livewire property bound with wire:selection
+     * @param {boolean} config.selectionLive - Sync selection changes immediately (wire:selection.live)
+     * @param {string|number} config.selectionKey - Column whose values identify rows (default: first)
+     * @param {string} config.group         - Name of a linked chart group sharing selection and hover
+     * @param {Object|null} config.drilldown - Drill-down definition {children, method, url, key, label, depth, emit}
+     * @param {Object|null} config.theme    - Theme {name, light, dark}; light/dark omitted for script-registered themes
+     * @param {string|null} config.description - Screen reader description (null = generated from the data)
+     * @param {Object|null} config.src     - Remote data source {url, query, poll}
+     * @param {Object|null} config.stream  - Streaming window {max, span, fps, channel, event, private}
+     * @param {Array} config.referenceLines - Reference lines [{value, of, label, color, darkColor, lineWidth, dash, annotation, legend, tooltip, axis}]
+     * @param {Array} config.bands         - Bands [{from, to, label, color, darkColor, opacity, legend, tooltip, axis}]
+     * @param {Object|null} config.aggregate - Grouping {by, aggregations: [{column, function}], bucket, pivot}
+     * @param {string} config.emptyMessage - Message shown (and announced) when there is no data to draw
+     * @param {Array} config.tooltips      - Tooltip definitions [{series, rows, title, chart, charts, chartOptions, chartWidth, chartHeight, html}]
+     * @param {Object} [config.otherBreakdown]         - "Other" slice breakdown data for tooltip mini-chart
+     * @param {string} config.otherBreakdown.label      - Label of the "Other" row (must match a DataTable row label)
+     * @param {Array<[string, number]>} config.otherBreakdown.items - Breakdown items as [label, value] pairs
+     * @returns {Object} Alpine.js component data
+     */
+    function googleChartComponent(config) {
+        return {
+            chart: null,
+            dataTable: null,
+            ready: false,
+            error: null,
+            drillPath: [],
+            drilling: false,
+            breakpoint: null,
+            empty: false,
+            a11y: { label: '', description: '', headers: [], rows: [], announcement: '' },
+            _cursor: null,
+            _drillStack: [],
+            _resizeObserver: null,
+            _darkModeObserver: null,
+            _drawTimeout: null,
+            _dashboard: null,
+            _intersectionObserver: null,
+            _visible: true,
+            _pendingDraw: false,
+            _cleanups: [],
+            _baseConfig: null,
+            _optionOverrides: {},
+            _templateSignature: null,
+            _hiddenSeries: new Set(),
+            _view: null,
+            _drawnData: null,
+            _selection: [],
+            _selectionIsArray: false,
+            _legendClick: false,
+            _theme: null,
+            _appearance: null,
+            // Bumped on every data change; keys the rendered tooltips
+            _dataVersion: 0,
+            _tooltipCache: new Map(),
+            _miniCharts: new Map(),
+            _remoteData: null,
+            _remoteAbort: null,
+            _pollTimer: null,
+            _polling: false,
+            _streamTimer: null,
+            _lastStreamDraw: 0,
+            _eventHandlers: new WeakMap(),
+            _size: null,
+            _aggregated: null,
+
+            /**
+             * Initialize the chart: parse sub-components, load Google Charts,
+             * build data, and render.
+             *
+             * Called automatically by Alpine (x-data auto-init). Do NOT call
+             * from x-init — Alpine handles this.
+             */
+            async init() {
+                try {
+                    // Parse declarative sub-component <template> elements
+                    // before loading the chart library or building data.
+                    this.parseSubComponents();
+
+                    if (config.theme?.light || config.theme?.dark) {
+                        ThemeRegistry.register(config.theme.name, config.theme);
+                    }
+                    this._theme = config.theme?.name || null;
+
+                    // Charts nested in <x-google-chart.dashboard> are drawn
+                    // by the dashboard from its shared DataTable.
+                    const dashboardEl = this.$el.parentElement?.closest('[data-gcf-dashboard]');
+                    if (dashboardEl) {
+                        this._dashboard = Alpine.$data(dashboardEl);
+                        this._dashboard.registerChart(this);
+                        return;
+                    }
+
+                    // Lazy charts wait for the viewport before loading the
+                    // library, building data or drawing. wire:model is read
+                    // at build time, so earlier updates are not lost.
+                    if (config.lazy) {
+                        await this.whenVisible();
+                    }
+                } catch (e) {
+                    this.error = e.message;
+                    console.error('[GoogleChartsFlux] Initialization error:', e);
+                    return;
+                }
+
+                await this.render();
+            },
+
+            /**
+             * Load the library, build data, create and draw the chart.
+             * Errors are shown in the chart's error box.
+             */
+            async render() {
+                try {
+                    await GoogleChartsLoader.load(config.loaderConfig);
+                    if (config.src) {
+                        await this.fetchRemote();
+                    }
+                    this.buildDataTable();
+                    this.createChart();
+                    this.draw();
+                    this.setupResize();
+                    this.setupDarkMode();
+                    this.setupWireModel();
+                    this.setupSelection();
+                    if (config.group) {
+                        ChartGroups.join(config.group, this);
+                    }
+                    this.startPolling();
+                    this.setupStream();
+                    this.ready = true;
+                } catch (e) {
+                    if (e.name === 'AbortError') return;
+                    this.error = e.message;
+                    console.error('[GoogleChartsFlux] Initialization error:', e);
+                }
+            },
+
+            /**
+             * Retry rendering after a failed initialization, e.g. when the
+             * Google Charts library could not be loaded, or refetch remote
+             * data after a failed poll.
+             */
+            async retry() {
+                if (this._dashboard) return;
+                this.error = null;
+                if (this.ready) {
+                    await this.reload();
+                    return;
+                }
+                await this.render();
+            },
+
+            /**
+             * Fetch the data of a `src` chart into _remoteData, aborting a
+             * request still in flight. Charts with a `query` go through
+             * google.visualization.Query, others through fetch().
+             */
+            async fetchRemote() {
+                this._remoteAbort?.abort();
+                const controller = this._remoteAbort = new AbortController();
+
+                const data = config.src.query !== null && config.src.query !== undefined
+                    ? await queryRemoteData(config.src.url, config.src.query, controller.signal)
+                    : await fetchRemoteData(config.src.url, controller.signal);
+
+                this._remoteData = this.normalizeData(data);
+            },
+
+            /**
+             * Refetch the data of a `src` chart and redraw. Failures are
+             * shown in the chart's error box, whose Retry button calls
+             * this again.
+             */
+            async reload() {
+                if (!config.src || !this.chart) return;
+
+                try {
+                    await this.fetchRemote();
+                    this.error = null;
+                    await this.receiveData(this._remoteData);
+                } catch (e) {
+                    if (e.name === 'AbortError') return;
+                    this.error = e.message;
+                    console.error('[GoogleChartsFlux] Remote data error:', e);
+                }
+            },
+
+            /**
+             * Refetch a `src` chart's data every config.src.poll seconds.
+             * Polls are skipped while the page is hidden or a lazy chart is
+             * off-screen; the next poll starts when the previous finished.
+             */
+            startPolling() {
+                if (!config.src?.poll || this._polling) return;
+                this._polling = true;
+
+                const schedule = () => {
+                    this._pollTimer = setTimeout(async () => {
+                        if (!document.hidden && this._visible) {
+                            await this.reload();
+                        }
+                        if (this._polling) schedule();
+                    }, config.src.poll * 1000);
+                };
+                schedule();
+            },
+
+            /**
+             * Stop polling and abort a remote data request in flight.
+             */
+            stopPolling() {
+                this._polling = false;
+                clearTimeout(this._pollTimer);
+                this._remoteAbort?.abort();
+            },
+
+            /**
+             * Start tracking viewport visibility and resolve once the chart
+             * first comes within config.lazyMargin of the viewport.
+             *
+             * The observer stays connected: while the chart is off-screen,
+             * draw() requests (resize, dark mode, data updates) are held
+             * and replayed once when it becomes visible again.
+             *
+             * @returns {Promise<void>}
+             */
+            whenVisible() {
+                return new Promise((resolve) => {
+                    this._visible = false;
+                    this._intersectionObserver = new IntersectionObserver((entries) => {
+                        this._visible = entries.some(entry => entry.isIntersecting);
+                        if (!this._visible) return;
+
+                        resolve();
+                        if (this._pendingDraw) {
+                            this._pendingDraw = false;
+                            this.draw();
+                        }
+                    }, { rootMargin: config.lazyMargin || '200px' });
+                    this._intersectionObserver.observe(this.$el);
+                });
+            },
+
+            /**
+             * Parse child <template> elements rendered by sub-components
+             * (options, column, row, event, series, axis, format, view, drilldown, tooltip, stream,
+             * reference-line, band, aggregate) and merge their
+             * configuration into the config closure.
+             */
+            parseSubComponents() {
+                const el = this.$el;
+
+                // Start from the prop-derived config so re-parsing after a
+                // Livewire morph doesn't duplicate columns, rows or events.
+                const keys = ['options', 'responsive', 'events', 'columns', 'rows', 'seriesConfig', 'axisConfig', 'formats', 'views', 'drilldown', 'tooltips', 'stream', 'referenceLines', 'bands', 'aggregate'];
+                if (!this._baseConfig) {
+                    this._baseConfig = JSON.parse(JSON.stringify(Object.fromEntries(keys.map(k => [k, config[k]]))));
+                } else {
+                    Object.assign(config, JSON.parse(JSON.stringify(this._baseConfig)));
+                }
+                this._templateSignature = this.templateSignature();
+
+                el.querySelectorAll('template[data-gcf-options]').forEach(t => {
+                    const parsed = JSON.parse(t.dataset.gcfOptions);
+                    const breakpoint = t.dataset.gcfBreakpoint;
+                    if (breakpoint) {
+                        config.responsive[breakpoint] = { ...config.responsive[breakpoint], ...parsed };
+                    } else {
+                        config.options = { ...config.options, ...parsed };
+                    }
+                });
+
+                el.querySelectorAll('template[data-gcf-column]').forEach(t => {
+                    config.columns.push(JSON.parse(t.dataset.gcfColumn));
+                });
+
+                el.querySelectorAll('template[data-gcf-row]').forEach(t => {
+                    config.rows.push(JSON.parse(t.dataset.gcfRow));
+                });
+
+                el.querySelectorAll('template[data-gcf-event]').forEach(t => {
+                    config.events.push(JSON.parse(t.dataset.gcfEvent));
+                });
+
+                el.querySelectorAll('template[data-gcf-series]').forEach(t => {
+                    config.seriesConfig.push(JSON.parse(t.dataset.gcfSeries));
+                });
+
+                el.querySelectorAll('template[data-gcf-axis]').forEach(t => {
+                    config.axisConfig.push(JSON.parse(t.dataset.gcfAxis));
+                });
+
+                el.querySelectorAll('template[data-gcf-format]').forEach(t => {
+                    config.formats.push(JSON.parse(t.dataset.gcfFormat));
+                });
+
+                el.querySelectorAll('template[data-gcf-view]').forEach(t => {
+                    config.views.push(JSON.parse(t.dataset.gcfView));
+                });
+
+                el.querySelectorAll('template[data-gcf-drilldown]').forEach(t => {
+                    config.drilldown = JSON.parse(t.dataset.gcfDrilldown);
+                });
+
+                el.querySelectorAll('template[data-gcf-stream]').forEach(t => {
+                    config.stream = JSON.parse(t.dataset.gcfStream);
+                });
+
+                el.querySelectorAll('template[data-gcf-reference-line]').forEach(t => {
+                    config.referenceLines.push(JSON.parse(t.dataset.gcfReferenceLine));
+                });
+
+                el.querySelectorAll('template[data-gcf-band]').forEach(t => {
+                    config.bands.push(JSON.parse(t.dataset.gcfBand));
+                });
+
+                el.querySelectorAll('template[data-gcf-aggregate]').forEach(t => {
+                    config.aggregate = JSON.parse(t.dataset.gcfAggregate);
+                });
+
+                // The template's Alpine markup is rendered per point at draw time
+                el.querySelectorAll('template[data-gcf-tooltip]').forEach(t => {
+                    config.tooltips.push({ ...JSON.parse(t.dataset.gcfTooltip), html: t.innerHTML.trim() });
+                });
+
+                // Options set at runtime through updateOptions() win over templates
+                config.options = deepMerge(config.options || {}, this._optionOverrides);
+
+                // The first declared view is drawn by default; a view picked
+                // through setView() survives re-parsing if it still exists.
+                if (this._view?.name) {
+                    this._view = config.views.find(v => v.name === this._view.name) || null;
+                }
+                if (!this._view) {
+                    this._view = config.views[0] || null;
+                }
+            },
+
+            /**
+             * Serialize the sub-component templates so a morph that leaves
+             * them unchanged can be ignored.
+             *
+             * @returns {string}
+             */
+            templateSignature() {
+                return Array.from(this.$el.querySelectorAll('template'), t => t.outerHTML).join('');
+            },
+
+            /**
+             * Re-apply sub-component templates after Livewire morphed the
+             * chart's children: re-parse, rebind events (without duplicating
+             * listeners), rebuild data and redraw. No-op when the templates
+             * did not change.
+             */
+            async refresh() {
+                if (this.templateSignature() === this._templateSignature) return;
+
+                try {
+                    this.parseSubComponents();
+
+                    if (this._dashboard) {
+                        this._dashboard.rebindChart(this);
+                        this.draw();
+                        return;
+                    }
+
+                    // Not rendered yet (lazy or failed): render() picks up
+                    // the re-parsed config.
+                    if (!this.chart) return;
+
+                    google.visualization.events.removeAllListeners(this.chart);
+                    this.registerEvents();
+                    this.buildDataTable();
+                    this.draw();
+                } catch (e) {
+                    this.error = e.message;
+                    console.error('[GoogleChartsFlux] Refresh error:', e);
+                }
+            },
+
+            /**
+             * Add a document/window listener that destroy() removes.
+             *
+             * @param {EventTarget} target
+             * @param {string} name
+             * @param {Function} handler
+             */
+            listen(target, name, handler) {
+                target.addEventListener(name, handler);
+                this._cleanups.push(() => target.removeEventListener(name, handler));
+            },
+
+            /**
+             * Build the DataTable from either array data or declarative columns/rows.
+             * Without either, the DataTable stays null and the chart shows
+             * its empty state until data arrives.
+             */
+            buildDataTable() {
+                const data = this.resolveData();
+                this._dataVersion++;
+                if (hasData(data)) {
+                    this.dataTable = toDataTable(data);
+                } else if (config.columns && config.columns.length > 0) {
+                    this.dataTable = columnsRowsToDataTable(config.columns, config.rows || []);
+                } else {
+                    this.dataTable = null;
+                }
+                this.applyFormats();
+            },
+
+            /**
+             * Apply column formatters from <x-google-chart.format> children,
+             * column `pattern` props and ChartData to the current DataTable.
+             * Called after every DataTable build or in-place update.
+             */
+            applyFormats(dataTable = this.dataTable) {
+                if (!dataTable) return;
+                applyFormatters(dataTable, [
+                    ...columnPatternFormats(config.columns || []),
+                    ...(config.formats || []),
+                    ...(config.dataFormats || []),
+                ]);
+            },
+
+            /**
+             * Unwrap data metadata embedded by the PHP helpers (ChartData
+             * formats, groupSmallSlices() breakdowns) into the config and
+             * return the plain array-of-arrays.
+             *
+             * @param {*} value - Data as received from :data, wire:model or an event
+             * @returns {Array|Object|null} Array-of-arrays, DataTable JSON literal, or null
+             */
+            normalizeData(value) {
+                const { data, meta } = unwrapData(value);
+                if (meta.formats) {
+                    config.dataFormats = meta.formats;
+                }
+                if (meta.otherBreakdown) {
+                    config.otherBreakdown = meta.otherBreakdown;
+                }
+                return Array.isArray(data) || isDataTableLiteral(data) ? data : null;
+            },
+
+            /**
+             * Determine whether the chart draws reference lines or bands.
+             * Dashboard-bound charts get their data from the dashboard and
+             * don't.
+             *
+             * @returns {boolean}
+             */
+            hasOverlays() {
+                return !this._dashboard
+                    && config.type in OVERLAY_CHART_TYPES
+                    && ((config.referenceLines || []).length > 0 || (config.bands || []).length > 0);
+            },
+
+            /**
+             * Append the generated columns of reference lines and bands to
+             * a copy of the data to draw: a constant series per line (plus
+             * an annotation column for its end label), and per band an
+             * invisible series carrying two area interval columns. Line
+             * values following a statistic are computed from the data, so
+             * they move with every update.
+             *
+             * @param {google.visualization.DataTable|google.visualization.DataView} source
+             * @returns {google.visualization.DataTable|google.visualization.DataView}
+             */
+            withOverlays(source) {
+                if (!this.hasOverlays()) return source;
+
+                const table = source instanceof google.visualization.DataTable ? source.clone() : source.toDataTable();
+                const numRows = table.getNumberOfRows();
+                const series = this.seriesColumns(table);
+
+                const addColumn = (spec, values) => {
+                    const c = table.addColumn(spec);
+                    table.setColumnProperty(c, 'gcfOverlay', true);
+                    values.forEach((value, r) => table.setValue(r, c, value));
+                };
+
+                config.referenceLines.forEach((line) => {
+                    const value = typeof line.value === 'number'
+                        ? line.value
+                        : seriesStatistic(table, line.of === null ? series[0] : findColumnIndex(table, line.of), line.value);
+
+                    addColumn({ type: 'number', label: line.label }, Array(numRows).fill(value));
+                    if (line.annotation) {
+                        addColumn(
+                            { type: 'string', role: 'annotation' },
+                            Array.from({ length: numRows }, (_, r) => (r === numRows - 1 && value !== null ? line.annotation : null)),
+                        );
+                    }
+                });
+
+                config.bands.forEach((band, index) => {
+                    addColumn({ type: 'number', label: band.label }, Array(numRows).fill(band.from));
+                    addColumn({ type: 'number', role: 'interval', id: `gcf-band-${index}` }, Array(numRows).fill(band.from));
+                    addColumn({ type: 'number', role: 'interval', id: `gcf-band-${index}` }, Array(numRows).fill(band.to));
+                });
+
+                return table;
+            },
+
+            /**
+             * Add the series and interval options of reference lines and
+             * bands. Their series come after the data's own series, in the
+             * order withOverlays() appends them.
+             *
+             * @param {Object} opts - Options built so far
+             * @returns {Object}
+             */
+            overlayOptions(opts) {
+                const dark = isDarkMode();
+                const color = (overlay, kind) => (dark ? overlay.darkColor : null)
+                    || overlay.color
+                    || OVERLAY_COLORS[kind][dark ? 'dark' : 'light'];
+
+                let index = this.dataTable ? this.seriesColumns().length : 0;
+                const series = {};
+                const interval = {};
+
+                config.referenceLines.forEach((line) => {
+                    const lineColor = color(line, 'line');
+                    series[index++] = {
+                        type: 'line',
+                        color: lineColor,
+                        lineWidth: line.lineWidth,
+                        pointSize: 0,
+                        visibleInLegend: line.legend,
+                        enableInteractivity: line.tooltip,
+                        annotations: {
+                            stem: { length: 0 },
+                            textStyle: { color: lineColor, bold: true },
+                        },
+                        ...(line.dash ? { lineDashStyle: line.dash } : {}),
+                        ...(line.axis !== null ? { targetAxisIndex: line.axis } : {}),
+                    };
+                });
+
+                config.bands.forEach((band, i) => {
+                    const bandColor = color(band, 'band');
+                    series[index++] = {
+                        type: 'line',
+                        color: bandColor,
+                        lineWidth: 0,
+                        pointSize: 0,
+                        visibleInLegend: band.legend,
+                        enableInteractivity: band.tooltip,
+                        ...(band.axis !== null ? { targetAxisIndex: band.axis } : {}),
+                    };
+                    interval[`gcf-band-${i}`] = { style: 'area', color: bandColor, fillOpacity: band.opacity, lineWidth: 0 };
+                });
+
+                const seriesType = OVERLAY_CHART_TYPES[config.type];
+                if (seriesType) {
+                    opts.seriesType = seriesType;
+                    if (config.type === 'bar') {
+                        opts.orientation = 'vertical';
+                    }
+                }
+                opts.series = deepMerge(opts.series || {}, series);
+                opts.interval = deepMerge(opts.interval || {}, interval);
+                return opts;
+            },
+
+            /**
+             * Collect the tooltip definitions: <x-google-chart.tooltip>
+             * children, plus a mini pie chart for the "Other" row when the
+             * data carries a groupSmallSlices() breakdown.
+             *
+             * @returns {Object[]}
+             */
+            tooltipDefinitions() {
+                const definitions = [...(config.tooltips || [])];
+                const breakdown = config.otherBreakdown;
+                if (breakdown?.items?.length) {
+                    definitions.push({
+                        series: null,
+                        rows: [breakdown.label],
+                        key: 0,
+                        title: `${breakdown.label} Breakdown`,
+                        chart: 'pie',
+                        charts: { [breakdown.label]: [['Label', 'Value'], ...breakdown.items] },
+                        chartOptions: {
+                            legend: { position: 'labeled' },
+                            pieSliceText: 'percentage',
+                            pieSliceTextStyle: { fontSize: 10 },
+                        },
+                        chartWidth: 280,
+                        chartHeight: 180,
+                        listItems: true,
+                        html: '',
+                    });
+                }
+                return definitions;
+            },
+
+            /**
+             * Copy the drawn data with an HTML tooltip column after every
+             * series column that has a tooltip definition.
+             *
+             * Rendered tooltips are cached by point (definition, row and
+             * series) and mini chart inputs until the data changes (see
+             * _dataVersion), so redraws for resizes or series toggles reuse
+             * them, while appearance changes re-render tooltips with a mini
+             * chart. Mini chart images are cached by their inputs and render
+             * concurrently. Entries no longer drawn are dropped.
+             *
+             * @param {google.visualization.DataTable|google.visualization.DataView} source
+             * @returns {Promise<google.visualization.DataTable|google.visualization.DataView>}
+             */
+            async withTooltips(source) {
+                const definitions = this.tooltipDefinitions();
+                if (definitions.length === 0 || !HTML_TOOLTIP_TYPES.has(config.type)) {
+                    return source;
+                }
+                injectTooltipStyles();
+
+                const table = source instanceof google.visualization.DataTable ? source.clone() : source.toDataTable();
+                const numCols = table.getNumberOfColumns();
+                const labels = [];
+                for (let c = 0; c < numCols; c++) {
+                    labels.push(table.getColumnRole(c) ? null : (table.getColumnLabel(c) || table.getColumnId(c) || String(c)));
+                }
+
+                const series = this.seriesColumns(table);
+                const scopes = definitions.map((definition) => {
+                    const keyColumn = findColumnIndex(table, definition.key ?? config.selectionKey ?? 0);
+                    const columns = definition.series
+                        ? definition.series.map(s => findColumnIndex(table, s))
+                        : series;
+                    return { definition, keyColumn, columns };
+                });
+
+                const miniChartOptions = definitions.map(definition => (definition.chart ? this.miniChartOptions(definition) : null));
+                const tooltips = new Map();
+                const miniCharts = new Map();
+                const cells = [];
+
+                for (let r = 0; r < table.getNumberOfRows(); r++) {
+                    const row = {};
+                    const formatted = {};
+                    labels.forEach((label, c) => {
+                        if (label === null) return;
+                        row[label] = table.getValue(r, c);
+                        formatted[label] = table.getFormattedValue(r, c);
+                    });
+
+                    for (const c of series) {
+                        const value = table.getValue(r, c);
+                        if (value === null) continue;
+
+                        const match = scopes.find(({ definition, keyColumn, columns }) => {
+                            if (!columns.includes(c)) return false;
+                            if (!definition.rows) return true;
+                            const key = keyColumn === -1 ? undefined : table.getValue(r, keyColumn);
+                            return definition.rows.some(k => String(k) === String(key instanceof Date ? key.toISOString() : key));
+                        });
+                        if (!match) continue;
+
+                        const { definition, keyColumn } = match;
+                        let key = keyColumn === -1 ? null : table.getValue(r, keyColumn);
+                        key = key instanceof Date ? key.toISOString() : key;
+
+                        const chartData = definition.charts?.[key] ?? null;
+                        const defIndex = definitions.indexOf(definition);
+                        const miniChart = definition.chart && chartData
+                            ? JSON.stringify([definition.chart, chartData, miniChartOptions[defIndex]])
+                            : '';
+
+                        const signature = `${this._dataVersion}:${defIndex}:${r}:${labels[c]}:${miniChart}`;
+                        let html = tooltips.get(signature) ?? this._tooltipCache.get(signature);
+                        if (html === undefined) {
+                            const scope = {
+                                row,
+                                formatted,
+                                key,
+                                series: labels[c],
+                                value,
+                                formattedValue: table.getFormattedValue(r, c),
+                                chart: null,
+                                items: Array.isArray(chartData) ? chartData.slice(1) : [],
+                            };
+                            const domain = table.getFormattedValue(r, 0);
+                            const image = miniChart
+                                ? this.miniChart(miniChart, definition.chart, chartData, miniChartOptions[defIndex], miniCharts)
+                                : Promise.resolve(null);
+                            html = image
+                                .then((chart) => {
+                                    scope.chart = chart;
+                                    return definition.html
+                                        ? renderTooltipTemplate(definition.html, scope)
+                                        : defaultTooltipHtml(definition, scope, domain);
+                                })
+                                .then(content => `<div class="gcf-tooltip">${content}</div>`);
+                        } else if (this._miniCharts.has(miniChart)) {
+                            miniCharts.set(miniChart, this._miniCharts.get(miniChart));
+                        }
+                        tooltips.set(signature, html);
+                        cells.push([r, c, signature]);
+                    }
+                }
+
+                // Mini charts and templates render concurrently, each in its own container
+                for (const [signature, html] of tooltips) {
+                    tooltips.set(signature, await html);
+                }
+
+                this._tooltipCache = tooltips;
+                this._miniCharts = miniCharts;
+
+                // Insert from the last series so earlier indices stay valid
+                for (const c of [...new Set(cells.map(([, column]) => column))].sort((a, b) => b - a)) {
+                    table.insertColumn(c + 1, 'string');
+                    table.setColumnProperties(c + 1, { role: 'tooltip', html: true });
+                    for (const [r, column, signature] of cells) {
+                        if (column === c) {
+                            table.setCell(r, c + 1, tooltips.get(signature));
+                        }
+                    }
+                }
+
+                return table;
+            },
+
+            /**
+             * Google Charts options of a tooltip's mini chart in the current
+             * color scheme.
+             *
+             * @param {Object} definition - Tooltip definition
+             * @returns {Object}
+             */
+            miniChartOptions(definition) {
+                let options = {
+                    backgroundColor: 'transparent',
+                    enableInteractivity: false,
+                    legend: { position: 'none' },
+                    chartArea: { width: '90%', height: '85%' },
+                    width: definition.chartWidth,
+                    height: definition.chartHeight,
+                };
+                if (isDarkMode()) {
+                    options = deepMerge(options, config.darkOptions || {});
+                }
+                return resolveCssTokens(deepMerge(options, definition.chartOptions || {}), this.$el);
+            },
+
+            /**
+             * Get the PNG data URI of a tooltip's mini chart, rendering it
+             * only when its type, data or options changed.
+             *
+             * @param {string} signature  - JSON of the type, data and options
+             * @param {string} type       - Chart type key of CHART_CLASS_MAP
+             * @param {Array|Object} data - Mini chart data
+             * @param {Object} options    - Options from miniChartOptions()
+             * @param {Map} used          - Collects the images of this pass
+             * @returns {Promise<string|null>}
+             */
+            miniChart(signature, type, data, options, used) {
+                if (!used.has(signature)) {
+                    used.set(signature, this._miniCharts.get(signature)
+                        ?? renderMiniChart(type, data, options).catch((e) => {
+                            console.warn('[GoogleChartsFlux] Tooltip chart error:', e);
+                            return null;
+                        }));
+                }
+                return used.get(signature);
+            },
+
+            /**
+             * Resolve the current data source — from wire:model or static data prop.
+             *
+             * @returns {Array|null}
+             */
+            resolveData() {
+                // src charts draw the fetched data
+                if (config.src) {
+                    return this._remoteData;
+                }
+
+                // If we have a wire:model binding, read from the Livewire component
+                if (config.wireModelProp && this.$wire) {
+                    const value = this.normalizeData(this.$wire.get(config.wireModelProp));
+                    if (value) return value;
+                }
+                return config.data;
+            },
+
+            /**
+             * Get the Google Charts visualization class name for this chart.
+             *
+             * @returns {string}
+             */
+            chartClassName() {
+                if (this.hasOverlays() && OVERLAY_CHART_TYPES[config.type]) {
+                    return 'ComboChart';
+                }
+                const className = CHART_CLASS_MAP[config.type];
+                if (!className) {
+                    throw new Error(`Unknown chart type: "${config.type}". Valid types: ${Object.keys(CHART_CLASS_MAP).join(', ')}`);
+                }
+                return className;
+            },
+
+            /**
+             * Create the Google Charts visualization instance.
+             */
+            createChart() {
+                const className = this.chartClassName();
+                const ChartClass = google.visualization[className];
+                if (!ChartClass) {
+                    throw new Error(`Google Charts class "${className}" not found. Ensure the "${(config.loaderConfig.requires || []).join('", "')}" package is loaded.`);
+                }
+
+                this.chart = new ChartClass(this.$refs.canvas);
+                this.registerEvents();
+            },
+
+            /**
+             * Draw (or redraw) the chart with current data and merged options.
+             */
+            draw() {
+                if (this._dashboard) {
+                    this._dashboard.draw();
+                    return;
+                }
+                if (!this.chart) return;
+
+                try {
+                    this._aggregated = this.aggregateData();
+                } catch (e) {
+                    this.error = e.message;
+                    console.error('[GoogleChartsFlux] Aggregate error:', e);
+                    return;
+                }
+
+                // Hold redraws for off-screen lazy charts. The empty state
+                // is decided when the held draw runs, so no 'empty' event
+                // fires for a chart nobody sees.
+                if (!this._visible) {
+                    this._pendingDraw = true;
+                    return;
+                }
+
+                // Show the empty state instead of a blank or stale chart
+                if (this.updateEmptyState()) {
+                    clearTimeout(this._drawTimeout);
+                    this._drawTimeout = null;
+                    return;
+                }
+
+                const mergedOptions = this.buildOptions();
+
+                // Debounce rapid redraws (e.g., during resize)
+                clearTimeout(this._drawTimeout);
+                const timeout = this._drawTimeout = setTimeout(async () => {
+                    try {
+                        const data = this.withOverlays(await this.withTooltips(this.drawData()));
+                        // A newer draw() was requested while tooltips rendered
+                        if (this._drawTimeout !== timeout) return;
+
+                        this._drawnData = data;
+                        this.chart.draw(this._drawnData, mergedOptions);
+                        this.updateAccessibility(mergedOptions);
+                    } catch (e) {
+                        this.error = e.message;
+                        console.error('[GoogleChartsFlux] Draw error:', e);
+                    }
+                }, 10);
+            },
+
+            /**
+             * Determine whether there is nothing to draw: no DataTable, no
+             * rows in the drawn view, or only null values in every series.
+             *
+             * @returns {boolean}
+             */
+            isEmpty() {
+                if (!this.dataTable) return true;
+                const source = this.viewData();
+                const numRows = source.getNumberOfRows();
+                if (numRows === 0) return true;
+
+                const series = this.seriesColumns(source);
+                if (series.length === 0) return false;
+
+                for (let r = 0; r < numRows; r++) {
+                    if (series.some(c => source.getValue(r, c) !== null)) return false;
+                }
+                return true;
+            },
+
+            /**
+             * Enter or leave the empty state. Entering it dispatches 'empty'
+             * to every <x-google-chart.event on="empty"> and announces the
+             * empty message.
+             *
+             * @returns {boolean} Whether the chart is empty
+             */
+            updateEmptyState() {
+                const empty = this.isEmpty();
+                if (empty === this.empty) return empty;
+
+                this.empty = empty;
+                if (!empty) return false;
+
+                const message = this.$el.querySelector(':scope > [data-gcf-empty]')?.textContent.trim()
+                    || config.emptyMessage;
+                this._drawnData = null;
+                this.a11y.description = message;
+                this.a11y.headers = [];
+                this.a11y.rows = [];
+                this.announce(message);
+                this.dispatchSynthetic('empty', {
+                    chartType: config.type,
+                    event: 'empty',
+                    message,
+                });
+                return true;
+            },
+
+            /**
+             * Build the final options object by merging defaults, per-chart
+             * options, series/axis config, and dark mode overrides.
+             *
+             * @returns {Object}
+             */
+            buildOptions() {
+                const theme = this._theme ? ThemeRegistry.get(this._theme) : null;
+                let opts = deepMerge(config.defaults || {}, theme?.light || {});
+                opts = deepMerge(opts, config.options || {});
+
+                // Apply donut hole for 'donut' type
+                if (config.type === 'donut' && opts.pieHole === undefined) {
+                    opts.pieHole = 0.4;
+                }
+
+                // Merge series configuration
+                if (config.seriesConfig && config.seriesConfig.length > 0) {
+                    const series = {};
+                    for (const s of config.seriesConfig) {
+                        const idx = s.index;
+                        const props = { ...s };
+                        delete props.index;
+                        series[idx] = props;
+                    }
+                    opts.series = deepMerge(opts.series || {}, series);
+                }
+
+                // Merge axis configuration
+                if (config.axisConfig && config.axisConfig.length > 0) {
+                    for (const a of config.axisConfig) {
+                        const props = { ...a };
+                        const which = props.which;
+                        delete props.which;
+
+                        const axisKey = which === 'h' ? 'hAxis' : 'vAxis';
+                        opts[axisKey] = deepMerge(opts[axisKey] || {}, props);
+                    }
+                }
+
+                // Apply the overrides of the breakpoints the container fits
+                opts = deepMerge(opts, this.responsiveOptions());
+
+                // Series hidden by options are drawn empty (see drawData());
+                // keep them out of the legend too.
+                const hideSeries = opts.hideSeries || [];
+                delete opts.hideSeries;
+                if (hideSeries.length > 0 && this.dataTable) {
+                    const source = this.viewData();
+                    const series = {};
+                    this.seriesColumns(source).forEach((c, index) => {
+                        if (hideSeries.includes(source.getColumnLabel(c))) {
+                            series[index] = { visibleInLegend: false };
+                        }
+                    });
+                    opts.series = deepMerge(opts.series || {}, series);
+                }
+
+                // Apply dark mode overrides, then the theme's dark variant
+                if (isDarkMode()) {
+                    opts = deepMerge(opts, config.darkOptions || {});
+                    opts = deepMerge(opts, theme?.dark || {});
+                }
+
+                // Grey out the legend entries of hidden series. Visible
+                // series keep their index and therefore their color.
+                if (config.toggleable && !this._dashboard && this._hiddenSeries.size > 0 && this.dataTable) {
+                    const source = this.viewData();
+                    const color = isDarkMode() ? HIDDEN_SERIES_COLORS.dark : HIDDEN_SERIES_COLORS.light;
+                    const series = {};
+                    this.seriesColumns(source).forEach((c, index) => {
+                        if (this._hiddenSeries.has(source.getColumnLabel(c))) {
+                            series[index] = { color };
+                        }
+                    });
+                    opts.series = deepMerge(opts.series || {}, series);
+                }
+
+                // Reference lines and bands on their generated series
+                if (this.hasOverlays()) {
+                    opts = this.overlayOptions(opts);
+                }
+
+                // Rendered tooltips need HTML tooltips
+                if (!this._dashboard && HTML_TOOLTIP_TYPES.has(config.type) && this.tooltipDefinitions().length > 0) {
+                    opts.tooltip = { ...(opts.tooltip || {}), isHtml: true };
+                }
+
+                return resolveCssTokens(opts, this.$el);
+            },
+
+            /**
+             * Get the merged option overrides of every breakpoint at least
+             * as wide as the container, wider breakpoints first so the
+             * narrowest wins.
+             *
+             * @param {number} [width] - Container width (default: measured)
+             * @returns {Object}
+             */
+            responsiveOptions(width = this.containerWidth()) {
+                return this.matchingBreakpoints(width)
+                    .reduce((opts, breakpoint) => deepMerge(opts, config.responsive[breakpoint]), {});
+            },
+
+            /**
+             * Get the responsive breakpoints at least as wide as the
+             * container, widest first.
+             *
+             * @param {number} width
+             * @returns {string[]}
+             */
+            matchingBreakpoints(width) {
+                const widthOf = (breakpoint) => config.breakpoints?.[breakpoint] ?? Number(breakpoint);
+
+                return Object.keys(config.responsive || {})
+                    .filter(breakpoint => width <= widthOf(breakpoint))
+                    .sort((a, b) => widthOf(b) - widthOf(a));
+            },
+
+            /**
+             * Get the chart container's current width in pixels.
+             *
+             * @returns {number}
+             */
+            containerWidth() {
+                return this._size ? this._size.width : Math.round(this.$el.getBoundingClientRect().width);
+            },
+
+            /**
+             * Get the labels of series hidden by options (hideSeries) at
+             * the current width.
+             *
+             * @returns {string[]}
+             */
+            optionHiddenSeries() {
+                return deepMerge(config.options || {}, this.responsiveOptions()).hideSeries || [];
+            },
+
+            /**
+             * Switch to another registered theme and redraw.
+             *
+             * @param {string|null} name - Theme name, or null for no theme
+             */
+            setTheme(name) {
+                if (name && !ThemeRegistry.get(name)) {
+                    console.warn(`[GoogleChartsFlux] Unknown theme "${name}". Register it with GoogleChartsFlux.themes.register().`);
+                    return;
+                }
+                this._theme = name || null;
+                this._appearance = null;
+                this.draw();
+            },
+
+            /**
+             * Get the data to draw: the active view (see setView()), or a
+             * DataView over it in which the columns of hidden series (from
+             * legend clicks or hideSeries options, and their role columns)
+             * are replaced by empty calculated columns.
+             * Keeping the columns keeps series indices, colors and legend
+             * entries stable.
+             *
+             * @returns {google.visualization.DataTable|google.visualization.DataView}
+             */
+            drawData() {
+                const source = this.viewData();
+                const hiddenSeries = new Set(this.optionHiddenSeries());
+                if (config.toggleable) {
+                    this._hiddenSeries.forEach(label => hiddenSeries.add(label));
+                }
+                if (hiddenSeries.size === 0) {
+                    return source;
+                }
+
+                const view = new google.visualization.DataView(source);
+                const columns = [];
+                let hidden = false;
+
+                for (let c = 0; c < source.getNumberOfColumns(); c++) {
+                    const role = source.getColumnRole(c);
+                    if (c > 0 && !role) {
+                        hidden = hiddenSeries.has(source.getColumnLabel(c));
+                    }
+
+                    if (c === 0 || !hidden) {
+                        columns.push(c);
+                        continue;
+                    }
+
+                    const column = {
+                        type: source.getColumnType(c),
+                        label: source.getColumnLabel(c),
+                        calc: () => null,
+                    };
+                    if (role) {
+                        column.role = role;
+                    }
+                    columns.push(column);
+                }
+
+                view.setColumns(columns);
+                return view;
+            },
+
+            /**
+             * Get the DataTable (grouped by the aggregate, if any) wrapped
+             * in the active DataView, or itself when no view is active.
+             *
+             * @returns {google.visualization.DataTable|google.visualization.DataView}
+             */
+            viewData() {
+                const data = this._aggregated || this.dataTable;
+                return this._view && data
+                    ? createDataView(data, this._view)
+                    : data;
+            },
+
+            /**
+             * Group the DataTable by the <x-google-chart.aggregate>
+             * definition, if any. Runs on every draw, so in-place updates,
+             * streamed points and drill levels are all aggregated; the
+             * DataTable itself keeps the raw rows for diffing.
+             *
+             * @returns {google.visualization.DataTable|null} The grouped data, or null without an aggregate
+             */
+            aggregateData() {
+                if (!config.aggregate || !this.dataTable) return null;
+
+                const aggregated = aggregateDataTable(this.dataTable, config.aggregate);
+                this.applyFormats(aggregated);
+                return aggregated;
+            },
+
+            /**
+             * Switch the drawn view client-side, without a server request.
+             *
+             * @param {string|Object|null} view - Name of an <x-google-chart.view>,
+             *     a view definition ({columns, filters}), or null for all data
+             */
+            setView(view) {
+                if (typeof view === 'string') {
+                    const named = config.views.find(v => v.name === view);
+                    if (!named) {
+                        console.warn(`[GoogleChartsFlux] Unknown view "${view}"`);
+                        return;
+                    }
+                    view = named;
+                }
+
+                this._view = view || null;
+                this._dataVersion++;
+                this.draw();
+            },
+
+            /**
+             * Get the series column indices of the drawn data (data columns
+             * after the domain column, excluding role columns and the
+             * generated series of reference lines and bands).
+             *
+             * @param {google.visualization.DataTable|google.visualization.DataView} [source]
+             * @returns {number[]}
+             */
+            seriesColumns(source = this.viewData()) {
+                const columns = [];
+                for (let c = 1; c < source.getNumberOfColumns(); c++) {
+                    if (!source.getColumnRole(c) && !source.getColumnProperty(c, 'gcfOverlay')) {
+                        columns.push(c);
+                    }
+                }
+                return columns;
+            },
+
+            /**
+             * Toggle a series from a legend click: a selection with a
+             * column but no row.
+             */
+            handleLegendClick() {
+                const selection = this.chart.getSelection();
+                if (selection.length !== 1) return;
+
+                const { row, column } = selection[0];
+                if ((row !== null && row !== undefined) || column === null || column === undefined) return;
+
+                this._legendClick = true;
+                this.chart.setSelection([]);
+                this.toggleSeries(column);
+            },
+
+            /**
+             * Show or hide a series and report the visible set.
+             *
+             * @param {number|string} column - Column index, id or label of the series
+             */
+            toggleSeries(column) {
+                if (!this.dataTable) return;
+                const source = this.viewData();
+                const index = findColumnIndex(source, column);
+                if (index < 1 || source.getColumnRole(index)) return;
+
+                const label = source.getColumnLabel(index);
+                if (!this._hiddenSeries.delete(label)) {
+                    this._hiddenSeries.add(label);
+                }
+
+                this.draw();
+                this.emitSeriesToggle(label);
+            },
+
+            /**
+             * Show every hidden series.
+             */
+            showAllSeries() {
+                if (this._hiddenSeries.size === 0) return;
+                this._hiddenSeries.clear();
+                this.draw();
+                this.emitSeriesToggle(null);
+            },
+
+            /**
+             * Get the labels of the currently visible series.
+             *
+             * @returns {string[]}
+             */
+            visibleSeries() {
+                if (!this.dataTable) return [];
+                const source = this.viewData();
+                return this.seriesColumns(source)
+                    .map(c => source.getColumnLabel(c))
+                    .filter(label => !this._hiddenSeries.has(label));
+            },
+
+            /**
+             * Dispatch 'seriestoggle' to every <x-google-chart.event on="seriestoggle">.
+             *
+             * @param {string|null} toggled - Label of the toggled series (null when all were shown)
+             */
+            emitSeriesToggle(toggled) {
+                const source = this.viewData();
+                const labels = this.seriesColumns(source).map(c => source.getColumnLabel(c));
+                const payload = {
+                    chartType: config.type,
+                    event: 'seriestoggle',
+                    toggled,
+                    visible: this.visibleSeries(),
+                    hidden: labels.filter(label => this._hiddenSeries.has(label)),
+                };
+
+                this.dispatchSynthetic('seriestoggle', payload);
+            },
+
+            /**
+             * Dispatch a component-level event (see SYNTHETIC_EVENTS) to every
+             * <x-google-chart.event> listening for it.
+             *
+             * @param {string} eventName
+             * @param {Object} payload
+             */
+            dispatchSynthetic(eventName, payload) {
+                for (const evt of config.events || []) {
+                    if (evt.on === eventName) {
+                        this.eventHandler(evt)(payload);
+                    }
+                }
+            },
+
+            /**
+             * Get the delivery function of an <x-google-chart.event>,
+             * applying its once, throttle and debounce modifiers. Kept per
+             * definition so the modifiers' state survives re-registering
+             * listeners.
+             *
+             * @param {Object} evt - Event definition {on, emit, throttle, debounce, once, to, handler}
+             * @returns {function(Object): void}
+             */
+            eventHandler(evt) {
+                let handler = this._eventHandlers.get(evt);
+                if (handler) return handler;
+
+                let delivered = false;
+                const deliver = (payload) => {
+                    if (evt.once && delivered) return;
+                    delivered = true;
+                    this.deliverEvent(evt, payload);
+                };
+
+                if (evt.debounce) {
+                    handler = debounce(deliver, evt.debounce);
+                } else if (evt.throttle) {
+                    handler = throttle(deliver, evt.throttle);
+                } else {
+                    handler = deliver;
+                }
+                this._eventHandlers.set(evt, handler);
+                return handler;
+            },
+
+            /**
+             * Run an event's inline Alpine handler (with the payload as
+             * $payload) and dispatch its Livewire event.
+             *
+             * @param {Object} evt - Event definition
+             * @param {Object} payload
+             */
+            deliverEvent(evt, payload) {
+                if (evt.handler) {
+                    try {
+                        Alpine.evaluate(this.$el, evt.handler, { scope: { $payload: payload } });
+                    } catch (e) {
+                        console.error(`[GoogleChartsFlux] Error in the "${evt.on}" event handler:`, e);
+                    }
+                }
+                if (evt.emit) {
+                    dispatchChartEvent(this, evt.emit, payload, evt.to);
+                }
+            },
+
+            /**
+             * Drill into a row clicked in the chart.
+             */
+            async handleDrillClick() {
+                const selection = this.chart.getSelection();
+                if (selection.length !== 1) return;
+
+                const { row } = selection[0];
+                if (row === null || row === undefined) return;
+
+                const source = this._drawnData || this.dataTable;
+                const keyColumn = config.drilldown.key ?? config.selectionKey ?? 0;
+                const key = this.rowKey(row, keyColumn);
+                if (key === undefined) return;
+
+                await this.drillDown(key, source.getFormattedValue(row, 0));
+            },
+
+            /**
+             * Drill one level down into a key's child data.
+             *
+             * Child data is looked up in the drilldown's inline children (by
+             * key path such as "2024/Q1", then by key), returned by a Livewire
+             * method called with (key, path), or fetched as JSON from a URL
+             * with {key} and {path} placeholders — in that order.
+             *
+             * @param {*} key - Key of the row drilled into
+             * @param {string} [label] - Breadcrumb label (defaults to the key)
+             */
+            async drillDown(key, label = String(key)) {
+                const drilldown = config.drilldown;
+                if (!drilldown || this.drilling) return;
+                if (drilldown.depth && this.drillPath.length >= drilldown.depth) return;
+
+                const path = [...this.drillPath.map(level => level.key), key];
+                this.drilling = true;
+
+                try {
+                    const data = this.normalizeData(await this.loadDrillData(key, path));
+                    if (!hasData(data)) return;
+
+                    this._drillStack.push(this.dataTable);
+                    this.drillPath.push({ key, label });
+                    this.dataTable = toDataTable(data);
+                    this._dataVersion++;
+                    this.applyFormats();
+                    this.draw();
+                    this.emitDrill('down');
+                } catch (e) {
+                    console.error('[GoogleChartsFlux] Drill-down error:', e);
+                } finally {
+                    this.drilling = false;
+                }
+            },
+
+            /**
+             * Resolve the child data of a drilled key.
+             *
+             * @param {*} key
+             * @param {Array} path - Keys from the top level down to key
+             * @returns {Promise<*>} Child data, or null when there is none
+             */
+            async loadDrillData(key, path) {
+                const drilldown = config.drilldown;
+
+                const inline = drilldown.children?.[path.join('/')] ?? drilldown.children?.[key];
+                if (inline) return inline;
+
+                if (drilldown.method && this.$wire) {
+                    return this.$wire.call(drilldown.method, key, path);
+                }
+
+                if (drilldown.url) {
+                    const url = drilldown.url
+                        .replace('{key}', encodeURIComponent(key))
+                        .replace('{path}', path.map(encodeURIComponent).join('/'));
+                    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+                    if (!response.ok) {
+                        throw new Error(`Drill-down request to ${url} failed with HTTP ${response.status}`);
+                    }
+                    return response.json();
+                }
+
+                return null;
+            },
+
+            /**
+             * Go back to a level of the breadcrumb (0 = top level).
+             *
+             * @param {number} level
+             */
+            drillTo(level) {
+                if (level < 0 || level >= this.drillPath.length) return;
+
+                this.dataTable = this._drillStack[level];
+                this._dataVersion++;
+                this._drillStack.length = level;
+                this.drillPath.splice(level);
+                this.draw();
+                this.emitDrill('up');
+            },
+
+            /**
+             * Go back up one level.
+             */
+            drillUp() {
+                this.drillTo(this.drillPath.length - 1);
+            },
+
+            /**
+             * Get the breadcrumb label of the top level.
+             *
+             * @returns {string}
+             */
+            drillRootLabel() {
+                return config.drilldown?.label || 'All';
+            },
+
+            /**
+             * Report a level change to the drilldown's `emit` event and to
+             * <x-google-chart.event on="drilldown"> listeners.
+             *
+             * @param {string} direction - 'down' or 'up'
+             */
+            emitDrill(direction) {
+                const payload = {
+                    chartType: config.type,
+                    event: 'drilldown',
+                    direction,
+                    level: this.drillPath.length,
+                    path: this.drillPath.map(level => level.key),
+                    labels: this.drillPath.map(level => level.label),
+                };
+
+                if (config.drilldown?.emit) {
+                    dispatchChartEvent(this, config.drilldown.emit, payload);
+                }
+                this.dispatchSynthetic('drilldown', payload);
+            },
+
+            /**
+             * Register Google Charts event listeners and bridge them
+             * to Livewire dispatch calls.
+             *
+             * @param {Object} [target] - Event source (defaults to the chart;
+             *                            dashboards pass the ChartWrapper
+             *                            and its inner chart)
+             * @param {Function} [accepts] - Filter for the declared events
+             *                               bound to this target
+             */
+            registerEvents(target = this.chart, accepts = () => true) {
+                // Registered first so legend clicks clear the selection
+                // before 'select' listeners read it.
+                if (config.toggleable && !this._dashboard) {
+                    google.visualization.events.addListener(target, 'select', () => this.handleLegendClick());
+                }
+
+                // Before the selection listener, which may put a previous
+                // selection back after legend clicks.
+                if (config.drilldown && !this._dashboard) {
+                    google.visualization.events.addListener(target, 'select', () => this.handleDrillClick());
+                }
+
+                // Track the user's selection by row key and restore it after
+                // every redraw (Google clears the selection on draw()).
+                if (!this._dashboard) {
+                    google.visualization.events.addListener(target, 'select', () => this.handleSelect());
+                    google.visualization.events.addListener(target, 'ready', () => this.restoreSelection());
+                }
+
+                if (config.group && !this._dashboard) {
+                    google.visualization.events.addListener(target, 'onmouseover', (e) => this.broadcastHover(e?.row));
+                    google.visualization.events.addListener(target, 'onmouseout', () => this.broadcastHover(null));
+                }
+
+                if (!config.events || config.events.length === 0) return;
+
+                for (const evt of config.events) {
+                    if (SYNTHETIC_EVENTS.has(evt.on) || !accepts(evt)) continue;
+                    // The payload is built when the event fires, before
+                    // throttling, so it describes the chart at that moment.
+                    google.visualization.events.addListener(target, evt.on, (e) => {
+                        this.eventHandler(evt)(this.buildEventPayload(evt.on, e));
+                    });
+                }
+            },
+
+            /**
+             * Build a serializable payload from a Google Charts event.
+             *
+             * Row and column coordinates, wherever an event carries them
+             * (select, onmouseover/onmouseout, Timeline and OrgChart
+             * events, ...), are resolved against the drawn data into the
+             * row key, the labeled row and the point's series and value.
+             * GeoChart regions are matched to their row; dates are sent
+             * as ISO strings. The event's own data stays available as raw.
+             *
+             * @param {string} eventName - The Google Charts event name
+             * @param {*} eventData - The raw event data from Google Charts
+             * @returns {Object}
+             */
+            buildEventPayload(eventName, eventData) {
+                const payload = {
+                    chartType: config.type,
+                    event: eventName,
+                };
+
+                // For 'select' events, include the selected rows/columns/values
+                if (eventName === 'select' && this.chart.getSelection) {
+                    const selection = this.chart.getSelection();
+                    payload.selection = selection;
+                    payload.selectedData = selection.map(sel => ({
+                        ...this.rowData(sel.row),
+                        _row: sel.row,
+                        _column: sel.column,
+                    }));
+                    if (selection.length > 0) {
+                        Object.assign(payload, this.pointData(selection[0].row, selection[0].column));
+                        if (selection[0].date !== undefined) {
+                            payload.date = new Date(selection[0].date).toISOString();
+                        }
+                    }
+                }
+
+                // For 'ready' events
+                if (eventName === 'ready') {
+                    payload.ready = true;
+                }
+
+                if (eventData && typeof eventData === 'object') {
+                    if (typeof eventData.row === 'number' || typeof eventData.column === 'number') {
+                        Object.assign(payload, this.pointData(eventData.row, eventData.column));
+                    }
+
+                    if (eventData.region !== undefined) {
+                        payload.region = eventData.region;
+                        const source = this._drawnData || this.dataTable;
+                        const row = source ? source.getFilteredRows([{ column: 0, value: eventData.region }])[0] : undefined;
+                        if (row !== undefined) {
+                            Object.assign(payload, this.pointData(row, null));
+                        }
+                    }
+
+                    for (const key of ['date', 'start', 'end']) {
+                        const value = eventData[key];
+                        if (value instanceof Date || (key === 'date' && typeof value === 'number')) {
+                            payload[key] = new Date(value).toISOString();
+                        }
+                    }
+
+                    // Pass through any extra event data
+                    payload.raw = eventData;
+                }
+
+                return payload;
+            },
+
+            /**
+             * Describe a point of the drawn data: its coordinates, row key
+             * and labeled row, plus its series and value when a column is
+             * given.
+             *
+             * @param {number|null} row
+             * @param {number|null} column
+             * @returns {Object} { row, column, key?, data?, series?, value?, formattedValue? }
+             */
+            pointData(row, column) {
+                const point = { row: row ?? null, column: column ?? null };
+                const source = this._drawnData || this.dataTable;
+                if (!source || point.row === null || point.row < 0 || point.row >= source.getNumberOfRows()) {
+                    return point;
+                }
+
+                point.key = this.rowKey(point.row);
+                point.data = this.rowData(point.row);
+                if (point.column !== null && point.column >= 0 && point.column < source.getNumberOfColumns()) {
+                    point.series = source.getColumnLabel(point.column);
+                    point.value = source.getValue(point.row, point.column);
+                    point.formattedValue = source.getFormattedValue(point.row, point.column);
+                }
+                return point;
+            },
+
+            /**
+             * Get a row of the drawn data by column label. Role columns
+             * (tooltips, annotations, ...) and the generated columns of
+             * reference lines and bands are left out.
+             *
+             * @param {number|null} row
+             * @returns {Object}
+             */
+            rowData(row) {
+                const data = {};
+                const source = this._drawnData || this.dataTable;
+                if (row === null || row === undefined || !source) return data;
+
+                for (let c = 0; c < source.getNumberOfColumns(); c++) {
+                    if (source.getColumnRole(c) || source.getColumnProperty(c, 'gcfOverlay')) continue;
+                    data[source.getColumnLabel(c) || `col_${c}`] = source.getValue(row, c);
+                }
+                return data;
+            },
+
+            /**
+             * Set up the wire:selection binding: apply the property's
+             * selection now and whenever it changes on the server.
+             */
+            setupSelection() {
+                if (!config.selectionProp || !this.$wire) return;
+
+                const apply = (value) => {
+                    this._selectionIsArray = Array.isArray(value);
+                    this.select(value);
+                };
+
+                apply(this.$wire.get(config.selectionProp));
+                const unwatch = this.$wire.$watch(config.selectionProp, apply);
+                if (typeof unwatch === 'function') {
+                    this._cleanups.push(unwatch);
+                }
+            },
+
+            /**
+             * Record a user selection by row key and write it back to the
+             * bound property. Legend clicks (see handleLegendClick()) are not
+             * selections: the previous selection is put back instead.
+             */
+            handleSelect() {
+                if (this._legendClick) {
+                    this._legendClick = false;
+                    this.restoreSelection();
+                    return;
+                }
+
+                const source = this._drawnData || this.dataTable;
+                if (findColumnIndex(source, config.selectionKey ?? 0) === -1) return;
+
+                this._selection = this.chart.getSelection()
+                    .filter(item => item.row !== null && item.row !== undefined)
+                    .map(item => ({
+                        key: this.rowKey(item.row),
+                        column: item.column !== null && item.column !== undefined
+                            ? source.getColumnLabel(item.column)
+                            : null,
+                    }));
+                this.syncSelection();
+                this.broadcastSelection();
+            },
+
+            /**
+             * Get the selection key of a row in the drawn data.
+             *
+             * @param {number} row
+             * @param {number|string} [column] - Key column (defaults to config.selectionKey)
+             * @returns {*} The key (Dates as ISO strings), or undefined
+             */
+            rowKey(row, column = config.selectionKey ?? 0) {
+                const source = this._drawnData || this.dataTable;
+                const keyColumn = source ? findColumnIndex(source, column) : -1;
+                if (keyColumn === -1) return undefined;
+
+                const key = source.getValue(row, keyColumn);
+                return key instanceof Date ? key.toISOString() : key;
+            },
+
+            /**
+             * Mirror the user's selection in the other charts of the group.
+             * Only row keys are shared; columns differ between charts.
+             */
+            broadcastSelection() {
+                if (!config.group) return;
+                const keys = this._selection.map(e => e.key);
+                for (const member of ChartGroups.others(config.group, this)) {
+                    member.select(keys);
+                }
+            },
+
+            /**
+             * Highlight the hovered row in the other charts of the group, or
+             * put their own selection back when the pointer leaves.
+             *
+             * @param {number|null|undefined} row - Hovered row in the drawn data
+             */
+            broadcastHover(row) {
+                if (!config.group) return;
+                const key = row !== null && row !== undefined ? this.rowKey(row) : undefined;
+                for (const member of ChartGroups.others(config.group, this)) {
+                    if (key === undefined) {
+                        member.restoreSelection();
+                    } else {
+                        member.highlight([key]);
+                    }
+                }
+            },
+
+            /**
+             * Temporarily highlight rows by key without changing the selection.
+             *
+             * @param {Array} keys
+             */
+            highlight(keys) {
+                this.applySelection(normalizeSelection(keys));
+            },
+
+            /**
+             * Select rows (or cells) by key.
+             *
+             * @param {*} keys - A row key, an array of keys, or {key, column} entries
+             */
+            select(keys) {
+                this._selection = normalizeSelection(keys);
+                this.restoreSelection();
+                this.syncSelection();
+            },
+
+            /**
+             * Clear the selection.
+             */
+            clearSelection() {
+                this.select([]);
+            },
+
+            /**
+             * Apply the key-based selection to the chart, matching rows in the
+             * drawn data so it survives data updates, sorting and views.
+             */
+            restoreSelection() {
+                this.applySelection(this._selection);
+            },
+
+            /**
+             * Select the rows (or cells) of key-based entries in the chart.
+             *
+             * @param {Array<{key: *, column: (string|number|null)}>} entries
+             */
+            applySelection(entries) {
+                // Before the first draw there is nothing to select; the
+                // 'ready' listener restores the selection afterwards.
+                const source = this._drawnData;
+                if (!source || !this.chart || typeof this.chart.setSelection !== 'function') return;
+
+                const keyColumn = findColumnIndex(source, config.selectionKey ?? 0);
+                if (keyColumn === -1) return;
+
+                const type = source.getColumnType(keyColumn);
+                const selection = [];
+                for (const entry of entries) {
+                    const key = reviveValue(entry.key, type);
+                    for (let r = 0; r < source.getNumberOfRows(); r++) {
+                        const value = source.getValue(r, keyColumn);
+                        if (!valuesEqual(key, value) && String(entry.key) !== String(value)) continue;
+
+                        const column = entry.column === null ? null : findColumnIndex(source, entry.column);
+                        if (column !== -1) {
+                            selection.push({ row: r, column });
+                        }
+                        break;
+                    }
+                }
+
+                this.chart.setSelection(selection);
+            },
+
+            /**
+             * Write the selection back to the wire:selection property, in the
+             * shape it was bound with (a single key or an array).
+             */
+            syncSelection() {
+                if (!config.selectionProp || !this.$wire) return;
+
+                const entries = this._selection.map(e => (e.column === null ? e.key : { key: e.key, column: e.column }));
+                const value = this._selectionIsArray || entries.length > 1 ? entries : (entries[0] ?? null);
+
+                if (JSON.stringify(value) !== JSON.stringify(this.$wire.get(config.selectionProp) ?? null)) {
+                    this.$wire.set(config.selectionProp, value, !!config.selectionLive);
+                }
+            },
+
+            /**
+             * Refresh the screen reader description and the visually hidden
+             * data table from the drawn data. Runs after every draw, so both
+             * follow data updates, views, drill-down and hidden series.
+             *
+             * @param {Object} options - Options the chart was drawn with
+             */
+            updateAccessibility(options) {
+                const source = this._drawnData;
+                if (!source) return;
+
+                const columns = [];
+                for (let c = 0; c < source.getNumberOfColumns(); c++) {
+                    if (!source.getColumnRole(c)) {
+                        columns.push(c);
+                    }
+                }
+
+                const headers = columns.map(c => source.getColumnLabel(c));
+                const rows = Array.from({ length: source.getNumberOfRows() }, (_, r) => (
+                    columns.map(c => source.getFormattedValue(r, c))
+                ));
+
+                this.a11y.label = options.title || `${config.type.replace(/[-_]/g, ' ')} chart`;
+                this.a11y.description = config.description
+                    || describeDataTable(source, { type: config.type, title: options.title });
+
+                // Resize redraws leave the data unchanged: skip re-rendering the table
+                if (JSON.stringify([headers, rows]) !== JSON.stringify([this.a11y.headers, this.a11y.rows])) {
+                    this.a11y.headers = headers;
+                    this.a11y.rows = rows;
+                }
+            },
+
+            /**
+             * Keyboard navigation through data points: arrows move between
+             * rows (left/right) and series (up/down), Home/End jump to the
+             * first/last row, Enter or Space selects the point as a click
+             * would, Escape leaves navigation. Each move is announced.
+             *
+             * @param {KeyboardEvent} event
+             */
+            handleKeydown(event) {
+                if (this._dashboard || !this.chart || typeof this.chart.setSelection !== 'function') return;
+                const source = this._drawnData;
+                const numRows = source ? source.getNumberOfRows() : 0;
+                if (numRows === 0) return;
+
+                const series = this.seriesColumns(source);
+                const rowSelection = ROW_SELECTION_TYPES.has(config.type) || series.length === 0;
+                let row = Math.min(this._cursor?.row ?? -1, numRows - 1);
+                let index = Math.min(this._cursor?.series ?? 0, Math.max(series.length - 1, 0));
+
+                switch (event.key) {
+                    case 'ArrowRight':
+                        row = Math.min(row + 1, numRows - 1);
+                        break;
+                    case 'ArrowLeft':
+                        row = Math.max(row - 1, 0);
+                        break;
+                    case 'ArrowDown':
+                        index = rowSelection ? index : Math.min(index + 1, series.length - 1);
+                        row = Math.max(row, 0);
+                        break;
+                    case 'ArrowUp':
+                        index = rowSelection ? index : Math.max(index - 1, 0);
+                        row = Math.max(row, 0);
+                        break;
+                    case 'Home':
+                        row = 0;
+                        break;
+                    case 'End':
+                        row = numRows - 1;
+                        break;
+                    case 'Enter':
+                    case ' ':
+                        if (this._cursor) {
+                            event.preventDefault();
+                            google.visualization.events.trigger(this.chart, 'select', {});
+                        }
+                        return;
+                    case 'Escape':
+                        if (this._cursor) {
+                            this._cursor = null;
+                            this.restoreSelection();
+                            this.announce('Left data navigation.');
+                        }
+                        return;
+                    default:
+                        return;
+                }
+
+                event.preventDefault();
+                this._cursor = { row, series: index };
+
+                const column = rowSelection ? null : series[index];
+                this.chart.setSelection([{ row, column }]);
+                this.announce(this.describePoint(source, row, column ?? series[0] ?? null));
+            },
+
+            /**
+             * Describe one data point, e.g. "Revenue, Mar: $1,200. 3 of 12."
+             *
+             * @param {google.visualization.DataTable|google.visualization.DataView} source
+             * @param {number} row
+             * @param {number|null} column - Value column, or null if there is none
+             * @returns {string}
+             */
+            describePoint(source, row, column) {
+                const position = `${row + 1} of ${source.getNumberOfRows()}.`;
+                const domain = source.getFormattedValue(row, 0);
+                if (column === null) {
+                    return `${domain}. ${position}`;
+                }
+
+                const label = source.getColumnLabel(column);
+                const prefix = ROW_SELECTION_TYPES.has(config.type) || !label ? domain : `${label}, ${domain}`;
+                return `${prefix}: ${source.getFormattedValue(row, column)}. ${position}`;
+            },
+
+            /**
+             * Announce a message through the chart's aria-live region.
+             *
+             * @param {string} message
+             */
+            announce(message) {
+                // Clear first so repeating the same message is announced again
+                this.a11y.announcement = '';
+                this.$nextTick(() => {
+                    this.a11y.announcement = message;
+                });
+            },
+
+            /**
+             * Set up a ResizeObserver to redraw the chart when the container
+             * resizes. Notifications that leave the size unchanged (e.g.
+             * from sub-pixel layout shifts) are ignored.
+             */
+            setupResize() {
+                this.breakpoint = this.matchingBreakpoints(this.containerWidth()).pop() ?? null;
+
+                this._resizeObserver = new ResizeObserver(() => {
+                    const rect = this.$el.getBoundingClientRect();
+                    const width = Math.round(rect.width);
+                    const height = Math.round(rect.height);
+                    if (this._size && this._size.width === width && this._size.height === height) return;
+
+                    this._size = { width, height };
+                    this.breakpoint = this.matchingBreakpoints(width).pop() ?? null;
+                    this.draw();
+                });
+                this._resizeObserver.observe(this.$el);
+            },
+
+            /**
+             * Watch for dark mode changes and redraw the chart.
+             * Integrates with Flux UI's dark mode system.
+             */
+            setupDarkMode() {
+                this._appearance = this.appearanceKey();
+                this._darkModeObserver = observeAppearance(this, () => this.onAppearanceChange());
+
+                // Redraw when the chart's theme is re-registered
+                this.listen(document, 'google-charts-flux:theme', (e) => {
+                    if (e.detail.name === this._theme) {
+                        this.onAppearanceChange();
+                    }
+                });
+            },
+
+            /**
+             * Redraw if dark mode, the theme or the CSS variables it uses
+             * changed the resolved options.
+             */
+            onAppearanceChange() {
+                const appearance = this.appearanceKey();
+                if (appearance === this._appearance) return;
+                this._appearance = appearance;
+                this.draw();
+            },
+
+            /**
+             * Fingerprint of the resolved options, used to skip redraws for
+             * unrelated attribute changes on <html>.
+             *
+             * @returns {string}
+             */
+            appearanceKey() {
+                return JSON.stringify(this.buildOptions());
+            },
+
+            /**
+             * Set up Livewire wire:model reactivity.
+             * When the bound property changes, rebuild data, re-inject
+             * tooltips, and redraw.
+             */
+            setupWireModel() {
+                if (!config.wireModelProp || !this.$wire) return;
+
+                const unwatch = this.$wire.$watch(config.wireModelProp, async (value) => {
+                    try {
+                        await this.receiveData(this.normalizeData(value));
+                    } catch (e) {
+                        console.error('[GoogleChartsFlux] Data update error:', e);
+                    }
+                });
+                if (typeof unwatch === 'function') {
+                    this._cleanups.push(unwatch);
+                }
+            },
+
+            /**
+             * Take new top-level data from wire:model or a remote source
+             * and redraw. While drilled down, the new data belongs to the
+             * top level: the current level is kept and the data is used on
+             * the way up.
+             *
+             * @param {Array|Object|null} newValue - Normalized data
+             */
+            async receiveData(newValue) {
+                if (this._drillStack.length > 0) {
+                    this._drillStack[0] = hasData(newValue) ? toDataTable(newValue) : null;
+                    this.applyFormats(this._drillStack[0]);
+                    return;
+                }
+
+                await this.applyData(newValue);
+                this.draw();
+            },
+
+            /**
+             * Bring the DataTable in line with new array-of-arrays data.
+             *
+             * Patches the existing DataTable in place when the columns are
+             * unchanged so Google can animate the transition; otherwise the
+             * DataTable is rebuilt. Tooltip columns are added at draw time.
+             * Empty data (null or []) removes every row but keeps the
+             * columns, so the next data can animate in from the empty state.
+             *
+             * @param {Array|Object|null} newData - New data as array-of-arrays or DataTable JSON literal
+             */
+            async applyData(newData) {
+                this._dataVersion++;
+                if (!hasData(newData)) {
+                    this.dataTable?.removeRows(0, this.dataTable.getNumberOfRows());
+                    return;
+                }
+                if (this.dataTable && applyDataDiff(this.dataTable, newData, source => this.applyFormats(source))) {
+                    return;
+                }
+                this.dataTable = toDataTable(newData);
+                this.applyFormats();
+            },
+
+            /**
+             * Update the chart data programmatically (callable from Alpine/JS).
+             *
+             * @param {Array|Object} data - New data as array-of-arrays (may carry ChartData metadata)
+             */
+            async updateData(data) {
+                await this.applyData(this.normalizeData(data));
+                this.draw();
+            },
+
+            /**
+             * Append rows to the current DataTable and redraw. Malformed
+             * rows are rejected with a warning (see addDataRows()).
+             *
+             * @param {Array<Array>} rows - Rows in column order
+             */
+            appendRows(rows) {
+                if (!this.dataTable || !Array.isArray(rows) || rows.length === 0) return;
+                if (!addDataRows(this.dataTable, rows, 'appendRows')) return;
+                this._dataVersion++;
+                this.applyFormats();
+                this.draw();
+            },
+
+            /**
+             * Remove rows from the current DataTable and redraw.
+             *
+             * @param {number} index - Zero-based index of the first row to remove
+             * @param {number} [count=1] - Number of rows to remove
+             */
+            removeRows(index, count = 1) {
+                if (!this.dataTable || !removeDataRows(this.dataTable, index, count)) return;
+                this._dataVersion++;
+                this.draw();
+            },
+
+            /**
+             * Set individual cells in the current DataTable and redraw.
+             * Invalid cells are skipped with a warning (see patchDataCells()).
+             * An explicit formatted value wins over the column's formatters.
+             *
+             * @param {Array<{row: number, column: number|string, value: *, formatted?: string}>} cells
+             *        Columns may be given by index, id or label
+             */
+            patchCells(cells) {
+                if (!this.dataTable || !Array.isArray(cells)) return;
+
+                const formatted = patchDataCells(this.dataTable, cells);
+                this._dataVersion++;
+                this.applyFormats();
+                formatted.forEach(([row, col, value]) => this.dataTable.setFormattedValue(row, col, value));
+                this.draw();
+            },
+
+            /**
+             * Append streamed points, trim the data to the stream window and
+             * schedule a throttled redraw.
+             *
+             * Points need the columns of a header row or of declared
+             * <x-google-chart.column> children to stream into; without
+             * either they are dropped with a warning. Malformed points are
+             * rejected like appended rows (see addDataRows()).
+             *
+             * @param {Array|Array<Array>} points - One point or a list of points, in column order
+             */
+            pushPoints(points) {
+                if (!Array.isArray(points) || points.length === 0) return;
+                if (!this.dataTable) {
+                    console.warn('[GoogleChartsFlux] pushPoints: the chart has no columns to stream into. Start from a header row or declare <x-google-chart.column> columns.');
+                    return;
+                }
+
+                const rows = Array.isArray(points[0]) ? points : [points];
+                if (!addDataRows(this.dataTable, rows, 'pushPoints')) return;
+                this._dataVersion++;
+                this.trimStream();
+                this.applyFormats();
+                this.scheduleStreamDraw();
+            },
+
+            /**
+             * Drop the oldest rows outside the stream window: beyond
+             * config.stream.max rows, or with a date/datetime domain value
+             * more than config.stream.span milliseconds before the newest.
+             * Rows are expected in chronological order.
+             */
+            trimStream() {
+                const { max, span } = config.stream || {};
+                const numRows = this.dataTable.getNumberOfRows();
+                let remove = max ? Math.max(0, numRows - max) : 0;
+
+                const domainType = this.dataTable.getColumnType(0);
+                if (span && numRows > 0 && (domainType === 'date' || domainType === 'datetime')) {
+                    const cutoff = this.dataTable.getValue(numRows - 1, 0)?.getTime() - span;
+                    while (remove < numRows && this.dataTable.getValue(remove, 0)?.getTime() < cutoff) {
+                        remove++;
+                    }
+                }
+
+                if (remove > 0) {
+                    this.dataTable.removeRows(0, remove);
+                }
+            },
+
+            /**
+             * Redraw at most config.stream.fps times per second while points
+             * stream in. Points arriving between frames are drawn together.
+             */
+            scheduleStreamDraw() {
+                if (this._streamTimer) return;
+
+                const interval = 1000 / (config.stream?.fps || 10);
+                const wait = Math.max(0, this._lastStreamDraw + interval - performance.now());
+                this._streamTimer = setTimeout(() => {
+                    this._streamTimer = null;
+                    this._lastStreamDraw = performance.now();
+                    this.draw();
+                }, wait);
+            },
+
+            /**
+             * Listen to the stream's Laravel Echo channel, pushing the
+             * `points` of every broadcast event.
+             */
+            setupStream() {
+                const stream = config.stream;
+                if (!stream?.channel) return;
+
+                if (typeof window.Echo === 'undefined') {
+                    console.warn(`[GoogleChartsFlux] Laravel Echo is not available; not listening to stream channel "${stream.channel}"`);
+                    return;
+                }
+
+                const channel = stream.private
+                    ? window.Echo.private(stream.channel)
+                    : window.Echo.channel(stream.channel);
+                const handler = (payload) => this.pushPoints(payload.points);
+                channel.listen(stream.event, handler);
+                this._cleanups.push(() => channel.stopListening(stream.event, handler));
+            },
+
+            /**
+             * Handle a google-chart-update event payload dispatched by the
+             * HasGoogleChart trait helpers.
+             *
+             * @param {Object} detail - { operation?, data?, rows?, index?, count?, cells?, points? }
+             */
+            async applyUpdate(detail) {
+                switch (detail.operation) {
+                    case 'append':
+                        this.appendRows(detail.rows);
+                        break;
+                    case 'remove':
+                        this.removeRows(detail.index, detail.count);
+                        break;
+                    case 'patch':
+                        this.patchCells(detail.cells);
+                        break;
+                    case 'stream':
+                        this.pushPoints(detail.points);
+                        break;
+                    default:
+                        await this.updateData(detail.data);
+                }
+            },
+
+            /**
+             * Update chart options and redraw.
+             *
+             * @param {Object} newOptions - Options to merge
+             */
+            updateOptions(newOptions) {
+                this._optionOverrides = deepMerge(this._optionOverrides, newOptions);
+                config.options = deepMerge(config.options || {}, newOptions);
+                this.draw();
+            },
+
+            /**
+             * Get the chart as a PNG data URI (for charts that support it).
+             *
+             * @returns {string|null}
+             */
+            getImageURI() {
+                if (this.chart && typeof this.chart.getImageURI === 'function') {
+                    return this.chart.getImageURI();
+                }
+                return null;
+            },
+
+            /**
+             * Export the chart as a PNG data URI.
+             *
+             * Uses getImageURI() where the chart supports it and otherwise
+             * rasterizes the rendered SVG. A transparent background is
+             * replaced with the page background behind the chart, so dark
+             * mode exports stay legible. Returns null for HTML-only charts
+             * such as Table.
+             *
+             * @returns {Promise<string|null>}
+             */
+            async exportPng() {
+                let uri = null;
+                try {
+                    uri = this.getImageURI();
+                } catch (e) {
+                    uri = null;
+                }
+
+                if (!uri) {
+                    const svg = this.exportSvg();
+                    if (!svg) return null;
+                    uri = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+                }
+
+                const bg = this.buildOptions().backgroundColor;
+                const background = typeof bg === 'string' && bg !== 'transparent'
+                    ? bg
+                    : resolveBackgroundColor(this.$el);
+
+                const canvas = this.$refs.canvas;
+                return rasterizeImage(uri, background, canvas.clientWidth, canvas.clientHeight);
+            },
+
+            /**
+             * Export the rendered chart as standalone SVG markup.
+             *
+             * @returns {string|null} null when the chart did not render an SVG
+             */
+            exportSvg() {
+                const svg = this.$refs.canvas.querySelector('svg');
+                if (!svg) return null;
+
+                const clone = svg.cloneNode(true);
+                clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+                return new XMLSerializer().serializeToString(clone);
+            },
+
+            /**
+             * Export the current data (through the active view) as CSV
+             * using formatted values.
+             *
+             * @returns {string|null}
+             */
+            exportCsv() {
+                return this.dataTable ? rowsToCsv(dataTableToFormattedRows(this.viewData())) : null;
+            },
+
+            /**
+             * Export the current data (through the active view) as JSON
+             * array-of-arrays using formatted values.
+             *
+             * @returns {string|null}
+             */
+            exportJson() {
+                return this.dataTable ? JSON.stringify(dataTableToFormattedRows(this.viewData())) : null;
+            },
+
+            /**
+             * Export the chart in the given format.
+             *
+             * @param {string} format - 'png', 'svg', 'csv' or 'json'
+             * @returns {Promise<string|null>} Data URI (png) or text content
+             */
+            async exportAs(format) {
+                switch (format) {
+                    case 'png':
+                        return this.exportPng();
+                    case 'svg':
+                        return this.exportSvg();
+                    case 'csv':
+                        return this.exportCsv();
+                    case 'json':
+                        return this.exportJson();
+                    default:
+                        throw new Error(`Unknown export format: "${format}". Valid formats: ${Object.keys(EXPORT_MIME_TYPES).join(', ')}, print`);
+                }
+            },
+
+            /**
+             * Download the chart in the given format, or print it.
+             *
+             * @param {string} [format='png'] - 'png', 'svg', 'csv', 'json' or 'print'
+             * @param {string|null} [filename] - File name without extension
+             */
+            async download(format = 'png', filename = null) {
+                if (format === 'print') {
+                    await this.print();
+                    return;
+                }
+
+                const content = await this.exportAs(format);
+                if (content === null) {
+                    console.warn(`[GoogleChartsFlux] "${config.type}" charts cannot be exported as ${format}.`);
+                    return;
+                }
+
+                const name = (filename || this.buildOptions().title || this.$el.id || 'chart') + '.' + format;
+                triggerDownload(content, name, EXPORT_MIME_TYPES[format]);
+            },
+
+            /**
+             * Open a print-friendly view of the chart in a new window: the
+             * chart image where available, otherwise its data as a table.
+             */
+            async print() {
+                const title = this.buildOptions().title || '';
+                const png = await this.exportPng();
+
+                let body;
+                if (png) {
+                    body = '<img src="' + png + '" style="max-width:100%;" />';
+                } else if (this.dataTable) {
+                    const [header, ...rows] = dataTableToFormattedRows(this.dataTable);
+                    body = '<table><thead><tr>'
+                        + header.map(h => '<th>' + escapeHtml(h) + '</th>').join('')
+                        + '</tr></thead><tbody>'
+                        + rows.map(row => '<tr>' + row.map(v => '<td>' + escapeHtml(v) + '</td>').join('') + '</tr>').join('')
+                        + '</tbody></table>';
+                } else {
+                    return;
+                }
+
+                const win = window.open('', '_blank');
+                if (!win) return;
+
+                win.document.write('<!DOCTYPE html><html><head><title>' + escapeHtml(title) + '</title>'
+                    + '<style>body{font-family:system-ui,sans-serif;margin:24px;color:#18181b;}'
+                    + 'table{border-collapse:collapse;font-size:12px;}'
+                    + 'th,td{border:1px solid #d4d4d8;padding:4px 8px;text-align:left;}</style></head><body>'
+                    + (title ? '<h1 style="font-size:18px;">' + escapeHtml(title) + '</h1>' : '')
+                    + body + '</body></html>');
+                win.addEventListener('load', () => win.print());
+                win.document.close();
+            },
+
+            /**
+             * Handle a google-chart-export event dispatched from Livewire.
+             * Downloads the export, or dispatches it back to the server when
+             * an emit event name is given.
+             *
+             * @param {Object} detail - { format, emit?, filename? }
+             */
+            async exportFromEvent(detail) {
+                const format = detail.format || 'png';
+                if (!detail.emit) {
+                    await this.download(format, detail.filename);
+                    return;
+                }
+
+                dispatchChartEvent(this, detail.emit, {
+                    chartId: this.$el.id,
+                    format,
+                    data: await this.exportAs(format),
+                });
+            },
+
+            /**
+             * Clean up observers, listeners and chart instance.
+             */
+            destroy() {
+                clearTimeout(this._drawTimeout);
+                clearTimeout(this._streamTimer);
+                this.stopPolling();
+                this._cleanups.forEach(cleanup => cleanup());
+                this._cleanups = [];
+                if (config.group) {
+                    ChartGroups.leave(config.group, this);
+                }
+                if (this._resizeObserver) {
+                    this._resizeObserver.disconnect();
+                }
+                if (this._darkModeObserver) {
+                    this._darkModeObserver.disconnect();
+                }
+                if (this._intersectionObserver) {
+                    this._intersectionObserver.disconnect();
+                }
+                if (this.chart) {
+                    google.visualization.events.removeAllListeners(this.chart);
+                    this.chart.clearChart?.();
+                }
+            },
+        };
+    }
+
+    // =========================================================================
+    // Alpine.js Component: googleChartDashboard
+    // =========================================================================
+
+    /**
+     * Alpine.js data component for a google.visualization.Dashboard that
+     * drives several nested <x-google-chart> instances from one DataTable
+     * through ControlWrapper filters.
+     *
+     * Nested charts register themselves during their own init and are
+     * drawn as ChartWrappers using their own buildOptions(), so defaults,
+     * series/axis config and dark mode apply exactly as for standalone charts.
+     *
+     * @param {Object} config
+     * @param {Array|Object|null} config.data - Shared data as array-of-arrays or DataTable JSON literal
+     * @param {Object} config.loaderConfig  - Google Charts loader config
+     * @param {string} config.wireModelProp - Livewire property name for wire:model
+     * @returns {Object} Alpine.js component data
+     */
+    function googleChartDashboardComponent(config) {
+        return {
+            dashboard: null,
+            dataTable: null,
+            ready: false,
+            error: null,
+            _charts: [],
+            _controls: [],
+            _formats: [],
+            _dataFormats: [],
+            _resizeObserver: null,
+            _darkModeObserver: null,
+            _drawTimeout: null,
+            _cleanups: [],
+
+            /**
+             * Initialize the dashboard once the library is loaded and all
+             * nested charts have registered.
+             */
+            async init() {
+                try {
                     await GoogleChartsLoader.load(config.loaderConfig);
+                    await this.$nextTick();
+
                     this.buildDataTable();
-                    await this.injectOtherTooltip();
-                    this.createChart();
+                    this.createDashboard();
                     this.draw();
+
+                    // Reveal nested chart canvases before the debounced draw
+                    // runs so Google measures visible containers.
+                    for (const bound of this._charts) {
+                        bound.component.ready = true;
+                    }
+
                     this.setupResize();
                     this.setupDarkMode();
                     this.setupWireModel();
                     this.ready = true;
                 } catch (e) {
                     this.error = e.message;
-                    console.error('[GoogleChartsFlux] Initialization error:', e);
+                    console.error('[GoogleChartsFlux] Dashboard initialization error:', e);
                 }
             },
 
             /**
-             * Parse child <template> elements rendered by sub-components
-             * (options, column, row, event, series, axis) and merge their
-             * configuration into the config closure.
+             * Register a nested chart component with this dashboard.
+             *
+             * @param {Object} component - googleChart Alpine component instance
              */
-            parseSubComponents() {
-                const el = this.$el;
-
-                el.querySelectorAll('template[data-gcf-options]').forEach(t => {
-                    const parsed = JSON.parse(t.dataset.gcfOptions);
-                    config.options = { ...config.options, ...parsed };
-                });
-
-                el.querySelectorAll('template[data-gcf-column]').forEach(t => {
-                    config.columns.push(JSON.parse(t.dataset.gcfColumn));
-                });
-
-                el.querySelectorAll('template[data-gcf-row]').forEach(t => {
-                    config.rows.push(JSON.parse(t.dataset.gcfRow));
-                });
-
-                el.querySelectorAll('template[data-gcf-event]').forEach(t => {
-                    config.events.push(JSON.parse(t.dataset.gcfEvent));
-                });
-
-                el.querySelectorAll('template[data-gcf-series]').forEach(t => {
-                    config.seriesConfig.push(JSON.parse(t.dataset.gcfSeries));
-                });
-
-                el.querySelectorAll('template[data-gcf-axis]').forEach(t => {
-                    config.axisConfig.push(JSON.parse(t.dataset.gcfAxis));
-                });
+            registerChart(component) {
+                this._charts.push({ component, wrapper: null, chart: null });
             },
 
             /**
-             * Build the DataTable from either array data or declarative columns/rows.
+             * Build the shared DataTable from wire:model or the data prop.
              */
             buildDataTable() {
-                const data = this.resolveData();
-                if (data && Array.isArray(data) && data.length > 0) {
-                    this.dataTable = arrayToDataTable(data);
-                } else if (config.columns && config.columns.length > 0) {
-                    this.dataTable = columnsRowsToDataTable(config.columns, config.rows || []);
-                } else {
-                    throw new Error('No chart data provided. Use :data, wire:model, or declarative <x-google-chart.column> / <x-google-chart.row> components.');
+                let value = config.data;
+                if (config.wireModelProp && this.$wire) {
+                    value = this.$wire.get(config.wireModelProp) || value;
                 }
+                const { data, meta } = unwrapData(value);
+                if (!hasData(data)) {
+                    throw new Error('No dashboard data provided. Use :data or wire:model on <x-google-chart.dashboard>.');
+                }
+
+                // Formats anywhere in the dashboard, including inside nested
+                // charts, apply to the shared DataTable.
+                this._formats = Array.from(this.$el.querySelectorAll('template[data-gcf-format]'))
+                    .map(t => JSON.parse(t.dataset.gcfFormat));
+                this._dataFormats = meta.formats || [];
+
+                this.dataTable = toDataTable(data);
+                applyFormatters(this.dataTable, [...this._formats, ...this._dataFormats]);
             },
 
             /**
-             * Inject an HTML tooltip with a mini PieChart breakdown for the
-             * "Other" slice. Renders a hidden chart, captures it as PNG via
-             * getImageURI(), and adds a tooltip role column to the DataTable.
-             *
-             * Requires config.otherBreakdown to be set with shape:
-             *   { label: string, items: Array<[string, number]> }
-             *
-             * No-op if otherBreakdown is absent, has no items, or the chart
-             * type does not support HTML tooltips.
+             * Create ChartWrappers for nested charts, ControlWrappers for
+             * <x-google-chart.control> elements, and bind them together.
              */
-            async injectOtherTooltip() {
-                const breakdown = config.otherBreakdown;
-                if (!breakdown?.items?.length || !HTML_TOOLTIP_TYPES.has(config.type)) {
-                    return;
+            createDashboard() {
+                if (this._charts.length === 0) {
+                    throw new Error('A dashboard needs at least one nested <x-google-chart>.');
                 }
 
-                // Create an off-screen container for the mini chart render
-                const hiddenDiv = document.createElement('div');
-                hiddenDiv.style.cssText = 'position:fixed;left:-9999px;top:-9999px;width:300px;height:200px;';
-                document.body.appendChild(hiddenDiv);
+                this.dashboard = new google.visualization.Dashboard(this.$el);
 
-                try {
-                    // Build a DataTable for the mini pie chart
-                    const miniData = new google.visualization.DataTable();
-                    miniData.addColumn('string', 'Label');
-                    miniData.addColumn('number', 'Value');
-                    miniData.addRows(breakdown.items);
-
-                    // Render the mini chart and capture it as a PNG data URI
-                    const miniChart = new google.visualization.PieChart(hiddenDiv);
-                    const pngUri = await new Promise((resolve, reject) => {
-                        google.visualization.events.addOneTimeListener(miniChart, 'ready', () => {
-                            resolve(miniChart.getImageURI());
-                        });
-                        google.visualization.events.addOneTimeListener(miniChart, 'error', (err) => {
-                            reject(new Error(err.message || 'Mini chart render failed'));
-                        });
-                        miniChart.draw(miniData, {
-                            title: '',
-                            legend: { position: 'labeled' },
-                            pieSliceText: 'percentage',
-                            chartArea: { width: '90%', height: '90%' },
-                            backgroundColor: 'transparent',
-                            enableInteractivity: false,
-                            pieSliceTextStyle: { fontSize: 10 },
-                            width: 300,
-                            height: 200,
-                        });
+                for (const bound of this._charts) {
+                    const component = bound.component;
+                    bound.wrapper = new google.visualization.ChartWrapper({
+                        chartType: component.chartClassName(),
+                        containerId: component.$refs.canvas.id,
+                        options: component.buildOptions(),
                     });
 
-                    miniChart.clearChart();
-
-                    // Build the HTML tooltip content with the PNG and item list
-                    let tooltipHtml = '<div style="padding:8px;min-width:280px;">';
-                    tooltipHtml += '<div style="font-weight:bold;margin-bottom:6px;">'
-                        + escapeHtml(breakdown.label) + ' Breakdown</div>';
-                    tooltipHtml += '<img src="' + pngUri
-                        + '" style="width:280px;height:auto;display:block;margin-bottom:6px;" />';
-                    tooltipHtml += '<div style="font-size:12px;line-height:1.4;">';
-
-                    const breakdownTotal = breakdown.items.reduce((sum, item) => sum + item[1], 0);
-                    for (const item of breakdown.items) {
-                        const pct = breakdownTotal > 0
-                            ? ((item[1] / breakdownTotal) * 100).toFixed(1)
-                            : '0.0';
-                        tooltipHtml += '<div>' + escapeHtml(String(item[0]))
-                            + ': ' + escapeHtml(String(item[1]))
-                            + ' (' + pct + '%)</div>';
-                    }
-
-                    tooltipHtml += '</div></div>';
-
-                    // Add a tooltip role column and populate only the "Other" row
-                    this.dataTable.addColumn({ type: 'string', role: 'tooltip', p: { html: true } });
-                    const tooltipColIndex = this.dataTable.getNumberOfColumns() - 1;
-                    const numRows = this.dataTable.getNumberOfRows();
-
-                    for (let r = 0; r < numRows; r++) {
-                        const label = this.dataTable.getValue(r, 0);
-                        if (label === breakdown.label) {
-                            this.dataTable.setCell(r, tooltipColIndex, tooltipHtml);
-                        }
-                        // null cells → Google Charts auto-generates default tooltip
+                    this.bindChartEvents(bound);
+                }
+
+                this.$el.querySelectorAll('[data-gcf-control]').forEach(el => {
+                    const control = JSON.parse(el.dataset.gcfControl);
+                    const options = { ...(control.options || {}) };
+
+                    if (typeof control.column === 'number') {
+                        options.filterColumnIndex = control.column;
+                    } else if (control.column) {
+                        options.filterColumnLabel = control.column;
                     }
 
-                    // Enable HTML tooltips in chart options
-                    config.options = config.options || {};
-                    config.options.tooltip = Object.assign(config.options.tooltip || {}, { isHtml: true });
+                    const wrapper = new google.visualization.ControlWrapper({
+                        controlType: control.type,
+                        containerId: el.id,
+                        options,
+                        state: control.state || {},
+                    });
 
-                } finally {
-                    document.body.removeChild(hiddenDiv);
+                    if (control.emit) {
+                        google.visualization.events.addListener(wrapper, 'statechange', () => {
+                            dispatchChartEvent(this, control.emit, {
+                                controlType: control.type,
+                                column: control.column ?? null,
+                                event: 'statechange',
+                                state: wrapper.getState(),
+                            });
+                        });
+                    }
+
+                    this._controls.push({ id: el.id, config: control, wrapper });
+                });
+
+                // Bind each control to its targets: every chart by default,
+                // or only the charts/controls whose element ids it lists.
+                for (const control of this._controls) {
+                    const targets = control.config.for;
+                    const charts = this._charts
+                        .filter(b => !targets || targets.includes(b.component.$el.id))
+                        .map(b => b.wrapper);
+                    const controls = targets
+                        ? this._controls.filter(c => targets.includes(c.id)).map(c => c.wrapper)
+                        : [];
+
+                    this.dashboard.bind(control.wrapper, [...controls, ...charts]);
                 }
+
+                google.visualization.events.addListener(this.dashboard, 'error', (err) => {
+                    this.error = err.message || 'Dashboard render failed';
+                });
             },
 
             /**
-             * Resolve the current data source — from wire:model or static data prop.
+             * Listen to a ChartWrapper: keep the nested component's chart and
+             * DataTable references current and bridge its declared events.
              *
-             * @returns {Array|null}
+             * A ChartWrapper only forwards ready, select and error; every
+             * other declared event is bound to the inner chart, and re-bound
+             * whenever the wrapper's ready reports a new chart instance.
+             *
+             * @param {{component: Object, wrapper: Object, chart: ?Object}} bound
              */
-            resolveData() {
-                // If we have a wire:model binding, read from the Livewire component
-                if (config.wireModelProp && this.$wire) {
-                    const value = this.$wire.get(config.wireModelProp);
-                    if (value) return value;
-                }
-                return config.data;
+            bindChartEvents(bound) {
+                const { component, wrapper } = bound;
+                const bindInnerChart = () => {
+                    const chart = wrapper.getChart();
+                    if (!chart || chart === bound.chart) return;
+                    if (bound.chart) {
+                        google.visualization.events.removeAllListeners(bound.chart);
+                    }
+                    bound.chart = chart;
+                    component.registerEvents(chart, evt => !WRAPPER_EVENTS.has(evt.on));
+                };
+
+                google.visualization.events.addListener(wrapper, 'ready', () => {
+                    bindInnerChart();
+                    component.chart = wrapper.getChart();
+                    component.dataTable = wrapper.getDataTable();
+                });
+                component.registerEvents(wrapper, evt => WRAPPER_EVENTS.has(evt.on));
+                bindInnerChart();
             },
 
             /**
-             * Create the Google Charts visualization instance.
+             * Re-bind a nested chart's events after it re-parsed its
+             * templates (see googleChart refresh()).
+             *
+             * @param {Object} component - googleChart Alpine component instance
              */
-            createChart() {
-                const className = CHART_CLASS_MAP[config.type];
-                if (!className) {
-                    throw new Error(`Unknown chart type: "${config.type}". Valid types: ${Object.keys(CHART_CLASS_MAP).join(', ')}`);
-                }
-
-                const ChartClass = google.visualization[className];
-                if (!ChartClass) {
-                    throw new Error(`Google Charts class "${className}" not found. Ensure the required package is loaded in your google-charts-flux config.`);
+            rebindChart(component) {
+                const bound = this._charts.find(b => b.component === component);
+                if (!bound?.wrapper) return;
+                google.visualization.events.removeAllListeners(bound.wrapper);
+                if (bound.chart) {
+                    google.visualization.events.removeAllListeners(bound.chart);
+                    bound.chart = null;
                 }
+                this.bindChartEvents(bound);
+            },
 
-                this.chart = new ChartClass(this.$refs.canvas);
-                this.registerEvents();
+            /**
+             * Add a document/window listener that destroy() removes.
+             *
+             * @param {EventTarget} target
+             * @param {string} name
+             * @param {Function} handler
+             */
+            listen(target, name, handler) {
+                target.addEventListener(name, handler);
+                this._cleanups.push(() => target.removeEventListener(name, handler));
             },
 
             /**
-             * Draw (or redraw) the chart with current data and merged options.
+             * Draw (or redraw) the dashboard, refreshing every bound chart's
+             * options so dark mode and option updates apply.
              */
             draw() {
-                if (!this.chart || !this.dataTable) return;
+                if (!this.dashboard || !this.dataTable) return;
 
-                const mergedOptions = this.buildOptions();
-
-                // Debounce rapid redraws (e.g., during resize)
                 clearTimeout(this._drawTimeout);
                 this._drawTimeout = setTimeout(() => {
                     try {
-                        this.chart.draw(this.dataTable, mergedOptions);
+                        for (const bound of this._charts) {
+                            bound.wrapper.setOptions(bound.component.buildOptions());
+                        }
+                        this.dashboard.draw(this.dataTable);
                     } catch (e) {
                         this.error = e.message;
-                        console.error('[GoogleChartsFlux] Draw error:', e);
+                        console.error('[GoogleChartsFlux] Dashboard draw error:', e);
                     }
                 }, 10);
             },
 
             /**
-             * Build the final options object by merging defaults, per-chart
-             * options, series/axis config, and dark mode overrides.
-             *
-             * @returns {Object}
+             * Set up a ResizeObserver to redraw the dashboard when it resizes.
              */
-            buildOptions() {
-                let opts = deepMerge(config.defaults || {}, config.options || {});
-
-                // Apply donut hole for 'donut' type
-                if (config.type === 'donut' && opts.pieHole === undefined) {
-                    opts.pieHole = 0.4;
-                }
-
-                // Merge series configuration
-                if (config.seriesConfig && config.seriesConfig.length > 0) {
-                    const series = {};
-                    for (const s of config.seriesConfig) {
-                        const idx = s.index;
-                        const props = { ...s };
-                        delete props.index;
-                        series[idx] = props;
-                    }
-                    opts.series = deepMerge(opts.series || {}, series);
-                }
+            setupResize() {
+                this._resizeObserver = new ResizeObserver(() => {
+                    this.draw();
+                });
+                this._resizeObserver.observe(this.$el);
+            },
 
-                // Merge axis configuration
-                if (config.axisConfig && config.axisConfig.length > 0) {
-                    for (const a of config.axisConfig) {
-                        const props = { ...a };
-                        const which = props.which;
-                        delete props.which;
+            /**
+             * Watch for dark mode changes and redraw every bound chart.
+             */
+            setupDarkMode() {
+                this._appearance = this.appearanceKey();
+                this._darkModeObserver = observeAppearance(this, () => this.onAppearanceChange());
 
-                        const axisKey = which === 'h' ? 'hAxis' : 'vAxis';
-                        opts[axisKey] = deepMerge(opts[axisKey] || {}, props);
+                // Redraw when a bound chart's theme is re-registered
+                this.listen(document, 'google-charts-flux:theme', (e) => {
+                    if (this._charts.some(b => b.component._theme === e.detail.name)) {
+                        this.onAppearanceChange();
                     }
-                }
-
-                // Apply dark mode overrides
-                if (isDarkMode() && config.darkOptions) {
-                    opts = deepMerge(opts, config.darkOptions);
-                }
-
-                return opts;
+                });
             },
 
             /**
-             * Register Google Charts event listeners and bridge them
-             * to Livewire dispatch calls.
+             * Redraw if the resolved options of any bound chart changed.
              */
-            registerEvents() {
-                if (!config.events || config.events.length === 0) return;
-
-                for (const evt of config.events) {
-                    google.visualization.events.addListener(this.chart, evt.on, (e) => {
-                        const payload = this.buildEventPayload(evt.on, e);
-
-                        // Dispatch as Livewire event
-                        if (this.$wire) {
-                            this.$wire.dispatch(evt.emit, payload);
-                        }
-
-                        // Also dispatch as a DOM custom event for Alpine listeners
-                        this.$el.dispatchEvent(new CustomEvent(evt.emit, {
-                            detail: payload,
-                            bubbles: true,
-                        }));
-                    });
-                }
+            onAppearanceChange() {
+                const appearance = this.appearanceKey();
+                if (appearance === this._appearance) return;
+                this._appearance = appearance;
+                this.draw();
             },
 
             /**
-             * Build a serializable payload from a Google Charts event.
+             * Fingerprint of every bound chart's resolved options.
              *
-             * @param {string} eventName - The Google Charts event name
-             * @param {*} eventData - The raw event data from Google Charts
-             * @returns {Object}
+             * @returns {string}
              */
-            buildEventPayload(eventName, eventData) {
-                const payload = {
-                    chartType: config.type,
-                    event: eventName,
-                };
-
-                // For 'select' events, include the selected rows/columns/values
-                if (eventName === 'select' && this.chart.getSelection) {
-                    const selection = this.chart.getSelection();
-                    payload.selection = selection;
-                    payload.selectedData = selection.map((sel) => {
-                        const row = {};
-                        if (sel.row !== null && sel.row !== undefined && this.dataTable) {
-                            const numCols = this.dataTable.getNumberOfColumns();
-                            for (let c = 0; c < numCols; c++) {
-                                const label = this.dataTable.getColumnLabel(c) || `col_${c}`;
-                                row[label] = this.dataTable.getValue(sel.row, c);
-                            }
-                        }
-                        row._row = sel.row;
-                        row._column = sel.column;
-                        return row;
-                    });
-                }
-
-                // For 'ready' events
-                if (eventName === 'ready') {
-                    payload.ready = true;
-                }
-
-                // Pass through any extra event data
-                if (eventData && typeof eventData === 'object') {
-                    payload.raw = eventData;
-                }
-
-                return payload;
+            appearanceKey() {
+                return JSON.stringify(this._charts.map(b => b.component.buildOptions()));
             },
 
             /**
-             * Set up a ResizeObserver to redraw the chart when the container resizes.
+             * Set up Livewire wire:model reactivity for the shared DataTable.
              */
-            setupResize() {
-                this._resizeObserver = new ResizeObserver(() => {
-                    this.draw();
+            setupWireModel() {
+                if (!config.wireModelProp || !this.$wire) return;
+
+                const unwatch = this.$wire.$watch(config.wireModelProp, (newValue) => {
+                    this.updateData(newValue);
                 });
-                this._resizeObserver.observe(this.$el);
+                if (typeof unwatch === 'function') {
+                    this._cleanups.push(unwatch);
+                }
             },
 
             /**
-             * Watch for dark mode changes and redraw the chart.
-             * Integrates with Flux UI's dark mode system.
+             * Replace the shared data and redraw. Control state is kept, and
+             * the DataTable is patched in place when its columns are unchanged.
+             *
+             * @param {Array|Object} value - New data as array-of-arrays (may carry ChartData metadata)
              */
-            setupDarkMode() {
-                // Watch for Flux dark mode changes via MutationObserver on <html>
-                this._darkModeObserver = new MutationObserver(() => {
+            updateData(value) {
+                const { data: newData, meta } = unwrapData(value);
+                if (hasData(newData)) {
+                    if (meta.formats) {
+                        this._dataFormats = meta.formats;
+                    }
+                    const formats = [...this._formats, ...this._dataFormats];
+                    if (!this.dataTable || !applyDataDiff(this.dataTable, newData, source => applyFormatters(source, formats))) {
+                        this.dataTable = toDataTable(newData);
+                        applyFormatters(this.dataTable, formats);
+                    }
                     this.draw();
-                });
-                this._darkModeObserver.observe(document.documentElement, {
-                    attributes: true,
-                    attributeFilter: ['class'],
-                });
-
-                // Also listen for Flux's custom appearance events if available
-                document.addEventListener('flux:appearance', () => {
-                    // Small delay to let Flux update the DOM class
-                    setTimeout(() => this.draw(), 50);
-                });
+                }
             },
 
             /**
-             * Set up Livewire wire:model reactivity.
-             * When the bound property changes, rebuild data, re-inject
-             * tooltips, and redraw.
+             * Apply a google-chart-update event: a full data replacement or
+             * one of the incremental operations of HasGoogleChart.
+             *
+             * @param {Object} detail - {operation, data, rows, index, count, cells, points}
              */
-            setupWireModel() {
-                if (!config.wireModelProp || !this.$wire) return;
-
-                this.$wire.$watch(config.wireModelProp, async (newValue) => {
-                    if (newValue && Array.isArray(newValue) && newValue.length > 0) {
-                        try {
-                            this.dataTable = arrayToDataTable(newValue);
-                            await this.injectOtherTooltip();
-                            this.draw();
-                        } catch (e) {
-                            console.error('[GoogleChartsFlux] Data update error:', e);
-                        }
-                    }
-                });
+            applyUpdate(detail) {
+                switch (detail.operation) {
+                    case 'append':
+                        this.appendRows(detail.rows);
+                        break;
+                    case 'remove':
+                        this.removeRows(detail.index, detail.count);
+                        break;
+                    case 'patch':
+                        this.patchCells(detail.cells);
+                        break;
+                    case 'stream':
+                        // Dashboards have no stream window: points are appended
+                        this.appendRows(detail.points);
+                        break;
+                    default:
+                        this.updateData(detail.data);
+                }
             },
 
             /**
-             * Update the chart data programmatically (callable from Alpine/JS).
-             * Re-injects "Other" tooltip if configured.
+             * Append rows to the shared DataTable and redraw.
              *
-             * @param {Array} newData - New data as array-of-arrays
+             * @param {Array<Array>} rows - Rows in column order
              */
-            async updateData(newData) {
-                if (newData && Array.isArray(newData) && newData.length > 0) {
-                    this.dataTable = arrayToDataTable(newData);
-                    await this.injectOtherTooltip();
-                    this.draw();
-                }
+            appendRows(rows) {
+                if (!this.dataTable || !Array.isArray(rows) || rows.length === 0) return;
+                if (!addDataRows(this.dataTable, rows, 'appendRows')) return;
+                applyFormatters(this.dataTable, [...this._formats, ...this._dataFormats]);
+                this.draw();
             },
 
             /**
-             * Update chart options and redraw.
+             * Remove rows from the shared DataTable and redraw.
              *
-             * @param {Object} newOptions - Options to merge
+             * @param {number} index - Zero-based index of the first row to remove
+             * @param {number} [count=1] - Number of rows to remove
              */
-            updateOptions(newOptions) {
-                config.options = deepMerge(config.options || {}, newOptions);
+            removeRows(index, count = 1) {
+                if (!this.dataTable || !removeDataRows(this.dataTable, index, count)) return;
                 this.draw();
             },
 
             /**
-             * Get the chart as a PNG data URI (for charts that support it).
+             * Set individual cells of the shared DataTable and redraw.
              *
-             * @returns {string|null}
+             * @param {Array<{row: number, column: number|string, value: *, formatted?: string}>} cells
              */
-            getImageURI() {
-                if (this.chart && typeof this.chart.getImageURI === 'function') {
-                    return this.chart.getImageURI();
-                }
-                return null;
+            patchCells(cells) {
+                if (!this.dataTable || !Array.isArray(cells)) return;
+
+                const formatted = patchDataCells(this.dataTable, cells);
+                applyFormatters(this.dataTable, [...this._formats, ...this._dataFormats]);
+                formatted.forEach(([row, col, value]) => this.dataTable.setFormattedValue(row, col, value));
+                this.draw();
             },
 
             /**
-             * Clean up observers and chart instance.
+             * Clean up observers, wrappers and the dashboard instance.
              */
             destroy() {
                 clearTimeout(this._drawTimeout);
+                this._cleanups.forEach(cleanup => cleanup());
+                this._cleanups = [];
                 if (this._resizeObserver) {
                     this._resizeObserver.disconnect();
                 }
                 if (this._darkModeObserver) {
                     this._darkModeObserver.disconnect();
                 }
-                if (this.chart) {
-                    google.visualization.events.removeAllListeners(this.chart);
-                    this.chart.clearChart?.();
+                for (const bound of [...this._charts, ...this._controls]) {
+                    if (bound.wrapper) {
+                        google.visualization.events.removeAllListeners(bound.wrapper);
+                    }
+                    if (bound.chart) {
+                        google.visualization.events.removeAllListeners(bound.chart);
+                    }
+                }
+                if (this.dashboard) {
+                    google.visualization.events.removeAllListeners(this.dashboard);
                 }
             },
         };
@@ -708,20 +4760,42 @@
             // Alpine not loaded yet — wait for it
             document.addEventListener('alpine:init', () => {
                 Alpine.data('googleChart', googleChartComponent);
+                Alpine.data('googleChartDashboard', googleChartDashboardComponent);
             });
         } else {
             Alpine.data('googleChart', googleChartComponent);
+            Alpine.data('googleChartDashboard', googleChartDashboardComponent);
+        }
+    }
+
+    // Livewire morphs a chart's children (its sub-component templates) on
+    // re-render while wire:ignore.self keeps the root and its Alpine state.
+    // Let affected charts re-parse their templates and redraw.
+    function registerMorphHook() {
+        const hook = () => {
+            Livewire.hook('morphed', ({ el }) => {
+                const charts = el.matches?.('[data-gcf-chart]')
+                    ? [el, ...el.querySelectorAll('[data-gcf-chart]')]
+                    : el.querySelectorAll?.('[data-gcf-chart]') || [];
+                for (const chartEl of charts) {
+                    Alpine.$data(chartEl)?.refresh?.();
+                }
+            });
+        };
+
+        if (typeof Livewire === 'undefined') {
+            document.addEventListener('livewire:init', hook);
+        } else {
+            hook();
         }
     }
 
-    // Handle Livewire navigation (SPA mode with wire:navigate)
-    // Charts need to be re-initialized when navigating between pages
-    document.addEventListener('livewire:navigated', () => {
-        // Alpine will automatically re-initialize x-data components
-        // but we need to ensure the Google Charts loader is still valid
-        GoogleChartsLoader._promise = null;
-    });
+    // wire:navigate needs no handling here: Alpine destroys and re-creates
+    // chart components, and the loader (kept alive by the run-once guard
+    // above) reuses the already-loaded library.
+    window.GoogleChartsFlux = { loader: GoogleChartsLoader, groups: ChartGroups, themes: ThemeRegistry };
 
     registerComponent();
+    registerMorphHook();
 
 })();
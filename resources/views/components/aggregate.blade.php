@@ -0,0 +1,3 @@
+{{-- Aggregate sub-component: renders a hidden template with the grouping definition --}}
+{{-- The parent <x-google-chart> Alpine component groups the DataTable with it before drawing --}}
+<template data-gcf-aggregate="{{ json_encode($toArray()) }}"></template>
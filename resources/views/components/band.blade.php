@@ -0,0 +1,3 @@
+{{-- Band sub-component: renders a hidden template with the band definition --}}
+{{-- The parent <x-google-chart> Alpine component draws it as an area interval on a generated series --}}
+<template data-gcf-band="{{ json_encode($toArray()) }}"></template>
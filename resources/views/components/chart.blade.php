@@ -7,34 +7,75 @@
         break;
     }
 
-    $chartId = 'gcf-' . uniqid();
+    // Extract wire:selection (two-way selection binding) the same way
+    $selectionProp = null;
+    $selectionLive = false;
+    $selectionAttributes = $attributes->whereStartsWith('wire:selection')->getAttributes();
+    foreach ($selectionAttributes as $key => $value) {
+        $selectionProp = $value;
+        $selectionLive = str_contains($key, '.live');
+        break;
+    }
+
+    $chartId = $attributes->get('id') ?? 'gcf-' . uniqid();
 @endphp
 
 <div
     id="{{ $chartId }}"
+    data-gcf-chart
+    role="figure"
+    aria-describedby="{{ $chartId }}-description"
+    data-gcf-package="{{ $chartType->package() }}"
     x-data="googleChart({
         type: @js($type),
         data: @js($chartData),
+        src: @js($sourceConfig()),
         options: {},
         defaults: @js($defaultOptions()),
         darkOptions: @js($darkOptions()),
+        responsive: @js((object) ($responsive ?? [])),
+        breakpoints: @js($breakpoints()),
+        theme: @js($themeConfig()),
+        description: @js($description),
         events: [],
         columns: [],
         rows: [],
         seriesConfig: [],
         axisConfig: [],
+        formats: [],
+        views: [],
+        drilldown: null,
+        tooltips: [],
+        emptyMessage: @js($emptyMessage()),
+        stream: null,
+        referenceLines: [],
+        bands: [],
+        aggregate: null,
+        dataFormats: @js($dataFormats),
         loaderConfig: @js($loaderConfig()),
         wireModelProp: @js($wireModelProp),
         loading: @js($loading),
+        lazy: @js($lazy),
+        lazyMargin: @js($lazyMargin()),
+        toggleable: @js($toggleable),
+        selectionProp: @js($selectionProp),
+        selectionLive: @js($selectionLive),
+        selectionKey: @js($selectionKey),
+        group: @js($group),
         otherBreakdown: @js($otherBreakdown),
     })"
     x-on:google-chart-update.window="
         if ($event.detail.chartId === '{{ $chartId }}') {
-            updateData($event.detail.data);
+            applyUpdate($event.detail);
+        }
+    "
+    x-on:google-chart-export.window="
+        if ($event.detail.chartId === '{{ $chartId }}') {
+            exportFromEvent($event.detail);
         }
     "
     wire:ignore.self
-    {{ $attributes->except(array_keys($wireAttributes))->merge(['class' => 'relative']) }}
+    {{ $attributes->except(array_merge(array_keys($wireAttributes), array_keys($selectionAttributes), ['id']))->merge(['class' => 'relative']) }}
 >
     {{-- Sub-component slot (renders hidden <template> elements) --}}
     {{ $slot }}
@@ -63,10 +104,66 @@
                     <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
                 </svg>
                 <span x-text="error"></span>
+                <button type="button" x-on:click="retry()" class="ml-2 font-medium underline hover:no-underline">Retry</button>
             </div>
         </div>
     </div>
 
-    {{-- Chart canvas --}}
-    <div x-ref="canvas" class="h-full w-full" x-show="ready" x-transition.opacity.duration.300ms></div>
+    {{-- Default empty state, unless the slot has an <x-google-chart.empty> --}}
+    @unless (str_contains((string) $slot, 'data-gcf-empty'))
+        <div x-show="ready && empty" x-cloak x-transition.opacity.duration.300ms class="absolute inset-0 flex items-center justify-center text-sm text-zinc-500 dark:text-zinc-400">
+            {{ $emptyMessage() }}
+        </div>
+    @endunless
+
+    {{-- Drill-down breadcrumb --}}
+    <nav x-show="drillPath.length > 0" x-cloak aria-label="Drill-down" class="absolute left-2 top-2 z-10 flex items-center gap-1 rounded-md bg-white/90 px-2 py-1 text-xs text-zinc-600 shadow-sm dark:bg-zinc-800/90 dark:text-zinc-300">
+        <button type="button" x-on:click="drillTo(0)" class="font-medium hover:underline" x-text="drillRootLabel()"></button>
+        <template x-for="(level, index) in drillPath" :key="index">
+            <span class="flex items-center gap-1">
+                <span aria-hidden="true">/</span>
+                <button type="button" x-show="index < drillPath.length - 1" x-on:click="drillTo(index + 1)" class="font-medium hover:underline" x-text="level.label"></button>
+                <span x-show="index === drillPath.length - 1" x-text="level.label" aria-current="page"></span>
+            </span>
+        </template>
+    </nav>
+
+    {{-- Screen reader description, data table and announcements, kept in sync with every draw --}}
+    <p id="{{ $chartId }}-description" class="sr-only" x-text="a11y.description"></p>
+    <table class="sr-only">
+        <caption x-text="a11y.description"></caption>
+        <thead>
+            <tr>
+                <template x-for="(header, c) in a11y.headers" :key="c">
+                    <th scope="col" x-text="header"></th>
+                </template>
+            </tr>
+        </thead>
+        <tbody>
+            <template x-for="(row, r) in a11y.rows" :key="r">
+                <tr>
+                    <template x-for="(cell, c) in row" :key="c">
+                        <td x-text="cell"></td>
+                    </template>
+                </tr>
+            </template>
+        </tbody>
+    </table>
+    <div class="sr-only" aria-live="polite" aria-atomic="true" x-text="a11y.announcement"></div>
+
+    {{-- Chart canvas (ignored by Livewire morphing so the drawn chart survives re-renders) --}}
+    <div
+        x-ref="canvas"
+        id="{{ $chartId }}-canvas"
+        wire:ignore
+        tabindex="0"
+        role="application"
+        aria-roledescription="chart"
+        x-bind:aria-label="a11y.label"
+        aria-describedby="{{ $chartId }}-description"
+        x-on:keydown="handleKeydown($event)"
+        class="h-full w-full rounded focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-zinc-400"
+        x-show="ready && !empty"
+        x-transition.opacity.duration.300ms
+    ></div>
 </div>
@@ -0,0 +1,8 @@
+{{-- Control sub-component: renders the ControlWrapper container with its config --}}
+{{-- The parent <x-google-chart.dashboard> Alpine component reads this during init --}}
+<div
+    id="{{ $attributes->get('id', $controlId) }}"
+    data-gcf-control="{{ json_encode($toArray()) }}"
+    wire:ignore
+    {{ $attributes->except('id') }}
+></div>
@@ -0,0 +1,37 @@
+@php
+    // Extract wire:model from attributes if present
+    $wireModelProp = null;
+    $wireAttributes = $attributes->whereStartsWith('wire:model')->getAttributes();
+    foreach ($wireAttributes as $key => $value) {
+        $wireModelProp = $value ?: $key;
+        break;
+    }
+
+    $dashboardId = $attributes->get('id') ?? 'gcf-dashboard-' . uniqid();
+@endphp
+
+<div
+    id="{{ $dashboardId }}"
+    data-gcf-dashboard
+    data-gcf-package="controls"
+    x-data="googleChartDashboard({
+        data: @js($chartData),
+        loaderConfig: @js($loaderConfig()),
+        wireModelProp: @js($wireModelProp),
+    })"
+    x-on:google-chart-update.window="
+        if ($event.detail.chartId === '{{ $dashboardId }}') {
+            applyUpdate($event.detail);
+        }
+    "
+    wire:ignore.self
+    {{ $attributes->except(array_merge(array_keys($wireAttributes), ['id']))->merge(['class' => 'relative']) }}
+>
+    {{-- Error display --}}
+    <div x-show="error" x-cloak class="mb-4 rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700 dark:border-red-800 dark:bg-red-950 dark:text-red-400">
+        <span x-text="error"></span>
+    </div>
+
+    {{-- Controls and nested charts --}}
+    {{ $slot }}
+</div>
@@ -0,0 +1,3 @@
+{{-- Drilldown sub-component: renders a hidden template with the drill-down definition --}}
+{{-- The parent <x-google-chart> Alpine component reads this during init --}}
+<template data-gcf-drilldown="{{ json_encode($toArray()) }}"></template>
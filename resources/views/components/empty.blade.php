@@ -0,0 +1,5 @@
+{{-- Empty state sub-component: rendered in place, inside the parent <x-google-chart> Alpine scope --}}
+{{-- The parent shows it instead of the canvas while there is no data to draw --}}
+<div data-gcf-empty x-show="ready && empty" x-cloak x-transition.opacity.duration.300ms {{ $attributes->merge(['class' => 'absolute inset-0 flex flex-col items-center justify-center gap-2 text-center text-sm text-zinc-500 dark:text-zinc-400']) }}>
+    {{ $slot }}
+</div>
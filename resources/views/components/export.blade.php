@@ -0,0 +1,11 @@
+{{-- Export sub-component: renders a download menu over the chart --}}
+{{-- Buttons call download() on the parent <x-google-chart> Alpine component --}}
+<div x-show="ready" x-cloak {{ $attributes->merge(['class' => 'absolute right-2 top-2 z-10 flex gap-1']) }}>
+    @foreach ($formats as $format)
+        <button
+            type="button"
+            x-on:click="download(@js($format), @js($filename))"
+            class="rounded border border-zinc-200 bg-white/90 px-2 py-0.5 text-xs font-medium text-zinc-600 hover:bg-zinc-100 dark:border-zinc-700 dark:bg-zinc-800/90 dark:text-zinc-300 dark:hover:bg-zinc-700"
+        >{{ $labels[$format] }}</button>
+    @endforeach
+</div>
@@ -0,0 +1,3 @@
+{{-- Format sub-component: renders a hidden template with a column formatter definition --}}
+{{-- The parent <x-google-chart> Alpine component reads this during init --}}
+<template data-gcf-format="{{ json_encode($toArray()) }}"></template>
@@ -1,3 +1,3 @@
 {{-- Options sub-component: renders a hidden template with JSON options --}}
 {{-- The parent <x-google-chart> Alpine component reads this during init --}}
-<template data-gcf-options="{{ json_encode($chartOptions) }}"></template>
+<template data-gcf-options="{{ json_encode($chartOptions) }}" @if($breakpoint !== null) data-gcf-breakpoint="{{ $breakpoint }}" @endif></template>
@@ -0,0 +1,3 @@
+{{-- Reference line sub-component: renders a hidden template with the line definition --}}
+{{-- The parent <x-google-chart> Alpine component draws it as a generated series --}}
+<template data-gcf-reference-line="{{ json_encode($toArray()) }}"></template>
@@ -0,0 +1,3 @@
+{{-- Stream sub-component: renders a hidden template with the streaming window and channel --}}
+{{-- The parent <x-google-chart> Alpine component reads this during init --}}
+<template data-gcf-stream="{{ json_encode($toArray()) }}"></template>
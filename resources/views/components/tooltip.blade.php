@@ -0,0 +1,3 @@
+{{-- Tooltip sub-component: renders a hidden template with the tooltip definition and its Alpine markup --}}
+{{-- The parent <x-google-chart> Alpine component renders the markup per point into an HTML tooltip column --}}
+<template data-gcf-tooltip="{{ json_encode($toArray()) }}" @if ($chartType) data-gcf-package="{{ $chartType->package() }}" @endif>{{ $slot }}</template>
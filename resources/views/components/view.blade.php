@@ -0,0 +1,3 @@
+{{-- View sub-component: renders a hidden template with a DataView definition --}}
+{{-- The parent <x-google-chart> Alpine component reads this during init --}}
+<template data-gcf-view="{{ json_encode($toArray()) }}"></template>
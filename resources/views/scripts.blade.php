@@ -1,6 +1,6 @@
 {{-- Google Charts Flux Scripts --}}
 {{-- This directive is optional — scripts are auto-injected by default. --}}
 {{-- Use @googleChartsFluxScripts only if you set inject_assets => false in config. --}}
-<script>/* google-charts-flux */
+<script data-navigate-once>/* google-charts-flux */
 {!! file_get_contents(__DIR__ . '/../../js/google-charts-flux.js') !!}
 </script>
@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Data\ChartData;
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart aggregate sub-component.
+ *
+ * Groups the chart's rows in the browser before drawing, so raw rows
+ * (e.g. one per transaction) can be passed as data. Rows are grouped by
+ * one or more columns, with optional date bucketing, and other columns
+ * are aggregated. A pivot turns long-format rows into one series per
+ * category. ChartData::aggregate() applies the same transform in PHP.
+ *
+ * Usage:
+ *   <x-google-chart type="column" wire:model="orders">
+ *       <x-google-chart.aggregate by="Placed at" bucket="week" sum="Amount" pivot="Region" />
+ *   </x-google-chart>
+ *
+ *   <x-google-chart type="table" :data="$orders">
+ *       <x-google-chart.aggregate :by="['Region', 'Status']" sum="Amount" :avg="['Amount', 'Items']" count="Order" />
+ *   </x-google-chart>
+ */
+class Aggregate extends Component
+{
+    /**
+     * Aggregations in order, as [['column' => ..., 'function' => ...], ...].
+     *
+     * @var array<int, array{column: int|string, function: string}>
+     */
+    public array $aggregations;
+
+    /**
+     * Create a new aggregate component instance.
+     *
+     * Columns are given by label, id or index.
+     *
+     * @param string|int|array $by       Column(s) to group by
+     * @param string|int|array|null $sum   Column(s) to sum
+     * @param string|int|array|null $avg   Column(s) to average
+     * @param string|int|array|null $count Column(s) whose non-null values to count
+     * @param string|int|array|null $min   Column(s) to take the minimum of
+     * @param string|int|array|null $max   Column(s) to take the maximum of
+     * @param string|null $bucket        Bucket the first group column's dates by 'day', 'week' or 'month'
+     * @param string|int|null $pivot     Column whose distinct values become series (needs exactly one aggregation)
+     *
+     * @throws \ValueError If no column is aggregated, the bucket is unknown, or a pivot has several aggregations
+     */
+    public function __construct(
+        public string|int|array $by,
+        public string|int|array|null $sum = null,
+        public string|int|array|null $avg = null,
+        public string|int|array|null $count = null,
+        public string|int|array|null $min = null,
+        public string|int|array|null $max = null,
+        public ?string $bucket = null,
+        public string|int|null $pivot = null,
+    ) {
+        $aggregations = [];
+        foreach (ChartData::AGGREGATES as $function) {
+            foreach ((array) $this->{$function} as $column) {
+                $aggregations[] = ['column' => $column, 'function' => $function];
+            }
+        }
+
+        if ($aggregations === []) {
+            throw new \ValueError('An aggregate needs at least one aggregated column (sum, avg, count, min or max).');
+        }
+        if ($bucket !== null && ! in_array($bucket, ChartData::BUCKETS, true)) {
+            throw new \ValueError("Invalid aggregate bucket: {$bucket}. Use one of: " . implode(', ', ChartData::BUCKETS) . '.');
+        }
+        if ($pivot !== null && count($aggregations) !== 1) {
+            throw new \ValueError('A pivot aggregates exactly one column.');
+        }
+
+        $this->aggregations = $aggregations;
+    }
+
+    /**
+     * Get the aggregate definition as an array for JSON serialization.
+     *
+     * @return array{by: array<int, string|int>, aggregations: array<int, array{column: int|string, function: string}>, bucket: string|null, pivot: string|int|null}
+     */
+    public function toArray(): array
+    {
+        return [
+            'by' => array_values((array) $this->by),
+            'aggregations' => $this->aggregations,
+            'bucket' => $this->bucket,
+            'pivot' => $this->pivot,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.aggregate');
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart band sub-component.
+ *
+ * Shades the range between two values across the chart, e.g. a target
+ * range or an "over budget" zone. The band is drawn as an area interval
+ * on a generated, invisible series, hidden from the legend and tooltips
+ * unless enabled. Works on the same chart types as reference lines.
+ *
+ * Usage:
+ *   <x-google-chart type="line" wire:model="spend">
+ *       <x-google-chart.band :from="50000" :to="80000" label="Over budget" color="#ef4444" />
+ *   </x-google-chart>
+ */
+class Band extends Component
+{
+    /**
+     * Create a new band component instance.
+     *
+     * @param float $from            Lower value of the band
+     * @param float $to              Upper value of the band
+     * @param string|null $label     Series label, shown in the legend and tooltips when enabled
+     * @param string|null $color     Fill color (default: red)
+     * @param string|null $darkColor Fill color in dark mode (default: $color, or a lighter red)
+     * @param float $opacity         Fill opacity (0-1)
+     * @param bool $legend           Show the band in the legend
+     * @param bool $tooltip          Show tooltips for the band
+     * @param int|null $axis         Target axis (0 = left, 1 = right)
+     *
+     * @throws \ValueError If $from is greater than $to
+     */
+    public function __construct(
+        public float $from,
+        public float $to,
+        public ?string $label = null,
+        public ?string $color = null,
+        public ?string $darkColor = null,
+        public float $opacity = 0.15,
+        public bool $legend = false,
+        public bool $tooltip = false,
+        public ?int $axis = null,
+    ) {
+        if ($from > $to) {
+            throw new \ValueError("Invalid band: from ({$from}) is greater than to ({$to}).");
+        }
+    }
+
+    /**
+     * Get the band definition as an array for JSON serialization.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return [
+            'from' => $this->from,
+            'to' => $this->to,
+            'label' => $this->label ?? 'Band',
+            'color' => $this->color,
+            'darkColor' => $this->darkColor,
+            'opacity' => $this->opacity,
+            'legend' => $this->legend,
+            'tooltip' => $this->tooltip,
+            'axis' => $this->axis,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.band');
+    }
+}
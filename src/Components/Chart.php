@@ -21,9 +21,19 @@ use Illuminate\View\Component;
  *   </x-google-chart>
  *
  * @property string $type       The chart type (e.g. 'pie', 'bar', 'line')
- * @property array|null $data   Chart data as array-of-arrays
+ * @property array|null $data   Chart data as array-of-arrays or DataTable JSON literal
  * @property string|null $wireModel Livewire model property name for reactivity
  * @property string $loading    Loading state display ('skeleton', 'spinner', 'none')
+ * @property bool $lazy         Defer loading and drawing until the chart nears the viewport
+ * @property bool $toggleable   Toggle series visibility by clicking legend entries
+ * @property string|int $selectionKey Column identifying rows for wire:selection and groups
+ * @property string|null $group  Linked chart group sharing selection and hover highlight
+ * @property string|null $theme  Named theme from config or registered in JS
+ * @property string|null $description Screen reader description (null = generated from the data)
+ * @property string|null $src   URL the chart fetches its data from
+ * @property string|null $query Query Language string sent to $src through google.visualization.Query
+ * @property int|null $poll     Seconds between refetches of $src
+ * @property array|null $responsive Option overrides keyed by breakpoint name or container width
  */
 class Chart extends Component
 {
@@ -33,14 +43,15 @@ class Chart extends Component
     public ChartType $chartType;
 
     /**
-     * Chart data as array-of-arrays (first row = headers).
+     * Chart data as array-of-arrays (first row = headers), or a
+     * DataTable JSON literal ({cols, rows}) from ChartData::toDataTable().
      *
      * Note: "data" is a reserved keyword in Laravel Blade components
      * and cannot be a public property name. We accept it as a constructor
      * parameter (which maps to the :data HTML attribute) and store it
      * in this non-reserved public property for use in the Blade view.
      *
-     * @var array<int, array<mixed>>|null
+     * @var array<int|string, array<mixed>>|null
      */
     public ?array $chartData = null;
 
@@ -57,31 +68,79 @@ class Chart extends Component
      */
     public ?array $otherBreakdown = null;
 
+    /**
+     * Column formatter definitions embedded in the data by ChartData.
+     *
+     * @var array<int, array<string, mixed>>
+     */
+    public array $dataFormats = [];
+
     /**
      * Create a new chart component instance.
      *
      * @param string $type         The chart type ('pie', 'bar', 'line', etc.)
-     * @param array|null $data     Chart data as array-of-arrays (first row = headers)
+     * @param array|null $data     Chart data as array-of-arrays (first row = headers) or DataTable JSON literal
      * @param string|null $loading Loading placeholder type (null = use config default)
+     * @param bool|null $lazy      Render only when near the viewport (null = use config default)
+     * @param bool $toggleable     Let legend clicks hide and show series
+     * @param string|int $selectionKey Column (index, id or label) whose values identify selected rows
+     * @param string|null $group   Link with other charts of the same group (shared selection and hover)
+     * @param string|null $theme   Named theme (null = use config default)
+     * @param string|null $description Screen reader description replacing the generated one
+     * @param string|null $src     URL returning array-of-arrays or DataTable JSON, or CSV
+     * @param string|null $query   Query Language string; fetches $src as a Google data source
+     * @param int|null $poll       Refetch $src every this many seconds
+     * @param array|null $responsive Option overrides keyed by breakpoint ('sm', ...) or maximum container width in pixels
+     *
+     * @throws \ValueError If the type is unknown or a responsive key is not a breakpoint
      */
     public function __construct(
         public string $type,
         ?array $data = null,
         public ?string $loading = null,
+        public ?bool $lazy = null,
+        public bool $toggleable = false,
+        public string|int $selectionKey = 0,
+        public ?string $group = null,
+        public ?string $theme = null,
+        public ?string $description = null,
+        public ?string $src = null,
+        public ?string $query = null,
+        public ?int $poll = null,
+        public ?array $responsive = null,
     ) {
         $this->chartType = ChartType::resolve($type);
 
+        if ($responsive !== null) {
+            $this->responsive = [];
+            foreach ($responsive as $breakpoint => $options) {
+                $this->responsive[static::breakpoint($breakpoint)] = $options;
+            }
+        }
+
         // Auto-extract _otherBreakdown metadata embedded by groupSmallSlices().
         // This must happen BEFORE storing $chartData so the data array remains
         // a clean numeric-indexed array that json_encode serializes as a JS array.
+        // DataTable JSON literals ({cols, rows}) keep their string keys.
+        $isLiteral = $data !== null && array_key_exists('cols', $data);
+
         if ($data !== null && array_key_exists('_otherBreakdown', $data)) {
             $this->otherBreakdown = $data['_otherBreakdown'];
             unset($data['_otherBreakdown']);
-            $data = array_values($data);
+            $data = $isLiteral ? $data : array_values($data);
+        }
+
+        // Same for _formats metadata embedded by ChartData::format().
+        if ($data !== null && array_key_exists('_formats', $data)) {
+            $this->dataFormats = $data['_formats'];
+            unset($data['_formats']);
+            $data = $isLiteral ? $data : array_values($data);
         }
 
         $this->chartData = $data;
         $this->loading = $loading ?? config('google-charts-flux.loading', 'skeleton');
+        $this->lazy = $lazy ?? (bool) config('google-charts-flux.lazy', false);
+        $this->theme = $theme ?? config('google-charts-flux.theme');
     }
 
     /**
@@ -95,17 +154,81 @@ class Chart extends Component
     /**
      * Get the loader configuration for the Google Charts JS library.
      *
-     * @return array{version: string, packages: string[], apiKey: string}
+     * 'requires' is the package this chart type needs; 'packages' lists
+     * extra packages from config. The JS loader adds the packages of every
+     * other chart on the page and loads them all in one call.
+     *
+     * @return array{version: string, packages: string[], requires: string[], apiKey: string, language: string, loaderUrls: string[], timeout: int, retries: int}
      */
     public function loaderConfig(): array
+    {
+        return [
+            ...static::libraryConfig(),
+            'requires' => [$this->chartType->package()],
+        ];
+    }
+
+    /**
+     * Get the loader settings shared by charts and dashboards.
+     *
+     * 'loaderUrls' are tried in order: the configured loader URL (e.g. a
+     * self-hosted copy made with `php artisan google-charts-flux:vendor`)
+     * followed by the fallback URL, if any.
+     *
+     * @return array{version: string, packages: string[], apiKey: string, language: string, loaderUrls: string[], timeout: int, retries: int}
+     */
+    public static function libraryConfig(): array
     {
         return [
             'version' => config('google-charts-flux.version', 'current'),
-            'packages' => config('google-charts-flux.packages', ['corechart']),
+            'packages' => config('google-charts-flux.packages', []),
             'apiKey' => config('google-charts-flux.api_key', ''),
+            'language' => static::language(),
+            'loaderUrls' => array_values(array_unique(array_filter([
+                config('google-charts-flux.loader.url', 'https://www.gstatic.com/charts/loader.js'),
+                config('google-charts-flux.loader.fallback_url'),
+            ]))),
+            'timeout' => (int) config('google-charts-flux.loader.timeout', 15000),
+            'retries' => (int) config('google-charts-flux.loader.retries', 1),
         ];
     }
 
+    /**
+     * Get the locale passed to the loader, which Google uses for
+     * formatters, axis labels and month/day names.
+     *
+     * Falls back to the application locale when not configured.
+     */
+    public static function language(): string
+    {
+        $language = config('google-charts-flux.language') ?: app()->getLocale();
+
+        return str_replace('_', '-', $language);
+    }
+
+    /**
+     * Get how far outside the viewport a lazy chart starts rendering,
+     * as an IntersectionObserver rootMargin.
+     */
+    public function lazyMargin(): string
+    {
+        return config('google-charts-flux.lazy_margin', '200px');
+    }
+
+    /**
+     * Get the remote data source for the JS component.
+     *
+     * @return array{url: string, query: string|null, poll: int|null}|null
+     */
+    public function sourceConfig(): ?array
+    {
+        if ($this->src === null) {
+            return null;
+        }
+
+        return ['url' => $this->src, 'query' => $this->query, 'poll' => $this->poll];
+    }
+
     /**
      * Get the default chart options from config.
      *
@@ -125,4 +248,60 @@ class Chart extends Component
     {
         return config('google-charts-flux.dark', []);
     }
+
+    /**
+     * Get the message shown when the chart has no data to draw.
+     */
+    public function emptyMessage(): string
+    {
+        return (string) config('google-charts-flux.empty_message', 'No data to display');
+    }
+
+    /**
+     * Get the breakpoint widths from config.
+     *
+     * @return array<string, int>
+     */
+    public static function breakpoints(): array
+    {
+        return config('google-charts-flux.breakpoints', []);
+    }
+
+    /**
+     * Validate a breakpoint: a name from config or a container width.
+     *
+     * @throws \ValueError If the breakpoint is neither
+     */
+    public static function breakpoint(string|int $breakpoint): string
+    {
+        $breakpoint = (string) $breakpoint;
+
+        if (! array_key_exists($breakpoint, static::breakpoints()) && ! ctype_digit($breakpoint)) {
+            $names = implode(', ', array_keys(static::breakpoints()));
+            throw new \ValueError("Unknown breakpoint: {$breakpoint}. Use one of [{$names}] or a width in pixels.");
+        }
+
+        return $breakpoint;
+    }
+
+    /**
+     * Get the chart's theme with its light and dark variants from config.
+     *
+     * Themes not defined in config are passed by name only, for themes
+     * registered in JS with GoogleChartsFlux.themes.register().
+     *
+     * @return array{name: string, light?: array<string, mixed>, dark?: array<string, mixed>}|null
+     */
+    public function themeConfig(): ?array
+    {
+        if ($this->theme === null) {
+            return null;
+        }
+
+        $theme = config("google-charts-flux.themes.{$this->theme}");
+
+        return $theme === null
+            ? ['name' => $this->theme]
+            : ['name' => $this->theme, 'light' => $theme['light'] ?? [], 'dark' => $theme['dark'] ?? []];
+    }
 }
@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Dashboard control sub-component.
+ *
+ * Declares a Google Charts ControlWrapper filter inside an
+ * <x-google-chart.dashboard>. The control renders into its own
+ * element, so classes on the tag size and position it.
+ *
+ * Usage:
+ *   <x-google-chart.control type="category" column="Region" />
+ *   <x-google-chart.control type="range" column="Revenue" :for="['revenue-chart']" />
+ *   <x-google-chart.control type="string" :column="0" emit="nameFiltered" class="mb-4" />
+ *
+ * @see https://developers.google.com/chart/interactive/docs/gallery/controls#controls_gallery
+ */
+class Control extends Component
+{
+    /**
+     * Short aliases for Google Charts control class names.
+     *
+     * @var array<string, string>
+     */
+    public const TYPES = [
+        'category' => 'CategoryFilter',
+        'chart-range' => 'ChartRangeFilter',
+        'date-range' => 'DateRangeFilter',
+        'range' => 'NumberRangeFilter',
+        'string' => 'StringFilter',
+    ];
+
+    /**
+     * The resolved Google Charts control class name.
+     */
+    public string $controlType;
+
+    /**
+     * Element id used as the ControlWrapper container.
+     */
+    public string $controlId;
+
+    /**
+     * Create a new control component instance.
+     *
+     * @param string $type           Control type alias ('category', 'range', 'date-range',
+     *                               'string', 'chart-range') or Google class name
+     * @param string|int|null $column Column label or zero-based index to filter on
+     * @param string|array|null $for Element ids of charts/controls to bind to (null = all charts)
+     * @param array|null $options    ControlWrapper options (e.g. ['ui' => ['label' => 'Region']])
+     * @param array|null $state      Initial control state
+     * @param string|null $emit      Event name dispatched when the control state changes
+     */
+    public function __construct(
+        public string $type = 'category',
+        public string|int|null $column = null,
+        public string|array|null $for = null,
+        public ?array $options = null,
+        public ?array $state = null,
+        public ?string $emit = null,
+    ) {
+        $this->controlType = self::TYPES[$type] ?? $type;
+        $this->controlId = 'gcf-control-' . uniqid();
+    }
+
+    /**
+     * Get the control definition as an array for JSON serialization.
+     *
+     * @return array{type: string, column?: string|int, for?: string[], options?: array, state?: array, emit?: string}
+     */
+    public function toArray(): array
+    {
+        $control = ['type' => $this->controlType];
+
+        if ($this->column !== null) {
+            $control['column'] = $this->column;
+        }
+        if ($this->for !== null) {
+            $control['for'] = (array) $this->for;
+        }
+        if ($this->options !== null) {
+            $control['options'] = $this->options;
+        }
+        if ($this->state !== null) {
+            $control['state'] = $this->state;
+        }
+        if ($this->emit !== null) {
+            $control['emit'] = $this->emit;
+        }
+
+        return $control;
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.control');
+    }
+}
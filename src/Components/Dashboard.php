@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Dashboard component.
+ *
+ * Wraps a google.visualization.Dashboard that owns one shared DataTable
+ * and drives every nested <x-google-chart> through control filters.
+ * Nested charts keep their own options, series, axis and event children.
+ *
+ * Usage:
+ *   <x-google-chart.dashboard wire:model="sales">
+ *       <x-google-chart.control type="category" column="Region" emit="regionFiltered" />
+ *       <x-google-chart.control type="range" column="Revenue" />
+ *       <x-google-chart type="column" class="h-80">
+ *           <x-google-chart.options title="Revenue by Region" />
+ *       </x-google-chart>
+ *       <x-google-chart type="table" class="h-64" />
+ *   </x-google-chart.dashboard>
+ *
+ * @see https://developers.google.com/chart/interactive/docs/gallery/controls
+ */
+class Dashboard extends Component
+{
+    /**
+     * Shared data as array-of-arrays (first row = headers).
+     *
+     * Stored under a non-reserved name for the same reason as
+     * Chart::$chartData.
+     *
+     * @var array<int, array<mixed>>|null
+     */
+    public ?array $chartData = null;
+
+    /**
+     * Create a new dashboard component instance.
+     *
+     * @param array|null $data Shared data as array-of-arrays (first row = headers) or DataTable JSON literal
+     */
+    public function __construct(?array $data = null)
+    {
+        $this->chartData = $data;
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.dashboard');
+    }
+
+    /**
+     * Get the loader configuration. Dashboards require the 'controls'
+     * package for Dashboard and ControlWrapper; nested charts add their
+     * own packages through their data-gcf-package attributes.
+     *
+     * @return array{version: string, packages: string[], requires: string[], apiKey: string, language: string, loaderUrls: string[], timeout: int, retries: int}
+     */
+    public function loaderConfig(): array
+    {
+        return [
+            ...Chart::libraryConfig(),
+            'requires' => ['controls'],
+        ];
+    }
+}
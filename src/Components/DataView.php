@@ -0,0 +1,87 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart data view sub-component.
+ *
+ * Draws the chart from a google.visualization.DataView over its DataTable:
+ * a subset of columns, calculated columns and row filters, without
+ * reshaping the data in PHP. The first view is drawn by default; named
+ * views can be switched client-side with the chart's setView().
+ *
+ * Calculated columns are named operations over other columns — there is
+ * no expression evaluation.
+ *
+ * Usage:
+ *   <x-google-chart type="column" :data="$data">
+ *       <x-google-chart.view
+ *           name="margin"
+ *           :columns="['Month', ['calc' => 'ratio', 'columns' => ['Profit', 'Revenue'], 'label' => 'Margin']]"
+ *           :filters="[['column' => 'Region', 'value' => 'EU']]"
+ *       />
+ *   </x-google-chart>
+ *
+ * @see https://developers.google.com/chart/interactive/docs/reference#DataView
+ */
+class DataView extends Component
+{
+    /**
+     * Supported calculations for calculated columns.
+     *
+     * @var string[]
+     */
+    public const CALCULATIONS = ['ratio', 'difference', 'percent', 'percentOfTotal', 'sum', 'product'];
+
+    /**
+     * Create a new view component instance.
+     *
+     * @param string|null $name Name used to switch to this view with setView()
+     * @param array $columns    Column indices, ids or labels, and calculated columns as
+     *                          ['calc' => 'ratio', 'columns' => [a, b], 'label' => ..., 'decimals' => ...]
+     * @param array $filters    Row filters as getFilteredRows() specs:
+     *                          ['column' => ..., 'value' => ...] or ['column' => ..., 'minValue' => ..., 'maxValue' => ...]
+     *
+     * @throws \ValueError If a calculated column uses an unknown calculation
+     */
+    public function __construct(
+        public ?string $name = null,
+        public array $columns = [],
+        public array $filters = [],
+    ) {
+        foreach ($columns as $column) {
+            if (is_array($column) && ! in_array($column['calc'] ?? null, self::CALCULATIONS, true)) {
+                $calc = $column['calc'] ?? '(none)';
+
+                throw new \ValueError("Unknown view calculation: {$calc}. Valid calculations are: " . implode(', ', self::CALCULATIONS));
+            }
+        }
+    }
+
+    /**
+     * Get the view definition as an array for JSON serialization.
+     *
+     * @return array{name: string|null, columns: array, filters: array}
+     */
+    public function toArray(): array
+    {
+        return [
+            'name' => $this->name,
+            'columns' => $this->columns,
+            'filters' => $this->filters,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.view');
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart drill-down sub-component.
+ *
+ * Clicking a row drills into its child dataset, keeping a level stack
+ * with a breadcrumb for going back up. Child data comes from inline
+ * children, a Livewire method, or a JSON URL (tried in that order).
+ *
+ * Usage:
+ *   <x-google-chart type="column" :data="$years">
+ *       <x-google-chart.drilldown method="drillData" label="All years" :depth="2" emit="levelChanged" />
+ *   </x-google-chart>
+ *
+ * In your Livewire component:
+ *   public function drillData(string $key, array $path): array
+ *   {
+ *       // ['2024'] → quarters of 2024, ['2024', 'Q1'] → months of Q1 2024
+ *   }
+ */
+class Drilldown extends Component
+{
+    /**
+     * Create a new drilldown component instance.
+     *
+     * @param array|null $children Child data keyed by row key or key path (e.g. '2024' or '2024/Q1')
+     * @param string|null $method  Livewire method called with ($key, $path) that returns child data
+     * @param string|null $url     JSON endpoint with {key} and {path} placeholders
+     * @param string|int|null $key Column whose value identifies the clicked row (default: the selection key)
+     * @param string $label        Breadcrumb label of the top level
+     * @param int|null $depth      Maximum number of levels below the top level
+     * @param string|null $emit    Livewire event dispatched on every level change
+     *
+     * @throws \ValueError If no child data source is given
+     */
+    public function __construct(
+        public ?array $children = null,
+        public ?string $method = null,
+        public ?string $url = null,
+        public string|int|null $key = null,
+        public string $label = 'All',
+        public ?int $depth = null,
+        public ?string $emit = null,
+    ) {
+        if ($children === null && $method === null && $url === null) {
+            throw new \ValueError('A drilldown needs child data: set children, method or url.');
+        }
+    }
+
+    /**
+     * Get the drill-down definition as an array for JSON serialization.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return array_filter([
+            'children' => $this->children,
+            'method' => $this->method,
+            'url' => $this->url,
+            'key' => $this->key,
+            'label' => $this->label,
+            'depth' => $this->depth,
+            'emit' => $this->emit,
+        ], fn ($value) => $value !== null);
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.drilldown');
+    }
+}
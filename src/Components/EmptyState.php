@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart empty state sub-component.
+ *
+ * Shown in place of the chart while there is nothing to draw: no data,
+ * no rows (e.g. a filter matched nothing) or only null values. The chart
+ * switches in and out of it as data updates arrive. Its text is also
+ * announced to screen readers. Without it, the configured 'empty_message'
+ * is shown.
+ *
+ * Named EmptyState because `empty` is reserved in PHP.
+ *
+ * Usage:
+ *   <x-google-chart type="column" wire:model="sales">
+ *       <x-google-chart.empty>
+ *           <flux:heading>No sales in this period</flux:heading>
+ *           <flux:button wire:click="resetFilters" size="sm">Reset filters</flux:button>
+ *       </x-google-chart.empty>
+ *   </x-google-chart>
+ */
+class EmptyState extends Component
+{
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.empty');
+    }
+}
@@ -11,20 +11,24 @@ use Illuminate\View\Component;
  * Chart event sub-component.
  *
  * Registers a Google Charts event listener and bridges it to a
- * Livewire event dispatch. When the Google Charts event fires,
- * the specified Livewire event is dispatched with the event payload.
+ * Livewire event dispatch and/or an inline Alpine handler. When the Google
+ * Charts event fires, the specified Livewire event is dispatched with the
+ * event payload: row and column coordinates are resolved into the row key,
+ * the labeled row data and the series value (see ChartEventPayload).
  *
  * Usage:
  *   <x-google-chart type="pie" :data="$data">
  *       <x-google-chart.event on="select" emit="chartItemSelected" />
- *       <x-google-chart.event on="ready" emit="chartReady" />
+ *       <x-google-chart.event on="onmouseover" emit="sliceHovered" :throttle="200" to="sidebar" />
+ *       <x-google-chart.event on="ready" handler="$dispatch('chart-ready', $payload)" once />
  *   </x-google-chart>
  *
  * In your Livewire component:
  *   #[On('chartItemSelected')]
- *   public function onChartSelect(array $selection, array $selectedData): void
+ *   public function onChartSelect(array $payload): void
  *   {
- *       // Handle the selection...
+ *       $payload = ChartEventPayload::fromArray($payload);
+ *       // $payload->key, $payload->data, $payload->selectedData...
  *   }
  *
  * Available events depend on chart type. Common ones:
@@ -34,6 +38,9 @@ use Illuminate\View\Component;
  * - 'onmouseover'  — Mouse enters a data point
  * - 'onmouseout'   — Mouse leaves a data point
  * - 'regionClick'  — GeoChart region clicked
+ * - 'seriestoggle' — A legend click hid or showed a series (charts with `toggleable`)
+ * - 'drilldown'    — The drill-down level changed (charts with <x-google-chart.drilldown>)
+ * - 'empty'        — The chart switched to its empty state (no rows or only null values)
  *
  * @see https://developers.google.com/chart/interactive/docs/events
  */
@@ -42,24 +49,51 @@ class Event extends Component
     /**
      * Create a new event component instance.
      *
-     * @param string $on   The Google Charts event name to listen for
-     * @param string $emit The Livewire event name to dispatch
+     * @param string $on            The Google Charts event name to listen for
+     * @param string|null $emit     The Livewire event name to dispatch
+     * @param int|null $throttle    Deliver at most once per this many milliseconds (the latest payload trails)
+     * @param int|null $debounce    Deliver once the event stopped firing for this many milliseconds
+     * @param bool $once            Deliver only the first occurrence
+     * @param string|null $to       Livewire component name to dispatch to, instead of every listener
+     * @param string|null $handler  Alpine expression run with the payload as $payload
+     *
+     * @throws \ValueError If neither emit nor handler is given, or both throttle and debounce are
      */
     public function __construct(
         public string $on,
-        public string $emit,
-    ) {}
+        public ?string $emit = null,
+        public ?int $throttle = null,
+        public ?int $debounce = null,
+        public bool $once = false,
+        public ?string $to = null,
+        public ?string $handler = null,
+    ) {
+        if ($emit === null && $handler === null) {
+            throw new \ValueError("The \"{$on}\" event needs an emit name or a handler.");
+        }
+
+        if ($throttle !== null && $debounce !== null) {
+            throw new \ValueError("The \"{$on}\" event can be throttled or debounced, not both.");
+        }
+    }
 
     /**
      * Get the event definition as an array for JSON serialization.
      *
-     * @return array{on: string, emit: string}
+     * @return array{on: string, emit: string|null, throttle?: int, debounce?: int, once?: bool, to?: string, handler?: string}
      */
     public function toArray(): array
     {
         return [
             'on' => $this->on,
             'emit' => $this->emit,
+            ...array_filter([
+                'throttle' => $this->throttle,
+                'debounce' => $this->debounce,
+                'once' => $this->once,
+                'to' => $this->to,
+                'handler' => $this->handler,
+            ]),
         ];
     }
 
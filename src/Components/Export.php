@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart export sub-component.
+ *
+ * Renders a small download menu over the parent <x-google-chart>.
+ * Each button calls the chart's download() method for one format.
+ *
+ * Usage:
+ *   <x-google-chart type="line" :data="$data" class="h-80">
+ *       <x-google-chart.export />
+ *       <x-google-chart.export :formats="['png', 'svg', 'csv']" filename="revenue" />
+ *   </x-google-chart>
+ */
+class Export extends Component
+{
+    /**
+     * Supported formats and their default button labels.
+     *
+     * @var array<string, string>
+     */
+    public const FORMATS = [
+        'png' => 'PNG',
+        'svg' => 'SVG',
+        'csv' => 'CSV',
+        'json' => 'JSON',
+        'print' => 'Print',
+    ];
+
+    /**
+     * Create a new export component instance.
+     *
+     * @param array|string $formats  Formats to offer: 'png', 'svg', 'csv', 'json', 'print'
+     * @param string|null $filename  Download file name without extension (null = chart title or id)
+     * @param array $labels          Button label overrides keyed by format
+     */
+    public function __construct(
+        public array|string $formats = ['png', 'csv', 'print'],
+        public ?string $filename = null,
+        public array $labels = [],
+    ) {
+        $this->formats = array_values(array_intersect(
+            is_string($formats) ? array_map('trim', explode(',', $formats)) : $formats,
+            array_keys(self::FORMATS)
+        ));
+        $this->labels = array_merge(self::FORMATS, $labels);
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.export');
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart column format sub-component.
+ *
+ * Applies a google.visualization formatter to one or more columns
+ * after every DataTable build, so tooltips, tables and annotations
+ * show formatted values. Formatters follow the loader `language`.
+ *
+ * Usage:
+ *   <x-google-chart type="table" :data="$data">
+ *       <x-google-chart.format type="number" column="Revenue" :options="['prefix' => '$']" />
+ *       <x-google-chart.format type="date" :column="0" :options="['formatType' => 'long']" />
+ *       <x-google-chart.format type="arrow" column="Change" />
+ *       <x-google-chart.format type="color" column="Margin" :ranges="[[null, 0, 'white', 'red']]" />
+ *       <x-google-chart.format type="pattern" pattern="{0} ({1})" :source="[0, 1]" :target="0" />
+ *   </x-google-chart>
+ *
+ * @see https://developers.google.com/chart/interactive/docs/reference#formatters
+ */
+class Format extends Component
+{
+    /**
+     * Supported format types.
+     *
+     * @var string[]
+     */
+    public const TYPES = ['arrow', 'bar', 'color', 'date', 'number', 'pattern'];
+
+    /**
+     * Create a new format component instance.
+     *
+     * @param string $type                 Formatter type: 'number', 'date', 'pattern', 'color', 'arrow', 'bar'
+     * @param string|int|array|null $column Column index, id or label (or several) to format
+     * @param array|null $options          Formatter options (e.g. ['prefix' => '$', 'fractionDigits' => 0])
+     * @param string|null $pattern         Pattern string for PatternFormat (e.g. '{0} ({1})')
+     * @param array|null $source           Source columns for PatternFormat (defaults to $column)
+     * @param string|int|null $target      Destination column for PatternFormat
+     * @param array|null $ranges           ColorFormat ranges as [from, to, color, bgcolor]
+     * @param array|null $gradients        ColorFormat gradients as [from, to, color, fromBgColor, toBgColor]
+     *
+     * @throws \ValueError If the format type is not supported
+     */
+    public function __construct(
+        public string $type = 'number',
+        public string|int|array|null $column = null,
+        public ?array $options = null,
+        public ?string $pattern = null,
+        public ?array $source = null,
+        public string|int|null $target = null,
+        public ?array $ranges = null,
+        public ?array $gradients = null,
+    ) {
+        if (! in_array($type, self::TYPES, true)) {
+            throw new \ValueError("Unknown format type: {$type}. Valid types are: " . implode(', ', self::TYPES));
+        }
+    }
+
+    /**
+     * Get the format definition as an array for JSON serialization.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        $format = [
+            'type' => $this->type,
+            'columns' => $this->column === null ? [] : (array) $this->column,
+        ];
+
+        if ($this->options !== null) {
+            $format['options'] = $this->options;
+        }
+        if ($this->pattern !== null) {
+            $format['pattern'] = $this->pattern;
+        }
+        if ($this->source !== null) {
+            $format['source'] = $this->source;
+        }
+        if ($this->target !== null) {
+            $format['target'] = $this->target;
+        }
+        if ($this->ranges !== null) {
+            $format['ranges'] = $this->ranges;
+        }
+        if ($this->gradients !== null) {
+            $format['gradients'] = $this->gradients;
+        }
+
+        return $format;
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.format');
+    }
+}
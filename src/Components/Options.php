@@ -24,6 +24,10 @@ use Illuminate\View\Component;
  *
  * Any prop not explicitly consumed by this component is passed through
  * as a Google Charts option key-value pair.
+ *
+ * With a breakpoint, the options only apply while the chart's container
+ * is at most that wide (see the 'breakpoints' config):
+ *   <x-google-chart.options breakpoint="sm" legend="bottom" :hideSeries="['Forecast']" />
  */
 class Options extends Component
 {
@@ -53,6 +57,10 @@ class Options extends Component
      * @param array|null $tooltip        Tooltip config
      * @param string|null $backgroundColor Background color
      * @param array|null $extra          Additional options to merge (catch-all)
+     * @param string|int|null $breakpoint Apply only up to this breakpoint or container width in pixels
+     * @param array|null $hideSeries     Labels of series to leave out of the chart and its legend
+     *
+     * @throws \ValueError If the breakpoint is not configured
      */
     public function __construct(
         public ?string $title = null,
@@ -68,7 +76,13 @@ class Options extends Component
         public ?array $tooltip = null,
         public ?string $backgroundColor = null,
         public ?array $extra = null,
+        public string|int|null $breakpoint = null,
+        public ?array $hideSeries = null,
     ) {
+        if ($breakpoint !== null) {
+            $this->breakpoint = Chart::breakpoint($breakpoint);
+        }
+
         $this->chartOptions = $this->buildOptions();
     }
 
@@ -119,6 +133,9 @@ class Options extends Component
         if ($this->backgroundColor !== null) {
             $options['backgroundColor'] = $this->backgroundColor;
         }
+        if ($this->hideSeries !== null) {
+            $options['hideSeries'] = $this->hideSeries;
+        }
 
         // Merge any extra options
         if ($this->extra !== null) {
@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart reference line sub-component.
+ *
+ * Draws a horizontal line (vertical on bar charts) across the chart at a
+ * fixed value, or at a statistic of a series that follows data updates.
+ * The line is a generated series, hidden from the legend and tooltips
+ * unless enabled. Works on line, area, column, bar, stepped area and combo
+ * charts; column, bar and stepped area charts are drawn as combo charts
+ * to mix in the line.
+ *
+ * Usage:
+ *   <x-google-chart type="column" wire:model="sales">
+ *       <x-google-chart.reference-line :value="10000" label="Target" color="#16a34a" annotation="Target" />
+ *       <x-google-chart.reference-line value="avg" of="Revenue" label="Average" />
+ *   </x-google-chart>
+ */
+class ReferenceLine extends Component
+{
+    /**
+     * Statistics a line can follow instead of a fixed value.
+     *
+     * @var string[]
+     */
+    public const STATISTICS = ['avg', 'min', 'max', 'median'];
+
+    /**
+     * Create a new reference line component instance.
+     *
+     * @param float|string $value        Value to draw the line at, or a statistic ('avg', 'min', 'max', 'median')
+     * @param string|int|null $of        Series (column label, id or index) the statistic is computed over (default: first series)
+     * @param string|null $label         Series label, shown in the legend and tooltips when enabled
+     * @param string|null $color         Line color (default: neutral grey)
+     * @param string|null $darkColor     Line color in dark mode (default: $color, or a lighter grey)
+     * @param int $lineWidth             Line width in pixels
+     * @param bool|string $dash          Dashed line: true for the default pattern, or a pattern like '6,3'
+     * @param string|null $annotation    Text annotated at the line's end
+     * @param bool $legend               Show the line in the legend
+     * @param bool $tooltip              Show tooltips for the line
+     * @param int|null $axis             Target axis (0 = left, 1 = right)
+     *
+     * @throws \ValueError If the value is neither a number nor a statistic
+     */
+    public function __construct(
+        public float|string $value,
+        public string|int|null $of = null,
+        public ?string $label = null,
+        public ?string $color = null,
+        public ?string $darkColor = null,
+        public int $lineWidth = 2,
+        public bool|string $dash = true,
+        public ?string $annotation = null,
+        public bool $legend = false,
+        public bool $tooltip = false,
+        public ?int $axis = null,
+    ) {
+        if (is_string($value)) {
+            if (is_numeric($value)) {
+                $this->value = (float) $value;
+            } elseif (! in_array($value, self::STATISTICS, true)) {
+                throw new \ValueError("Invalid reference line value: {$value}. Use a number or one of: " . implode(', ', self::STATISTICS) . '.');
+            }
+        }
+    }
+
+    /**
+     * Get the reference line definition as an array for JSON serialization.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return [
+            'value' => $this->value,
+            'of' => $this->of,
+            'label' => $this->label ?? (is_string($this->value) ? ucfirst($this->value) : 'Reference'),
+            'color' => $this->color,
+            'darkColor' => $this->darkColor,
+            'lineWidth' => $this->lineWidth,
+            'dash' => match (true) {
+                $this->dash === true => [4, 4],
+                $this->dash === false, $this->dash === '' => null,
+                default => array_map('intval', explode(',', $this->dash)),
+            },
+            'annotation' => $this->annotation,
+            'legend' => $this->legend,
+            'tooltip' => $this->tooltip,
+            'axis' => $this->axis,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.reference-line');
+    }
+}
@@ -0,0 +1,101 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart streaming sub-component.
+ *
+ * Configures how points pushed with pushPoints(), streamToChart() or an
+ * Echo channel are kept: a sliding window by row count and/or time span,
+ * and the maximum redraw rate. Start the chart from typed headers only
+ * (e.g. [[['label' => 'Time', 'type' => 'datetime'], 'CPU']]) to stream
+ * into an empty chart.
+ *
+ * Usage:
+ *   <x-google-chart type="line" :data="$header" id="cpu">
+ *       <x-google-chart.stream :max="600" span="5m" :fps="4" channel="metrics" event="CpuSampled" />
+ *   </x-google-chart>
+ */
+class Stream extends Component
+{
+    /**
+     * Seconds per span unit.
+     *
+     * @var array<string, int>
+     */
+    protected const UNITS = ['s' => 1, 'm' => 60, 'h' => 3600, 'd' => 86400];
+
+    /**
+     * Create a new stream component instance.
+     *
+     * @param int|null $max          Keep at most this many rows, dropping the oldest
+     * @param string|int|null $span  Keep rows whose date/datetime domain value is within this span
+     *                               of the newest row: seconds, or a duration like '30s', '5m', '1h', '1d'
+     * @param int $fps               Maximum redraws per second
+     * @param string|null $channel   Laravel Echo channel to listen to
+     * @param string $event          Broadcast event carrying the points (as its `points` property)
+     * @param bool $private          Listen on a private channel
+     *
+     * @throws \ValueError If the span is not a valid duration
+     */
+    public function __construct(
+        public ?int $max = null,
+        public string|int|null $span = null,
+        public int $fps = 10,
+        public ?string $channel = null,
+        public string $event = 'ChartPointsPushed',
+        public bool $private = false,
+    ) {
+        if ($span !== null) {
+            $this->span = $this->spanMilliseconds($span);
+        }
+    }
+
+    /**
+     * Convert a span to milliseconds.
+     *
+     * @throws \ValueError If the span is not a valid duration
+     */
+    protected function spanMilliseconds(string|int $span): int
+    {
+        if (is_int($span) || ctype_digit($span)) {
+            return (int) $span * 1000;
+        }
+
+        if (! preg_match('/^(\d+)\s*([smhd])$/', $span, $matches)) {
+            throw new \ValueError("Invalid stream span: {$span}. Use seconds or a duration like '30s', '5m', '1h', '1d'.");
+        }
+
+        return (int) $matches[1] * self::UNITS[$matches[2]] * 1000;
+    }
+
+    /**
+     * Get the stream definition as an array for JSON serialization.
+     *
+     * @return array{max: int|null, span: int|null, fps: int, channel: string|null, event: string, private: bool}
+     */
+    public function toArray(): array
+    {
+        return [
+            'max' => $this->max,
+            'span' => $this->span,
+            'fps' => $this->fps,
+            'channel' => $this->channel,
+            'event' => $this->event,
+            'private' => $this->private,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.stream');
+    }
+}
@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Enums\ChartType;
+use Illuminate\Contracts\View\View;
+use Illuminate\View\Component;
+
+/**
+ * Chart HTML tooltip sub-component.
+ *
+ * The slot is an Alpine template rendered client-side for every point, with
+ * the point's values in scope, and injected as an HTML tooltip role column.
+ * Scope: row and formatted (values by column label), key (row key), series,
+ * value and formattedValue (the hovered series), chart (PNG data URI of the
+ * mini chart, if any) and items (the mini chart's data rows).
+ *
+ * Without a slot a default tooltip is rendered: the title, the mini chart
+ * and the series value.
+ *
+ * Usage:
+ *   <x-google-chart type="column" :data="$data">
+ *       <x-google-chart.tooltip chart="pie" :charts="$breakdownByRegion">
+ *           <strong x-text="row.Region"></strong>
+ *           <img :src="chart" x-show="chart" width="200">
+ *           <div x-text="`${series}: ${formattedValue}`"></div>
+ *       </x-google-chart.tooltip>
+ *   </x-google-chart>
+ */
+class Tooltip extends Component
+{
+    /**
+     * The resolved mini chart type, if any.
+     */
+    public ?ChartType $chartType = null;
+
+    /**
+     * Create a new tooltip component instance.
+     *
+     * @param string|int|array|null $series Series columns (index, id or label) the tooltip applies to (null = all)
+     * @param array|null $rows           Row keys the tooltip applies to (null = all); other rows keep the default tooltip
+     * @param string|null $title         Title of the default template (null = the row's domain value)
+     * @param string|null $chart         Mini chart type ('pie', 'line', ...)
+     * @param array $charts              Mini chart data (array-of-arrays) keyed by row key
+     * @param array $chartOptions        Google Charts options for the mini charts
+     * @param int $chartWidth            Mini chart width in pixels
+     * @param int $chartHeight           Mini chart height in pixels
+     *
+     * @throws \ValueError If the mini chart type is unknown
+     */
+    public function __construct(
+        public string|int|array|null $series = null,
+        public ?array $rows = null,
+        public ?string $title = null,
+        public ?string $chart = null,
+        public array $charts = [],
+        public array $chartOptions = [],
+        public int $chartWidth = 280,
+        public int $chartHeight = 180,
+    ) {
+        if ($chart !== null) {
+            $this->chartType = ChartType::resolve($chart);
+        }
+    }
+
+    /**
+     * Get the tooltip definition as an array for JSON serialization.
+     * The template itself is read from the slot client-side.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return [
+            'series' => $this->series === null ? null : (array) $this->series,
+            'rows' => $this->rows,
+            'title' => $this->title,
+            'chart' => $this->chart,
+            'charts' => (object) $this->charts,
+            'chartOptions' => (object) $this->chartOptions,
+            'chartWidth' => $this->chartWidth,
+            'chartHeight' => $this->chartHeight,
+        ];
+    }
+
+    /**
+     * Get the view / contents that represent the component.
+     */
+    public function render(): View
+    {
+        return view('google-chart::components.tooltip');
+    }
+}
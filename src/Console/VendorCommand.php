@@ -0,0 +1,164 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Console;
+
+use Illuminate\Console\Command;
+use Illuminate\Filesystem\Filesystem;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Support\Facades\Http;
+
+/**
+ * Copy the Google Charts loader and a pinned version's files into public/.
+ *
+ * For air-gapped or CSP-restricted deployments where browsers cannot reach
+ * www.gstatic.com. The loader files reference the CDN by absolute URL, so
+ * those references are rewritten to the local path; point the 'loader.url'
+ * config (GOOGLE_CHARTS_LOADER_URL) at the copied loader.js afterwards.
+ *
+ * Files are fetched with the HTTP client. Nothing is written when a loader
+ * cannot be downloaded or the library files cannot be found in the
+ * versioned loader, since the copy would still load them from the CDN.
+ *
+ * Usage:
+ *   php artisan google-charts-flux:vendor --charts-version=51
+ */
+class VendorCommand extends Command
+{
+    /**
+     * Base URL of Google's hosted chart files.
+     */
+    public const CDN = 'https://www.gstatic.com/charts';
+
+    /**
+     * @var string
+     */
+    protected $signature = 'google-charts-flux:vendor
+        {--charts-version= : Google Charts version to copy (defaults to the configured version; must be a number)}
+        {--path=vendor/google-charts-flux : Directory under public/ to copy the files into}';
+
+    /**
+     * @var string
+     */
+    protected $description = 'Copy the Google Charts loader and library files into public/ for offline use';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(Filesystem $files): int
+    {
+        $version = (string) ($this->option('charts-version') ?: config('google-charts-flux.version', 'current'));
+
+        if (! ctype_digit($version)) {
+            $this->error("A vendored copy needs a pinned version, \"{$version}\" moves over time.");
+            $this->line('Pass --charts-version=<number> or set GOOGLE_CHARTS_VERSION to a release number.');
+
+            return self::FAILURE;
+        }
+
+        $relative = trim((string) $this->option('path'), '/');
+        $directory = public_path($relative);
+        $localBase = '/' . $relative;
+
+        $this->info("Copying Google Charts {$version} to public/{$relative}");
+
+        // The top-level loader defines google.charts.load(), which fetches
+        // the versioned loader; that one lists the module and CSS files.
+        $loaders = [];
+        foreach (['loader.js', "{$version}/loader.js"] as $path) {
+            $contents = $this->fetch($path);
+            if ($contents === null) {
+                $this->error('The loaders could not be downloaded. Nothing was copied.');
+
+                return self::FAILURE;
+            }
+            $loaders[$path] = $contents;
+        }
+
+        preg_match_all('#(?:js|css)/[\w./-]+\.(?:js|css)#', $loaders["{$version}/loader.js"], $matches);
+        $assets = array_values(array_unique($matches[0]));
+
+        if ($assets === []) {
+            $this->error('No library files were found in the versioned loader; its format may have changed. Nothing was copied.');
+
+            return self::FAILURE;
+        }
+
+        $rewritten = 0;
+        foreach ($loaders as $path => $contents) {
+            $loaders[$path] = str_replace(self::CDN, $localBase, $contents, $count);
+            $rewritten += $count;
+        }
+
+        if ($rewritten === 0) {
+            $this->error('The loaders contain no CDN references to rewrite; the copy would still load www.gstatic.com. Nothing was copied.');
+
+            return self::FAILURE;
+        }
+
+        foreach ($loaders as $path => $contents) {
+            $this->store($files, $directory, $path, $contents);
+        }
+
+        foreach ($assets as $path) {
+            $contents = $this->fetch("{$version}/{$path}", optional: true);
+            if ($contents !== null) {
+                $this->store($files, $directory, "{$version}/{$path}", $contents);
+            }
+        }
+
+        $this->newLine();
+        $this->info('Done. Point the loader at the local copy, keeping the CDN as a fallback if it is reachable:');
+        $this->line("  GOOGLE_CHARTS_VERSION={$version}");
+        $this->line("  GOOGLE_CHARTS_LOADER_URL={$localBase}/loader.js");
+        $this->line('  GOOGLE_CHARTS_LOADER_FALLBACK_URL=' . self::CDN . '/loader.js');
+
+        return self::SUCCESS;
+    }
+
+    /**
+     * Fetch a file from the CDN, reporting why it could not be downloaded.
+     *
+     * @param bool $optional Report the failure as a warning instead of an error
+     */
+    protected function fetch(string $path, bool $optional = false): ?string
+    {
+        try {
+            $response = Http::timeout(30)->get(self::CDN . '/' . $path);
+        } catch (ConnectionException $e) {
+            $this->reportFailure("Could not download {$path}: {$e->getMessage()}", $optional);
+
+            return null;
+        }
+
+        if (! $response->successful()) {
+            $this->reportFailure("Could not download {$path} (HTTP {$response->status()})", $optional);
+
+            return null;
+        }
+
+        return $response->body();
+    }
+
+    /**
+     * Print a download failure.
+     */
+    protected function reportFailure(string $message, bool $optional): void
+    {
+        $optional ? $this->warn($message) : $this->error($message);
+    }
+
+    /**
+     * Write a downloaded file into the target directory, keeping its
+     * relative path.
+     */
+    protected function store(Filesystem $files, string $directory, string $path, string $contents): void
+    {
+        $target = "{$directory}/{$path}";
+        $files->ensureDirectoryExists(dirname($target));
+        $files->put($target, $contents);
+
+        $this->line("  {$path}");
+    }
+}
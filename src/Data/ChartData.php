@@ -4,11 +4,16 @@ declare(strict_types=1);
 
 namespace FoleyBridgeSolutions\GoogleChartsFlux\Data;
 
+use DateTimeImmutable;
+use DateTimeInterface;
+
 /**
  * Fluent builder for Google Charts DataTable arrays.
  *
  * Provides a PHP-side API for building chart data arrays in the format
- * expected by Google Charts (array-of-arrays where the first row is headers).
+ * expected by Google Charts (array-of-arrays where the first row is headers),
+ * or in Google's DataTable JSON literal format via toDataTable() when
+ * column metadata, formatted values or cell properties are needed.
  *
  * Usage:
  *   $data = ChartData::make()
@@ -28,10 +33,32 @@ namespace FoleyBridgeSolutions\GoogleChartsFlux\Data;
  */
 class ChartData
 {
+    /**
+     * Column types whose values cannot be inferred from JSON and must be
+     * declared in the header row so the JS side can revive them.
+     *
+     * @var string[]
+     */
+    public const TYPED_COLUMNS = ['date', 'datetime', 'timeofday'];
+
+    /**
+     * Aggregation functions accepted by aggregate() and <x-google-chart.aggregate>.
+     *
+     * @var string[]
+     */
+    public const AGGREGATES = ['sum', 'avg', 'count', 'min', 'max'];
+
+    /**
+     * Date buckets accepted by aggregate() and <x-google-chart.aggregate>.
+     *
+     * @var string[]
+     */
+    public const BUCKETS = ['day', 'week', 'month'];
+
     /**
      * Column headers.
      *
-     * @var array<array{type: string, label: string, role?: string}>
+     * @var array<array{type: string, label: string, role?: string, id?: string, pattern?: string, p?: array}>
      */
     protected array $columns = [];
 
@@ -42,6 +69,13 @@ class ChartData
      */
     protected array $rows = [];
 
+    /**
+     * Column formatter definitions.
+     *
+     * @var array<array<string, mixed>>
+     */
+    protected array $formats = [];
+
     /**
      * Create a new ChartData instance.
      */
@@ -60,17 +94,38 @@ class ChartData
     /**
      * Add a column definition.
      *
+     * The id and pattern are only carried by toDataTable(); toArray()
+     * emits type, role and properties for role and date/time columns.
+     *
      * @param string $type  The data type ('string', 'number', 'boolean', 'date', 'datetime', 'timeofday')
      * @param string $label The column header label
      * @param string|null $role Optional column role ('tooltip', 'annotation', 'style', etc.)
+     * @param string|null $id Optional column ID
+     * @param string|null $pattern Optional format pattern
+     * @param array<string, mixed> $properties Optional column properties (e.g. ['html' => true])
      * @return static
      */
-    public function addColumn(string $type, string $label, ?string $role = null): static
-    {
+    public function addColumn(
+        string $type,
+        string $label,
+        ?string $role = null,
+        ?string $id = null,
+        ?string $pattern = null,
+        array $properties = [],
+    ): static {
         $col = ['type' => $type, 'label' => $label];
         if ($role !== null) {
             $col['role'] = $role;
         }
+        if ($id !== null) {
+            $col['id'] = $id;
+        }
+        if ($pattern !== null) {
+            $col['pattern'] = $pattern;
+        }
+        if ($properties !== []) {
+            $col['p'] = $properties;
+        }
         $this->columns[] = $col;
 
         return $this;
@@ -109,6 +164,28 @@ class ChartData
         return $this->addColumn('date', $label);
     }
 
+    /**
+     * Add a datetime column.
+     *
+     * @param string $label The column header label
+     * @return static
+     */
+    public function addDateTimeColumn(string $label): static
+    {
+        return $this->addColumn('datetime', $label);
+    }
+
+    /**
+     * Add a time-of-day column.
+     *
+     * @param string $label The column header label
+     * @return static
+     */
+    public function addTimeOfDayColumn(string $label): static
+    {
+        return $this->addColumn('timeofday', $label);
+    }
+
     /**
      * Add a boolean column.
      *
@@ -153,6 +230,65 @@ class ChartData
         return $this->addColumn('string', $label, 'annotation');
     }
 
+    /**
+     * Add an interval role column (e.g. error bars or confidence ranges).
+     *
+     * @param string $label The interval column label
+     * @return static
+     */
+    public function addIntervalColumn(string $label = ''): static
+    {
+        return $this->addColumn('number', $label, 'interval');
+    }
+
+    /**
+     * Add a certainty role column (false renders the point as uncertain).
+     *
+     * @param string $label The certainty column label
+     * @return static
+     */
+    public function addCertaintyColumn(string $label = ''): static
+    {
+        return $this->addColumn('boolean', $label, 'certainty');
+    }
+
+    /**
+     * Add an HTML tooltip role column.
+     *
+     * @param string $label The tooltip column label
+     * @return static
+     */
+    public function addHtmlTooltipColumn(string $label = ''): static
+    {
+        return $this->addColumn('string', $label, 'tooltip', properties: ['html' => true]);
+    }
+
+    /**
+     * Build a cell with a formatted display value and/or cell properties.
+     *
+     * Use in place of a plain value in addRow(); the formatted value is
+     * shown in tooltips and tables while the raw value is plotted.
+     *
+     *   ->addRow(['Jan', ChartData::cell(1000, '$1,000'), ChartData::cell(null, properties: ['style' => 'color:red'])])
+     *
+     * @param mixed $value The raw cell value
+     * @param string|null $formatted Optional formatted display value
+     * @param array<string, mixed> $properties Optional cell properties
+     * @return array{v: mixed, f?: string, p?: array<string, mixed>}
+     */
+    public static function cell(mixed $value, ?string $formatted = null, array $properties = []): array
+    {
+        $cell = ['v' => $value];
+        if ($formatted !== null) {
+            $cell['f'] = $formatted;
+        }
+        if ($properties !== []) {
+            $cell['p'] = $properties;
+        }
+
+        return $cell;
+    }
+
     /**
      * Add a single data row.
      *
@@ -181,6 +317,418 @@ class ChartData
         return $this;
     }
 
+    /**
+     * Apply a Google Charts formatter to one or more columns.
+     *
+     * Columns may be given by index or label. The same definitions as
+     * <x-google-chart.format> are accepted.
+     *
+     * @param string $type Formatter type: 'number', 'date', 'pattern', 'color', 'arrow', 'bar'
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<string, mixed> $options Formatter options
+     * @return static
+     */
+    public function format(string $type, int|string|array $columns, array $options = []): static
+    {
+        $format = ['type' => $type, 'columns' => (array) $columns];
+        if ($options !== []) {
+            $format['options'] = $options;
+        }
+        $this->formats[] = $format;
+
+        return $this;
+    }
+
+    /**
+     * Apply a NumberFormat (e.g. ['prefix' => '$', 'fractionDigits' => 2]).
+     *
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<string, mixed> $options NumberFormat options
+     * @return static
+     */
+    public function numberFormat(int|string|array $columns, array $options = []): static
+    {
+        return $this->format('number', $columns, $options);
+    }
+
+    /**
+     * Apply a DateFormat (e.g. ['formatType' => 'long'] or ['pattern' => 'MMM yyyy']).
+     *
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<string, mixed> $options DateFormat options
+     * @return static
+     */
+    public function dateFormat(int|string|array $columns, array $options = []): static
+    {
+        return $this->format('date', $columns, $options);
+    }
+
+    /**
+     * Apply a PatternFormat that combines source columns into a target column.
+     *
+     * @param string $pattern Pattern with {n} placeholders (e.g. '{0} ({1})')
+     * @param array<int|string> $source Source columns, referenced as {0}, {1}, ...
+     * @param int|string|null $target Destination column (null = first source column)
+     * @return static
+     */
+    public function patternFormat(string $pattern, array $source, int|string|null $target = null): static
+    {
+        $format = ['type' => 'pattern', 'pattern' => $pattern, 'source' => $source];
+        if ($target !== null) {
+            $format['target'] = $target;
+        }
+        $this->formats[] = $format;
+
+        return $this;
+    }
+
+    /**
+     * Apply a ColorFormat with value ranges and/or gradient ranges.
+     *
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<array<mixed>> $ranges Ranges as [from, to, color, bgcolor]
+     * @param array<array<mixed>> $gradients Gradients as [from, to, color, fromBgColor, toBgColor]
+     * @return static
+     */
+    public function colorFormat(int|string|array $columns, array $ranges = [], array $gradients = []): static
+    {
+        $this->formats[] = [
+            'type' => 'color',
+            'columns' => (array) $columns,
+            'ranges' => $ranges,
+            'gradients' => $gradients,
+        ];
+
+        return $this;
+    }
+
+    /**
+     * Apply an ArrowFormat (up/down arrows relative to ['base' => 0]).
+     *
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<string, mixed> $options ArrowFormat options
+     * @return static
+     */
+    public function arrowFormat(int|string|array $columns, array $options = []): static
+    {
+        return $this->format('arrow', $columns, $options);
+    }
+
+    /**
+     * Apply a BarFormat (inline bars in Table charts).
+     *
+     * @param int|string|array<int|string> $columns Column index/label, or several
+     * @param array<string, mixed> $options BarFormat options
+     * @return static
+     */
+    public function barFormat(int|string|array $columns, array $options = []): static
+    {
+        return $this->format('bar', $columns, $options);
+    }
+
+    /**
+     * Group the rows by one or more columns and aggregate other columns,
+     * the same transform <x-google-chart.aggregate> applies in the browser.
+     *
+     * Groups are sorted by their keys. Aggregations skip null values;
+     * 'count' counts the non-null values. An aggregated column keeps its
+     * label, suffixed with the function (e.g. "Amount (avg)") when the
+     * column is aggregated more than once.
+     *
+     * With a pivot column, each of its distinct values becomes a series
+     * of the single aggregation, turning long-format rows
+     * (Month, Region, Amount) into one column per region.
+     *
+     * Formatters move with their columns, including onto every pivot
+     * series, and are dropped for 'count' aggregates and removed columns.
+     *
+     *   ChartData::make()->addDateColumn('Day')->addStringColumn('Region')->addNumberColumn('Amount')
+     *       ->addRows($orders)
+     *       ->aggregate('Day', ['Amount' => 'sum'], bucket: 'month', pivot: 'Region');
+     *
+     * @param int|string|array<int|string> $by Column(s) to group by, by index or label
+     * @param array<int|string, string|string[]> $aggregations Functions by column, e.g. ['Amount' => ['sum', 'avg']]
+     * @param string|null $bucket Bucket the first group column's dates by 'day', 'week' (from Monday) or 'month'
+     * @param int|string|null $pivot Column whose distinct values become series
+     * @return static
+     *
+     * @throws \ValueError If a column, function or bucket is unknown, a pivot has more than one aggregation or a bucketed value is not a date
+     */
+    public function aggregate(
+        int|string|array $by,
+        array $aggregations,
+        ?string $bucket = null,
+        int|string|null $pivot = null,
+    ): static {
+        $keys = array_map(fn (int|string $column) => $this->columnIndex($column), (array) $by);
+        $aggregates = static::normalizeAggregations($aggregations);
+        foreach ($aggregates as $index => $aggregate) {
+            $aggregates[$index]['column'] = $this->columnIndex($aggregate['column']);
+        }
+
+        if ($bucket !== null && ! in_array($bucket, self::BUCKETS, true)) {
+            throw new \ValueError("Invalid aggregate bucket: {$bucket}. Use one of: " . implode(', ', self::BUCKETS) . '.');
+        }
+        if ($pivot !== null && count($aggregates) !== 1) {
+            throw new \ValueError('A pivot aggregates exactly one column.');
+        }
+
+        $pivotIndex = $pivot === null ? null : $this->columnIndex($pivot);
+        $groupBy = $pivotIndex === null ? $keys : [...$keys, $pivotIndex];
+        $bucketed = $bucket !== null && in_array($this->columns[$keys[0]]['type'], ['date', 'datetime'], true);
+
+        // Collect the values of each group, keyed by its serialized key values
+        $groups = [];
+        foreach ($this->rows as $row) {
+            $row = array_map(fn (mixed $value) => static::isCell($value) ? $value['v'] : $value, array_values($row));
+            $key = array_map(fn (int $column) => $row[$column] ?? null, $groupBy);
+            if ($bucketed) {
+                $key[0] = static::bucketDate($key[0], $bucket, $this->columns[$keys[0]]['label']);
+            }
+
+            $signature = serialize($key);
+            $groups[$signature] ??= ['key' => $key, 'values' => []];
+            foreach ($aggregates as $index => $aggregate) {
+                $groups[$signature]['values'][$index][] = $row[$aggregate['column']] ?? null;
+            }
+        }
+
+        $groups = array_values($groups);
+        usort($groups, fn (array $a, array $b) => $a['key'] <=> $b['key']);
+
+        // Key columns, with bucketed dates as plain dates
+        $columns = array_map(fn (int $column) => $this->columns[$column], $keys);
+        if ($bucketed) {
+            $columns[0]['type'] = 'date';
+        }
+
+        $counts = array_count_values(array_map(fn (array $aggregate) => (string) $aggregate['column'], $aggregates));
+        $valueColumns = array_map(function (array $aggregate) use ($counts) {
+            $source = $this->columns[$aggregate['column']];
+            $label = $counts[(string) $aggregate['column']] > 1
+                ? "{$source['label']} ({$aggregate['function']})"
+                : $source['label'];
+            $type = in_array($aggregate['function'], ['min', 'max'], true) ? $source['type'] : 'number';
+
+            return ['type' => $type, 'label' => $label];
+        }, $aggregates);
+
+        $rows = [];
+        if ($pivotIndex === null) {
+            $columns = [...$columns, ...$valueColumns];
+            foreach ($groups as $group) {
+                $rows[] = [...$group['key'], ...array_map(
+                    fn (array $aggregate, int $index) => static::aggregateValues($aggregate['function'], $group['values'][$index]),
+                    $aggregates,
+                    array_keys($aggregates),
+                )];
+            }
+        } else {
+            // One series per distinct pivot value; groups missing a value get null
+            $categories = [];
+            foreach ($groups as $group) {
+                $category = end($group['key']);
+                if ($category !== null && ! in_array($category, $categories, false)) {
+                    $categories[] = $category;
+                }
+            }
+            sort($categories);
+
+            foreach ($categories as $category) {
+                $columns[] = ['type' => $valueColumns[0]['type'], 'label' => static::pivotLabel($category)];
+            }
+
+            $byKey = [];
+            foreach ($groups as $group) {
+                $category = array_pop($group['key']);
+                if ($category === null) {
+                    continue;
+                }
+                $signature = serialize($group['key']);
+                $byKey[$signature] ??= [...$group['key'], ...array_fill(0, count($categories), null)];
+                $byKey[$signature][count($keys) + array_search($category, $categories, false)]
+                    = static::aggregateValues($aggregates[0]['function'], $group['values'][0]);
+            }
+            $rows = array_values($byKey);
+        }
+
+        // Formatters follow their columns: the key columns, and the
+        // aggregates except 'count', whose values are not in the unit of
+        // the aggregated column
+        $moved = [];
+        foreach ($keys as $index => $column) {
+            $moved[$column][] = $index;
+        }
+        if ($pivotIndex === null) {
+            foreach ($aggregates as $index => $aggregate) {
+                if ($aggregate['function'] !== 'count') {
+                    $moved[$aggregate['column']][] = count($keys) + $index;
+                }
+            }
+        } elseif ($aggregates[0]['function'] !== 'count' && count($columns) > count($keys)) {
+            $column = $aggregates[0]['column'];
+            $moved[$column] = [...($moved[$column] ?? []), ...range(count($keys), count($columns) - 1)];
+        }
+
+        $this->formats = $this->moveFormats($moved);
+        $this->columns = $columns;
+        $this->rows = $rows;
+
+        return $this;
+    }
+
+    /**
+     * Point the formatters at the columns their columns moved to, by
+     * index. Formatters left without columns are dropped, as are pattern
+     * formatters whose source or target columns did not move to exactly
+     * one column.
+     *
+     * @param array<int, int[]> $moved New column indices by current column index
+     * @return array<int, array<string, mixed>>
+     */
+    protected function moveFormats(array $moved): array
+    {
+        $resolve = function (int|string $column) use ($moved): array {
+            try {
+                return $moved[$this->columnIndex($column)] ?? [];
+            } catch (\ValueError) {
+                return [];
+            }
+        };
+
+        $formats = [];
+        foreach ($this->formats as $format) {
+            if ($format['type'] === 'pattern') {
+                $source = array_map($resolve, $format['source']);
+                $target = isset($format['target']) ? $resolve($format['target']) : null;
+                $unmoved = array_filter([...$source, ...($target === null ? [] : [$target])], fn (array $indices) => count($indices) !== 1);
+                if ($unmoved !== []) {
+                    continue;
+                }
+
+                $format['source'] = array_map(fn (array $indices) => $indices[0], $source);
+                if ($target !== null) {
+                    $format['target'] = $target[0];
+                }
+            } else {
+                $format['columns'] = array_values(array_unique(array_merge(...array_map($resolve, $format['columns']))));
+                if ($format['columns'] === []) {
+                    continue;
+                }
+            }
+
+            $formats[] = $format;
+        }
+
+        return $formats;
+    }
+
+    /**
+     * Normalize aggregations given by column (['Amount' => ['sum', 'avg']])
+     * to a list of ['column' => ..., 'function' => ...] entries.
+     *
+     * @param array<int|string, string|string[]> $aggregations
+     * @return array<int, array{column: int|string, function: string}>
+     *
+     * @throws \ValueError If a function is unknown or none is given
+     */
+    public static function normalizeAggregations(array $aggregations): array
+    {
+        $normalized = [];
+        foreach ($aggregations as $column => $functions) {
+            foreach ((array) $functions as $function) {
+                if (! in_array($function, self::AGGREGATES, true)) {
+                    throw new \ValueError("Invalid aggregate function: {$function}. Use one of: " . implode(', ', self::AGGREGATES) . '.');
+                }
+                $normalized[] = ['column' => $column, 'function' => $function];
+            }
+        }
+
+        if ($normalized === []) {
+            throw new \ValueError('An aggregate needs at least one aggregated column.');
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Resolve a column index from an index, id or label.
+     *
+     * @throws \ValueError If there is no such column
+     */
+    protected function columnIndex(int|string $column): int
+    {
+        if (is_int($column) && isset($this->columns[$column])) {
+            return $column;
+        }
+
+        foreach ($this->columns as $index => $definition) {
+            if (($definition['id'] ?? null) === $column || $definition['label'] === $column) {
+                return $index;
+            }
+        }
+
+        throw new \ValueError("Unknown column: {$column}.");
+    }
+
+    /**
+     * Truncate a date to the start of its day, week (Monday) or month.
+     * Strings are parsed; other values are returned unchanged.
+     *
+     * @throws \ValueError If a string is not a date
+     */
+    protected static function bucketDate(mixed $value, string $bucket, string $column): mixed
+    {
+        if (is_string($value)) {
+            try {
+                $value = new DateTimeImmutable($value);
+            } catch (\Exception) {
+                throw new \ValueError("Invalid date in column {$column}: {$value}.");
+            }
+        }
+        if (! $value instanceof DateTimeInterface) {
+            return $value;
+        }
+
+        $date = DateTimeImmutable::createFromInterface($value)->setTime(0, 0);
+
+        return match ($bucket) {
+            'week' => $date->modify('-' . ((int) $date->format('N') - 1) . ' days'),
+            'month' => $date->modify('first day of this month'),
+            default => $date,
+        };
+    }
+
+    /**
+     * Aggregate a group's values, skipping nulls.
+     *
+     * @param array<mixed> $values
+     */
+    protected static function aggregateValues(string $function, array $values): mixed
+    {
+        $values = array_values(array_filter($values, fn (mixed $value) => $value !== null));
+
+        return match ($function) {
+            'count' => count($values),
+            'sum' => array_sum($values),
+            'avg' => $values === [] ? null : array_sum($values) / count($values),
+            'min' => $values === [] ? null : min($values),
+            'max' => $values === [] ? null : max($values),
+        };
+    }
+
+    /**
+     * Get the series label of a pivot value.
+     */
+    protected static function pivotLabel(mixed $value): string
+    {
+        return match (true) {
+            $value instanceof DateTimeInterface => $value->format('Y-m-d'),
+            is_bool($value) => $value ? 'true' : 'false',
+            default => (string) $value,
+        };
+    }
+
     /**
      * Build data from an iterable collection using a mapper function.
      *
@@ -232,13 +780,187 @@ class ChartData
      * The first row contains column labels, subsequent rows contain data.
      * This is the format expected by the <x-google-chart :data="..."> prop.
      *
+     * Role columns are emitted as {label, type, role} header objects.
+     * Date, datetime and time-of-day columns are emitted as
+     * {label, type} header objects and their DateTimeInterface values
+     * as ISO strings, which the JS side revives into Date objects and
+     * [h, m, s, ms] arrays.
+     *
      * @return array<array<mixed>>
      */
     public function toArray(): array
     {
-        $headers = array_map(fn (array $col) => $col['label'], $this->columns);
+        $headers = array_map(function (array $col) {
+            if (! isset($col['role']) && ! in_array($col['type'], self::TYPED_COLUMNS, true)) {
+                return $col['label'];
+            }
+
+            return array_intersect_key($col, array_flip(['label', 'type', 'role', 'p']));
+        }, $this->columns);
+
+        $rows = array_map(fn (array $row) => $this->serializeRow($row), $this->rows);
+
+        $result = array_merge([$headers], $rows);
+
+        // Embed formatter definitions under a non-numeric key, the same
+        // way groupSmallSlices() embeds _otherBreakdown. Chart.php and the
+        // JS component extract it before building the DataTable.
+        if ($this->formats !== []) {
+            $result['_formats'] = $this->formats;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Convert to Google's DataTable JSON literal format.
+     *
+     * Unlike toArray(), this keeps every column's type, role, id, pattern
+     * and properties, and every cell's formatted value and properties:
+     *
+     *   ['cols' => [['type' => 'string', 'label' => 'Month'], ...],
+     *    'rows' => [['c' => [['v' => 'Jan'], ['v' => 1000, 'f' => '$1,000']]], ...]]
+     *
+     * Pass the result to :data or a wire:model property; the chart loads
+     * it with `new google.visualization.DataTable(json)`. Date values are
+     * emitted in Google's "Date(y, m, d, h, i, s)" form and time-of-day
+     * values as [h, m, s, ms] arrays.
+     *
+     * @return array{cols: array<array<string, mixed>>, rows: array<array{c: array<array<string, mixed>|null>}>}
+     */
+    public function toDataTable(): array
+    {
+        $cols = array_map(function (array $col) {
+            $literal = ['type' => $col['type'], 'label' => $col['label']];
+            if (isset($col['id'])) {
+                $literal['id'] = $col['id'];
+            }
+            if (isset($col['pattern'])) {
+                $literal['pattern'] = $col['pattern'];
+            }
+
+            // Roles live in the column properties in the JSON literal
+            $properties = $col['p'] ?? [];
+            if (isset($col['role'])) {
+                $properties['role'] = $col['role'];
+            }
+            if ($properties !== []) {
+                $literal['p'] = $properties;
+            }
+
+            return $literal;
+        }, $this->columns);
+
+        $rows = array_map(function (array $row) {
+            $cells = [];
+            foreach (array_values($row) as $index => $value) {
+                $cell = static::isCell($value) ? $value : ['v' => $value];
+                if ($cell['v'] === null && ! isset($cell['f']) && ! isset($cell['p'])) {
+                    $cells[] = null;
+
+                    continue;
+                }
+                $cell['v'] = $this->literalValue($cell['v'], $this->columns[$index]['type'] ?? null);
+                $cells[] = $cell;
+            }
+
+            return ['c' => $cells];
+        }, $this->rows);
+
+        $result = ['cols' => $cols, 'rows' => $rows];
+
+        if ($this->formats !== []) {
+            $result['_formats'] = $this->formats;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Determine whether a row value is a cell built by cell().
+     *
+     * @param mixed $value
+     * @return bool
+     */
+    protected static function isCell(mixed $value): bool
+    {
+        return is_array($value) && array_key_exists('v', $value);
+    }
+
+    /**
+     * Convert a DateTimeInterface value to the JSON literal form for its
+     * column type. Other values are returned unchanged.
+     *
+     * @param mixed $value
+     * @param string|null $type The column type
+     * @return mixed
+     */
+    protected function literalValue(mixed $value, ?string $type): mixed
+    {
+        if (! $value instanceof DateTimeInterface) {
+            return $value;
+        }
+
+        if ($type === 'timeofday') {
+            return [
+                (int) $value->format('G'),
+                (int) $value->format('i'),
+                (int) $value->format('s'),
+                (int) $value->format('v'),
+            ];
+        }
+
+        // Google's date string form uses a zero-based month
+        $parts = [(int) $value->format('Y'), (int) $value->format('n') - 1, (int) $value->format('j')];
+        if ($type !== 'date') {
+            array_push($parts, (int) $value->format('G'), (int) $value->format('i'), (int) $value->format('s'));
+        }
 
-        return array_merge([$headers], $this->rows);
+        return 'Date(' . implode(', ', $parts) . ')';
+    }
+
+    /**
+     * Serialize DateTimeInterface values in a row to the ISO string
+     * form matching their column type.
+     *
+     * @param array<mixed> $row
+     * @return array<mixed>
+     */
+    protected function serializeRow(array $row): array
+    {
+        foreach ($row as $index => $value) {
+            if (static::isCell($value)) {
+                $value['v'] = $this->serializeValue($value['v'], $this->columns[$index]['type'] ?? null);
+                $row[$index] = $value;
+
+                continue;
+            }
+
+            $row[$index] = $this->serializeValue($value, $this->columns[$index]['type'] ?? null);
+        }
+
+        return $row;
+    }
+
+    /**
+     * Serialize a DateTimeInterface value to the ISO string form for its
+     * column type. Other values are returned unchanged.
+     *
+     * @param mixed $value
+     * @param string|null $type The column type
+     * @return mixed
+     */
+    protected function serializeValue(mixed $value, ?string $type): mixed
+    {
+        if (! $value instanceof DateTimeInterface) {
+            return $value;
+        }
+
+        return match ($type ?? 'datetime') {
+            'date' => $value->format('Y-m-d'),
+            'timeofday' => $value->format('H:i:s'),
+            default => $value->format(DateTimeInterface::ATOM),
+        };
     }
 
     /**
@@ -251,6 +973,16 @@ class ChartData
         return $this->columns;
     }
 
+    /**
+     * Get the column formatter definitions.
+     *
+     * @return array<array<string, mixed>>
+     */
+    public function getFormats(): array
+    {
+        return $this->formats;
+    }
+
     /**
      * Get the raw rows data.
      *
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Data;
+
+use Illuminate\Contracts\Support\Arrayable;
+
+/**
+ * Payload of an event bridged from a chart by <x-google-chart.event>.
+ *
+ * Livewire listeners receive the payload as an array `payload` parameter;
+ * wrap it with fromArray() for typed access.
+ *
+ * Usage:
+ *   #[On('pointHovered')]
+ *   public function onHover(array $payload): void
+ *   {
+ *       $payload = ChartEventPayload::fromArray($payload);
+ *
+ *       if ($payload->isPoint()) {
+ *           $this->hovered = "{$payload->series}: {$payload->formattedValue}";
+ *       }
+ *   }
+ */
+class ChartEventPayload implements Arrayable
+{
+    /**
+     * Create a new payload instance.
+     *
+     * @param string $chartType           The chart type ('pie', 'line', ...)
+     * @param string $event               The chart event name ('select', 'onmouseover', ...)
+     * @param int|null $row               Row of the event's point in the drawn data
+     * @param int|null $column            Column of the event's point in the drawn data
+     * @param mixed $key                  Row key (the chart's selection key column value)
+     * @param string|null $series         Label of the point's column
+     * @param mixed $value                Value of the point
+     * @param string|null $formattedValue Formatted value of the point
+     * @param array<string, mixed> $data  The point's row, by column label
+     * @param array<int, array{row: int|null, column: int|null}> $selection Selection of 'select' events
+     * @param array<int, array<string, mixed>> $selectedData Rows of the selection, by column label
+     * @param array<string, mixed> $attributes Other event-specific values (region, date, state, level, ...)
+     */
+    public function __construct(
+        public string $chartType = '',
+        public string $event = '',
+        public ?int $row = null,
+        public ?int $column = null,
+        public mixed $key = null,
+        public ?string $series = null,
+        public mixed $value = null,
+        public ?string $formattedValue = null,
+        public array $data = [],
+        public array $selection = [],
+        public array $selectedData = [],
+        public array $attributes = [],
+    ) {}
+
+    /**
+     * Create a payload from a dispatched event payload.
+     *
+     * @param array<string, mixed> $payload
+     */
+    public static function fromArray(array $payload): static
+    {
+        $known = ['chartType', 'event', 'row', 'column', 'key', 'series', 'value', 'formattedValue', 'data', 'selection', 'selectedData'];
+
+        return new static(
+            chartType: (string) ($payload['chartType'] ?? ''),
+            event: (string) ($payload['event'] ?? ''),
+            row: isset($payload['row']) ? (int) $payload['row'] : null,
+            column: isset($payload['column']) ? (int) $payload['column'] : null,
+            key: $payload['key'] ?? null,
+            series: isset($payload['series']) ? (string) $payload['series'] : null,
+            value: $payload['value'] ?? null,
+            formattedValue: isset($payload['formattedValue']) ? (string) $payload['formattedValue'] : null,
+            data: (array) ($payload['data'] ?? []),
+            selection: (array) ($payload['selection'] ?? []),
+            selectedData: (array) ($payload['selectedData'] ?? []),
+            attributes: array_diff_key($payload, array_flip($known)),
+        );
+    }
+
+    /**
+     * Determine whether the event refers to a single data point.
+     */
+    public function isPoint(): bool
+    {
+        return $this->row !== null && $this->column !== null;
+    }
+
+    /**
+     * Get an event-specific value, e.g. 'region' or 'date'.
+     */
+    public function get(string $key, mixed $default = null): mixed
+    {
+        return $this->attributes[$key] ?? $default;
+    }
+
+    /**
+     * Get the payload as an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return [
+            'chartType' => $this->chartType,
+            'event' => $this->event,
+            'row' => $this->row,
+            'column' => $this->column,
+            'key' => $this->key,
+            'series' => $this->series,
+            'value' => $this->value,
+            'formattedValue' => $this->formattedValue,
+            'data' => $this->data,
+            'selection' => $this->selection,
+            'selectedData' => $this->selectedData,
+            ...$this->attributes,
+        ];
+    }
+}
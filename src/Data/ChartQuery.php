@@ -0,0 +1,667 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Data;
+
+use DateTimeInterface;
+use Illuminate\Database\Eloquent\Builder as EloquentBuilder;
+use Illuminate\Database\Query\Builder as QueryBuilder;
+use Illuminate\Database\Query\Expression;
+use Illuminate\Database\Query\Grammars\Grammar;
+use Illuminate\Support\Carbon;
+
+/**
+ * A parsed Google Visualization Query Language query, run against an
+ * Eloquent or query builder.
+ *
+ * Supports the clauses select (columns, *, and sum/avg/count/min/max),
+ * where (comparisons, is [not] null, contains, starts with, ends with,
+ * like, combined with and/or/not and parentheses), group by, order by,
+ * limit, offset and label. Identifiers are the keys of a column map, so
+ * only whitelisted columns can be queried. Queries the database would
+ * reject (ungrouped columns next to aggregates, sums of text columns)
+ * fail with a ValueError instead of a database error.
+ *
+ * Parsing has no dependencies; run() needs illuminate/database, which
+ * the package suggests rather than requires. The builder classes are
+ * only referenced in type declarations and instanceof checks, which do
+ * not load them.
+ *
+ * Usage:
+ *   $table = ChartQuery::parse('select region, sum(total) where year = 2024 group by region')
+ *       ->run(Order::query(), [
+ *           'region' => 'Region',
+ *           'total' => ['label' => 'Revenue', 'type' => 'number', 'column' => 'amount'],
+ *           'year' => ['label' => 'Year', 'type' => 'number', 'column' => 'fiscal_year'],
+ *       ]);
+ *
+ * @see https://developers.google.com/chart/interactive/docs/querylanguage
+ */
+class ChartQuery
+{
+    /**
+     * Supported aggregation functions.
+     *
+     * @var string[]
+     */
+    public const AGGREGATES = ['sum', 'avg', 'count', 'min', 'max'];
+
+    /**
+     * Comparison operators, mapped to their SQL form.
+     *
+     * @var array<string, string>
+     */
+    protected const OPERATORS = ['=' => '=', '!=' => '!=', '<>' => '!=', '<' => '<', '>' => '>', '<=' => '<=', '>=' => '>='];
+
+    /**
+     * Escape character of the LIKE patterns built by escapeLike(). Not a
+     * backslash, which MySQL and PostgreSQL treat as the default escape
+     * and SQLite and SQL Server do not.
+     */
+    protected const LIKE_ESCAPE = '!';
+
+    /**
+     * @var array<int, array{type: string, value: string}>
+     */
+    protected array $tokens = [];
+
+    protected int $position = 0;
+
+    /**
+     * Create a query from its parsed clauses. Use parse() to build one
+     * from a query string.
+     *
+     * @param array<int, array{id: string, aggregate: string|null}> $select Selected items (empty = all columns)
+     * @param array|null $where Condition tree
+     * @param string[] $groupBy Grouped column ids
+     * @param array<int, array{id: string, aggregate: string|null, direction: string}> $orderBy
+     * @param int|null $limit
+     * @param int $offset
+     * @param array<string, string> $labels Labels keyed by item ('total' or 'sum(total)')
+     */
+    public function __construct(
+        public array $select = [],
+        public ?array $where = null,
+        public array $groupBy = [],
+        public array $orderBy = [],
+        public ?int $limit = null,
+        public int $offset = 0,
+        public array $labels = [],
+    ) {}
+
+    /**
+     * Parse a Query Language string. An empty string selects everything.
+     *
+     * @throws \ValueError If the query is malformed or uses unsupported clauses
+     */
+    public static function parse(string $tq): static
+    {
+        $query = new static();
+        $query->tokens = static::tokenize($tq);
+        $query->position = 0;
+
+        if ($query->keyword('select')) {
+            if (! $query->symbol('*')) {
+                do {
+                    $query->select[] = $query->item();
+                } while ($query->symbol(','));
+            }
+        }
+
+        if ($query->keyword('where')) {
+            $query->where = $query->disjunction();
+        }
+
+        if ($query->keyword('group')) {
+            $query->expectKeyword('by');
+            do {
+                $query->groupBy[] = $query->identifier();
+            } while ($query->symbol(','));
+        }
+
+        if ($query->keyword('pivot')) {
+            throw new \ValueError('The pivot clause is not supported.');
+        }
+
+        if ($query->keyword('order')) {
+            $query->expectKeyword('by');
+            do {
+                $item = $query->item();
+                $item['direction'] = 'asc';
+                if ($query->keyword('desc')) {
+                    $item['direction'] = 'desc';
+                } else {
+                    $query->keyword('asc');
+                }
+                $query->orderBy[] = $item;
+            } while ($query->symbol(','));
+        }
+
+        if ($query->keyword('limit')) {
+            $query->limit = $query->integer();
+        }
+
+        if ($query->keyword('offset')) {
+            $query->offset = $query->integer();
+        }
+
+        if ($query->keyword('label')) {
+            do {
+                $item = $query->item();
+                $query->labels[static::itemKey($item)] = $query->string();
+            } while ($query->symbol(','));
+        }
+
+        if ($query->position < count($query->tokens)) {
+            $token = $query->tokens[$query->position]['value'];
+
+            throw new \ValueError("Unexpected \"{$token}\" in query. Supported clauses are: select, where, group by, order by, limit, offset, label");
+        }
+
+        $query->validateGrouping();
+
+        return $query;
+    }
+
+    /**
+     * Check that a grouped or aggregated query only selects and orders by
+     * grouped columns and aggregates, as SQL requires.
+     *
+     * @throws \ValueError
+     */
+    protected function validateGrouping(): void
+    {
+        $aggregated = array_filter($this->select, fn (array $item) => $item['aggregate'] !== null) !== [];
+        if ($this->groupBy === [] && ! $aggregated) {
+            return;
+        }
+
+        if ($this->select === []) {
+            throw new \ValueError('"select *" cannot be combined with group by; list the grouped columns and aggregates.');
+        }
+
+        foreach ([...$this->select, ...$this->orderBy] as $item) {
+            if ($item['aggregate'] === null && ! in_array($item['id'], $this->groupBy, true)) {
+                throw new \ValueError("Column {$item['id']} must be grouped or aggregated in a query with "
+                    . ($this->groupBy === [] ? 'aggregates' : 'group by') . '.');
+            }
+        }
+    }
+
+    /**
+     * Run the query and return the result as a DataTable JSON literal.
+     *
+     * The column map is keyed by the identifiers used in queries. Values
+     * are a label, or ['label' => ..., 'type' => ..., 'column' => ...]
+     * where column is the database column (default: the key) and type the
+     * Google column type (default: 'string'). Declare the type of every
+     * number, boolean and date column: database drivers return numbers as
+     * strings, and a page of nulls carries no type at all.
+     *
+     * @param array<int|string, string|array{label?: string, type?: string, column?: string}> $columns
+     * @return array{cols: array, rows: array}
+     *
+     * @throws \ValueError If the query references a column not in the map or sums or averages a non-number column
+     */
+    public function run(EloquentBuilder|QueryBuilder $query, array $columns): array
+    {
+        $this->validateGrouping();
+
+        $columns = static::normalizeColumns($columns);
+        $base = ($query instanceof EloquentBuilder ? $query->toBase() : $query)->clone();
+        $grammar = $base->getGrammar();
+
+        $select = $this->select ?: array_map(fn (string $id) => ['id' => $id, 'aggregate' => null], array_keys($columns));
+
+        foreach ([...$select, ...$this->orderBy] as $item) {
+            $type = $this->column($item['id'], $columns)['type'];
+            if (in_array($item['aggregate'], ['sum', 'avg'], true) && $type !== 'number') {
+                throw new \ValueError("Cannot {$item['aggregate']} column {$item['id']} of type {$type}; declare 'type' => 'number' in the column map if it is numeric.");
+            }
+        }
+
+        $expressions = [];
+        foreach ($select as $index => $item) {
+            $expressions[] = new Expression($this->sql($item, $columns, $grammar) . ' as ' . $grammar->wrap("c{$index}"));
+        }
+        $base->select($expressions);
+
+        if ($this->where !== null) {
+            $this->applyCondition($base, $this->where, $columns);
+        }
+
+        foreach ($this->groupBy as $id) {
+            $base->groupBy($this->column($id, $columns)['column']);
+        }
+
+        foreach ($this->orderBy as $item) {
+            $base->orderByRaw($this->sql($item, $columns, $grammar) . ' ' . $item['direction']);
+        }
+
+        if ($this->limit !== null) {
+            $base->limit($this->limit);
+        }
+        if ($this->offset > 0) {
+            $base->offset($this->offset);
+        }
+
+        $results = $base->get()->map(fn (object $row) => array_values((array) $row))->all();
+
+        $data = ChartData::make();
+        foreach ($select as $index => $item) {
+            $column = $columns[$item['id']];
+            $type = match ($item['aggregate']) {
+                'sum', 'avg', 'count' => 'number',
+                default => $column['type'],
+            };
+            $label = $this->labels[static::itemKey($item)]
+                ?? ($item['aggregate'] ? "{$item['aggregate']} {$column['label']}" : $column['label']);
+            $id = $item['aggregate'] ? "{$item['aggregate']}-{$item['id']}" : $item['id'];
+
+            $data->addColumn($type, $label, id: $id);
+        }
+
+        $types = array_column($data->getColumns(), 'type');
+        foreach ($results as $row) {
+            $data->addRow(array_map(fn ($value, $type) => static::castValue($value, $type), $row, $types));
+        }
+
+        return $data->toDataTable();
+    }
+
+    /**
+     * Normalize a column map to id => [label, type, column].
+     *
+     * @return array<string, array{label: string, type: string, column: string}>
+     */
+    protected static function normalizeColumns(array $columns): array
+    {
+        $normalized = [];
+        foreach ($columns as $key => $definition) {
+            if (is_int($key)) {
+                $key = $definition;
+                $definition = [];
+            } elseif (is_string($definition)) {
+                $definition = ['label' => $definition];
+            }
+
+            $normalized[$key] = [
+                'label' => $definition['label'] ?? $key,
+                'type' => $definition['type'] ?? 'string',
+                'column' => $definition['column'] ?? $key,
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Look up a column of the map.
+     *
+     * @throws \ValueError If the column is not in the map
+     */
+    protected function column(string $id, array $columns): array
+    {
+        if (! isset($columns[$id])) {
+            throw new \ValueError("Unknown query column: {$id}. Valid columns are: " . implode(', ', array_keys($columns)));
+        }
+
+        return $columns[$id];
+    }
+
+    /**
+     * Get the SQL of a selected or ordered item.
+     */
+    protected function sql(array $item, array $columns, Grammar $grammar): string
+    {
+        $column = $grammar->wrap($this->column($item['id'], $columns)['column']);
+
+        return $item['aggregate'] ? strtoupper($item['aggregate']) . "({$column})" : $column;
+    }
+
+    /**
+     * Add a condition tree node to the query.
+     */
+    protected function applyCondition(QueryBuilder $query, array $node, array $columns, string $boolean = 'and'): void
+    {
+        if ($node['type'] === 'and' || $node['type'] === 'or') {
+            $query->where(function (QueryBuilder $nested) use ($node, $columns) {
+                foreach ($node['items'] as $item) {
+                    $this->applyCondition($nested, $item, $columns, $node['type']);
+                }
+            }, boolean: $boolean);
+
+            return;
+        }
+
+        if ($node['type'] === 'not') {
+            $query->whereNot(fn (QueryBuilder $nested) => $this->applyCondition($nested, $node['item'], $columns), boolean: $boolean);
+
+            return;
+        }
+
+        $column = $this->column($node['id'], $columns)['column'];
+        $value = $node['value'];
+
+        match ($node['operator']) {
+            'is null' => $query->whereNull($column, $boolean),
+            'is not null' => $query->whereNotNull($column, $boolean),
+            'contains' => $this->whereLike($query, $column, '%' . static::escapeLike($value) . '%', $boolean),
+            'starts with' => $this->whereLike($query, $column, static::escapeLike($value) . '%', $boolean),
+            'ends with' => $this->whereLike($query, $column, '%' . static::escapeLike($value), $boolean),
+            'like' => $query->where($column, 'like', $value, $boolean),
+            default => $query->where($column, static::OPERATORS[$node['operator']], $value, $boolean),
+        };
+    }
+
+    /**
+     * Add a LIKE condition with an explicit ESCAPE clause, so escaped
+     * wildcards match literally on every database.
+     */
+    protected function whereLike(QueryBuilder $query, string $column, string $pattern, string $boolean): void
+    {
+        $sql = $query->getGrammar()->wrap($column) . ' like ? escape ?';
+
+        $query->whereRaw($sql, [$pattern, self::LIKE_ESCAPE], $boolean);
+    }
+
+    /**
+     * Escape LIKE wildcards in a literal for whereLike().
+     */
+    protected static function escapeLike(mixed $value): string
+    {
+        $escape = self::LIKE_ESCAPE;
+
+        return str_replace([$escape, '%', '_'], [$escape . $escape, $escape . '%', $escape . '_'], (string) $value);
+    }
+
+    /**
+     * Cast a database value to its Google column type.
+     */
+    protected static function castValue(mixed $value, string $type): mixed
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        return match ($type) {
+            'number' => is_numeric($value) ? $value + 0 : null,
+            'boolean' => (bool) $value,
+            'date', 'datetime' => $value instanceof DateTimeInterface ? $value : Carbon::parse($value),
+            'timeofday' => $value instanceof DateTimeInterface ? $value : Carbon::parse($value),
+            default => (string) $value,
+        };
+    }
+
+    /**
+     * Key of an item in the label clause: 'total' or 'sum(total)'.
+     */
+    protected static function itemKey(array $item): string
+    {
+        return $item['aggregate'] ? "{$item['aggregate']}({$item['id']})" : $item['id'];
+    }
+
+    /**
+     * Split a query string into tokens.
+     *
+     * @return array<int, array{type: string, value: string}>
+     *
+     * @throws \ValueError On an unexpected character
+     */
+    protected static function tokenize(string $tq): array
+    {
+        $pattern = '/\s*(?:`([^`]*)`|\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)"|(-?\d+(?:\.\d+)?)|(<=|>=|!=|<>|[=<>(),*])|([A-Za-z_][\w.]*))/A';
+        $tokens = [];
+        $offset = 0;
+        $length = strlen(rtrim($tq));
+
+        while ($offset < $length) {
+            if (! preg_match($pattern, $tq, $match, PREG_UNMATCHED_AS_NULL, $offset)) {
+                $char = substr(ltrim(substr($tq, $offset)), 0, 1);
+
+                throw new \ValueError("Unexpected \"{$char}\" in query.");
+            }
+            $offset += strlen($match[0]);
+
+            $tokens[] = match (true) {
+                $match[1] !== null => ['type' => 'identifier', 'value' => $match[1]],
+                $match[2] !== null => ['type' => 'string', 'value' => stripcslashes($match[2])],
+                $match[3] !== null => ['type' => 'string', 'value' => stripcslashes($match[3])],
+                $match[4] !== null => ['type' => 'number', 'value' => $match[4]],
+                $match[5] !== null => ['type' => 'symbol', 'value' => $match[5]],
+                default => ['type' => 'word', 'value' => $match[6]],
+            };
+        }
+
+        return $tokens;
+    }
+
+    /**
+     * Consume a keyword if it is next.
+     */
+    protected function keyword(string ...$words): bool
+    {
+        foreach ($words as $index => $word) {
+            $token = $this->tokens[$this->position + $index] ?? null;
+            if ($token === null || $token['type'] !== 'word' || strcasecmp($token['value'], $word) !== 0) {
+                return false;
+            }
+        }
+        $this->position += count($words);
+
+        return true;
+    }
+
+    /**
+     * Consume a keyword that must be next.
+     *
+     * @throws \ValueError
+     */
+    protected function expectKeyword(string $word): void
+    {
+        if (! $this->keyword($word)) {
+            throw new \ValueError("Expected \"{$word}\" in query.");
+        }
+    }
+
+    /**
+     * Consume a symbol if it is next.
+     */
+    protected function symbol(string $symbol): bool
+    {
+        $token = $this->tokens[$this->position] ?? null;
+        if ($token === null || $token['type'] !== 'symbol' || $token['value'] !== $symbol) {
+            return false;
+        }
+        $this->position++;
+
+        return true;
+    }
+
+    /**
+     * Consume a token of the given type.
+     *
+     * @throws \ValueError
+     */
+    protected function expect(string $type, string $description): string
+    {
+        $token = $this->tokens[$this->position] ?? null;
+        if ($token === null || $token['type'] !== $type) {
+            $found = $token === null ? 'end of query' : "\"{$token['value']}\"";
+
+            throw new \ValueError("Expected {$description} in query, found {$found}.");
+        }
+        $this->position++;
+
+        return $token['value'];
+    }
+
+    /**
+     * Consume a column identifier (a word or a `quoted` identifier).
+     */
+    protected function identifier(): string
+    {
+        $token = $this->tokens[$this->position] ?? null;
+        if ($token !== null && $token['type'] === 'identifier') {
+            $this->position++;
+
+            return $token['value'];
+        }
+
+        return $this->expect('word', 'a column');
+    }
+
+    /**
+     * Consume a select/order/label item: a column or an aggregate of one.
+     *
+     * @return array{id: string, aggregate: string|null}
+     */
+    protected function item(): array
+    {
+        $token = $this->tokens[$this->position] ?? null;
+        $next = $this->tokens[$this->position + 1] ?? null;
+
+        if ($token !== null && $token['type'] === 'word' && $next !== null && $next['value'] === '(' && $next['type'] === 'symbol') {
+            $aggregate = strtolower($token['value']);
+            if (! in_array($aggregate, self::AGGREGATES, true)) {
+                throw new \ValueError("Unknown query function: {$token['value']}. Valid functions are: " . implode(', ', self::AGGREGATES));
+            }
+            $this->position += 2;
+            $id = $this->identifier();
+            if (! $this->symbol(')')) {
+                throw new \ValueError('Expected ")" in query.');
+            }
+
+            return ['id' => $id, 'aggregate' => $aggregate];
+        }
+
+        return ['id' => $this->identifier(), 'aggregate' => null];
+    }
+
+    /**
+     * Consume a string literal.
+     */
+    protected function string(): string
+    {
+        return $this->expect('string', 'a quoted string');
+    }
+
+    /**
+     * Consume a non-negative integer.
+     *
+     * @throws \ValueError
+     */
+    protected function integer(): int
+    {
+        $value = $this->expect('number', 'a number');
+        if (! ctype_digit($value)) {
+            throw new \ValueError("Expected a whole number in query, found \"{$value}\".");
+        }
+
+        return (int) $value;
+    }
+
+    /**
+     * Parse conditions joined by "or".
+     */
+    protected function disjunction(): array
+    {
+        $items = [$this->conjunction()];
+        while ($this->keyword('or')) {
+            $items[] = $this->conjunction();
+        }
+
+        return count($items) === 1 ? $items[0] : ['type' => 'or', 'items' => $items];
+    }
+
+    /**
+     * Parse conditions joined by "and".
+     */
+    protected function conjunction(): array
+    {
+        $items = [$this->condition()];
+        while ($this->keyword('and')) {
+            $items[] = $this->condition();
+        }
+
+        return count($items) === 1 ? $items[0] : ['type' => 'and', 'items' => $items];
+    }
+
+    /**
+     * Parse a negated, parenthesized or single comparison.
+     *
+     * @throws \ValueError
+     */
+    protected function condition(): array
+    {
+        if ($this->keyword('not')) {
+            return ['type' => 'not', 'item' => $this->condition()];
+        }
+
+        if ($this->symbol('(')) {
+            $node = $this->disjunction();
+            if (! $this->symbol(')')) {
+                throw new \ValueError('Expected ")" in query.');
+            }
+
+            return $node;
+        }
+
+        $id = $this->identifier();
+
+        if ($this->keyword('is')) {
+            $operator = $this->keyword('not') ? 'is not null' : 'is null';
+            $this->expectKeyword('null');
+
+            return ['type' => 'compare', 'id' => $id, 'operator' => $operator, 'value' => null];
+        }
+
+        $operator = match (true) {
+            $this->keyword('contains') => 'contains',
+            $this->keyword('starts', 'with') => 'starts with',
+            $this->keyword('ends', 'with') => 'ends with',
+            $this->keyword('like') => 'like',
+            default => null,
+        };
+
+        if ($operator === null) {
+            $token = $this->tokens[$this->position] ?? null;
+            if ($token === null || $token['type'] !== 'symbol' || ! isset(self::OPERATORS[$token['value']])) {
+                throw new \ValueError("Expected a comparison after \"{$id}\" in query.");
+            }
+            $operator = $token['value'];
+            $this->position++;
+        }
+
+        return ['type' => 'compare', 'id' => $id, 'operator' => $operator, 'value' => $this->literal()];
+    }
+
+    /**
+     * Parse a literal: a string, number, true/false, or a date, datetime
+     * or timestamp followed by a string.
+     *
+     * @throws \ValueError
+     */
+    protected function literal(): mixed
+    {
+        if ($this->keyword('true')) {
+            return true;
+        }
+        if ($this->keyword('false')) {
+            return false;
+        }
+        if ($this->keyword('date') || $this->keyword('datetime') || $this->keyword('timestamp')) {
+            return $this->string();
+        }
+
+        $token = $this->tokens[$this->position] ?? null;
+        if ($token !== null && $token['type'] === 'number') {
+            $this->position++;
+
+            return $token['value'] + 0;
+        }
+
+        return $this->expect('string', 'a value');
+    }
+}
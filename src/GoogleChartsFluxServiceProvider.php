@@ -4,14 +4,27 @@ declare(strict_types=1);
 
 namespace FoleyBridgeSolutions\GoogleChartsFlux;
 
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Aggregate;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Axis;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Band;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Chart;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Column;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Control;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Dashboard;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Data;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\DataView;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Drilldown;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\EmptyState;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Event;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Export;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Format;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Options;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\ReferenceLine;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Row;
 use FoleyBridgeSolutions\GoogleChartsFlux\Components\Series;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Stream;
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Tooltip;
+use FoleyBridgeSolutions\GoogleChartsFlux\Console\VendorCommand;
 use Illuminate\Foundation\Http\Events\RequestHandled;
 use Illuminate\Support\Facades\Blade;
 use Illuminate\Support\ServiceProvider;
@@ -19,8 +32,8 @@ use Illuminate\Support\ServiceProvider;
 /**
  * Service provider for the Google Charts Flux package.
  *
- * Registers Blade components, directives, config, views, and
- * auto-injects the Google Charts script into HTML responses.
+ * Registers Blade components, directives, config, views, console
+ * commands, and auto-injects the Google Charts script into HTML responses.
  */
 class GoogleChartsFluxServiceProvider extends ServiceProvider
 {
@@ -41,6 +54,7 @@ class GoogleChartsFluxServiceProvider extends ServiceProvider
     public function boot(): void
     {
         $this->registerPublishing();
+        $this->registerCommands();
         $this->registerViews();
         $this->registerComponents();
         $this->registerBladeDirectives();
@@ -63,6 +77,18 @@ class GoogleChartsFluxServiceProvider extends ServiceProvider
         }
     }
 
+    /**
+     * Register the package's Artisan commands.
+     */
+    protected function registerCommands(): void
+    {
+        if ($this->app->runningInConsole()) {
+            $this->commands([
+                VendorCommand::class,
+            ]);
+        }
+    }
+
     /**
      * Register the package's views.
      */
@@ -86,6 +112,18 @@ class GoogleChartsFluxServiceProvider extends ServiceProvider
      * - <x-google-chart.event>     → Event
      * - <x-google-chart.series>    → Series
      * - <x-google-chart.axis>      → Axis
+     * - <x-google-chart.dashboard> → Dashboard
+     * - <x-google-chart.control>   → Control
+     * - <x-google-chart.export>    → Export
+     * - <x-google-chart.format>    → Format
+     * - <x-google-chart.view>      → DataView
+     * - <x-google-chart.drilldown> → Drilldown
+     * - <x-google-chart.tooltip>   → Tooltip
+     * - <x-google-chart.stream>    → Stream
+     * - <x-google-chart.empty>     → EmptyState
+     * - <x-google-chart.reference-line> → ReferenceLine
+     * - <x-google-chart.band>      → Band
+     * - <x-google-chart.aggregate> → Aggregate
      */
     protected function registerComponents(): void
     {
@@ -97,6 +135,18 @@ class GoogleChartsFluxServiceProvider extends ServiceProvider
         Blade::component('google-chart.event', Event::class);
         Blade::component('google-chart.series', Series::class);
         Blade::component('google-chart.axis', Axis::class);
+        Blade::component('google-chart.dashboard', Dashboard::class);
+        Blade::component('google-chart.control', Control::class);
+        Blade::component('google-chart.export', Export::class);
+        Blade::component('google-chart.format', Format::class);
+        Blade::component('google-chart.view', DataView::class);
+        Blade::component('google-chart.drilldown', Drilldown::class);
+        Blade::component('google-chart.tooltip', Tooltip::class);
+        Blade::component('google-chart.stream', Stream::class);
+        Blade::component('google-chart.empty', EmptyState::class);
+        Blade::component('google-chart.reference-line', ReferenceLine::class);
+        Blade::component('google-chart.band', Band::class);
+        Blade::component('google-chart.aggregate', Aggregate::class);
     }
 
     /**
@@ -170,6 +220,6 @@ class GoogleChartsFluxServiceProvider extends ServiceProvider
         $jsPath = __DIR__ . '/../resources/js/google-charts-flux.js';
         $js = file_get_contents($jsPath);
 
-        return "\n<script>/* google-charts-flux */" . $js . "</script>\n";
+        return "\n<script data-navigate-once>/* google-charts-flux */" . $js . "</script>\n";
     }
 }
@@ -0,0 +1,112 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Traits;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Data\ChartQuery;
+use Illuminate\Database\Eloquent\Builder as EloquentBuilder;
+use Illuminate\Database\Query\Builder as QueryBuilder;
+use Illuminate\Database\QueryException;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Trait for controllers serving chart data to <x-google-chart src="...">.
+ *
+ * Answers Google Visualization Query Language requests (sent by charts
+ * with a `query` prop through google.visualization.Query) in the wire
+ * protocol's response format, and plain requests with DataTable JSON.
+ * Requires illuminate/database (see ChartQuery).
+ *
+ * Usage:
+ *   Route::get('/charts/revenue', RevenueChartController::class);
+ *
+ *   class RevenueChartController
+ *   {
+ *       use AnswersChartQueries;
+ *
+ *       public function __invoke(Request $request)
+ *       {
+ *           return $this->chartQueryResponse($request, Order::query(), [
+ *               'region' => 'Region',
+ *               'total' => ['label' => 'Revenue', 'type' => 'number', 'column' => 'amount'],
+ *           ]);
+ *       }
+ *   }
+ *
+ * @see https://developers.google.com/chart/interactive/docs/dev/implementing_data_source
+ */
+trait AnswersChartQueries
+{
+    /**
+     * Run the request's query (the `tq` parameter) against a builder and
+     * respond with the result.
+     *
+     * Query Language requests must carry the X-DataSource-Auth header that
+     * google.visualization.Query sends with same-origin requests, and are
+     * answered with JSON behind the protocol's `)]}'` prefix. Requests
+     * without it could come from a <script> tag on another site reading
+     * the user's data, and are refused.
+     *
+     * @param EloquentBuilder|QueryBuilder $query Base query; scopes and constraints are kept
+     * @param array<int|string, string|array{label?: string, type?: string, column?: string}> $columns
+     *     Queryable columns keyed by query identifier (see ChartQuery::run())
+     */
+    protected function chartQueryResponse(Request $request, EloquentBuilder|QueryBuilder $query, array $columns): Response
+    {
+        $isQuery = $request->has('tqx');
+        if ($isQuery && ! $request->hasHeader('X-DataSource-Auth')) {
+            return response()->json(['message' => 'Chart queries are only answered to google.visualization.Query on the same origin.'], 403);
+        }
+
+        $tq = (string) $request->query('tq', '');
+        $table = null;
+        $error = null;
+
+        try {
+            $table = ChartQuery::parse($tq)->run($query, $columns);
+        } catch (\ValueError $e) {
+            $error = ['reason' => 'invalid_query', 'message' => 'Invalid query', 'detailed_message' => $e->getMessage()];
+        } catch (QueryException $e) {
+            // The database rejected the mapped columns; keep the SQL out of the response
+            report($e);
+            $error = ['reason' => 'internal_error', 'message' => 'Internal error', 'detailed_message' => 'The query could not be run.'];
+        }
+
+        // Plain fetch() requests from a src chart without a query
+        if (! $isQuery) {
+            return $error === null
+                ? response()->json($table, 200, [], JSON_INVALID_UTF8_SUBSTITUTE)
+                : response()->json(['message' => $error['detailed_message']], $error['reason'] === 'invalid_query' ? 422 : 500);
+        }
+
+        $tqx = $this->chartQueryParameters((string) $request->query('tqx'));
+        $payload = ['version' => '0.6', 'reqId' => $tqx['reqId'] ?? '0'];
+        $payload += $error === null
+            ? ['status' => 'ok', 'table' => $table]
+            : ['status' => 'error', 'errors' => [$error]];
+
+        return response(")]}'\n" . json_encode($payload, JSON_INVALID_UTF8_SUBSTITUTE | JSON_THROW_ON_ERROR), 200, [
+            'Content-Type' => 'application/json; charset=UTF-8',
+        ]);
+    }
+
+    /**
+     * Parse the `tqx` parameter ("reqId:0;responseHandler:fn").
+     *
+     * @return array<string, string>
+     */
+    protected function chartQueryParameters(string $tqx): array
+    {
+        $parameters = [];
+        foreach (explode(';', $tqx) as $pair) {
+            [$key, $value] = array_pad(explode(':', $pair, 2), 2, '');
+            if ($key !== '') {
+                $parameters[trim($key)] = trim($value);
+            }
+        }
+
+        return $parameters;
+    }
+}
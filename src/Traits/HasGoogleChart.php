@@ -173,7 +173,8 @@ trait HasGoogleChart
      * Dispatch a browser event to update a specific chart's data.
      *
      * This allows updating a chart from any Livewire method without
-     * needing wire:model. The chart must have an id matching $chartId.
+     * needing wire:model. The chart (or dashboard) must have an id matching
+     * $chartId.
      *
      * @param string $chartId The chart element's ID
      * @param array<array<mixed>> $data New chart data
@@ -181,6 +182,87 @@ trait HasGoogleChart
      */
     protected function updateChart(string $chartId, array $data): void
     {
-        $this->dispatch('google-chart-update', chartId: $chartId, data: $data);
+        $this->dispatch('google-chart-update', chartId: $chartId, operation: 'replace', data: $data);
+    }
+
+    /**
+     * Dispatch a browser event to append rows to a chart's existing data.
+     *
+     * Rows are added in place, so the chart animates instead of
+     * rebuilding its DataTable.
+     *
+     * @param string $chartId The chart element's ID
+     * @param array<array<mixed>> $rows Rows in column order (no header row)
+     * @return void
+     */
+    protected function appendChartRows(string $chartId, array $rows): void
+    {
+        $this->dispatch('google-chart-update', chartId: $chartId, operation: 'append', rows: $rows);
+    }
+
+    /**
+     * Dispatch a browser event to remove rows from a chart's existing data.
+     *
+     * @param string $chartId The chart element's ID
+     * @param int $index Zero-based index of the first data row to remove
+     * @param int $count Number of rows to remove
+     * @return void
+     */
+    protected function removeChartRows(string $chartId, int $index, int $count = 1): void
+    {
+        $this->dispatch('google-chart-update', chartId: $chartId, operation: 'remove', index: $index, count: $count);
+    }
+
+    /**
+     * Dispatch a browser event to change individual cells of a chart's data.
+     *
+     * Each cell is ['row' => int, 'column' => int|string, 'value' => mixed],
+     * with an optional 'formatted' display string that takes precedence
+     * over the column's formatters. Columns may be given by index, id or
+     * label.
+     *
+     * @param string $chartId The chart element's ID
+     * @param array<array{row: int, column: int|string, value: mixed, formatted?: string}> $cells
+     * @return void
+     */
+    protected function patchChartCells(string $chartId, array $cells): void
+    {
+        $this->dispatch('google-chart-update', chartId: $chartId, operation: 'patch', cells: $cells);
+    }
+
+    /**
+     * Dispatch a browser event to stream points into a chart.
+     *
+     * Points are appended to the chart's data, trimmed to the window of
+     * its <x-google-chart.stream> and drawn at most at its frame rate.
+     *
+     * @param string $chartId The chart element's ID
+     * @param array<mixed> $points One point or a list of points, in column order
+     * @return void
+     */
+    protected function streamToChart(string $chartId, array $points): void
+    {
+        $points = array_is_list($points) && isset($points[0]) && is_array($points[0]) ? $points : [$points];
+
+        $this->dispatch('google-chart-update', chartId: $chartId, operation: 'stream', points: $points);
+    }
+
+    /**
+     * Dispatch a browser event to export a chart.
+     *
+     * Without $emit the browser downloads the file (or opens the print
+     * view for 'print'). With $emit the export is dispatched back as a
+     * Livewire event whose `payload` carries chartId, format and data (a
+     * PNG data URI or the SVG/CSV/JSON text).
+     *
+     * @param string $chartId The chart element's ID
+     * @param string $format 'png', 'svg', 'csv', 'json' or 'print'
+     * @param string|null $emit Livewire event to receive the exported data
+     * @param string|null $filename Download file name without extension
+     * @return void
+     */
+    protected function exportChart(string $chartId, string $format = 'png', ?string $emit = null, ?string $filename = null): void
+    {
+        $this->dispatch('google-chart-export', chartId: $chartId, format: $format, emit: $emit, filename: $filename);
     }
 }
@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\GoogleChartsFluxServiceProvider;
+use Orchestra\Testbench\TestCase as Orchestra;
+
+/**
+ * Base test case booting the package service provider, so components
+ * resolve the package config.
+ */
+abstract class TestCase extends Orchestra
+{
+    /**
+     * @param \Illuminate\Foundation\Application $app
+     * @return array<int, class-string>
+     */
+    protected function getPackageProviders($app): array
+    {
+        return [GoogleChartsFluxServiceProvider::class];
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Aggregate;
+use PHPUnit\Framework\TestCase;
+
+class AggregateTest extends TestCase
+{
+    public function test_collects_aggregations_in_function_order(): void
+    {
+        $aggregate = new Aggregate(by: 'Day', sum: ['Amount', 'Tax'], count: 'Orders', max: 2, bucket: 'month');
+
+        $this->assertSame([
+            'by' => ['Day'],
+            'aggregations' => [
+                ['column' => 'Amount', 'function' => 'sum'],
+                ['column' => 'Tax', 'function' => 'sum'],
+                ['column' => 'Orders', 'function' => 'count'],
+                ['column' => 2, 'function' => 'max'],
+            ],
+            'bucket' => 'month',
+            'pivot' => null,
+        ], $aggregate->toArray());
+    }
+
+    public function test_requires_an_aggregated_column(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('An aggregate needs at least one aggregated column');
+
+        new Aggregate(by: 'Region');
+    }
+
+    public function test_rejects_unknown_buckets(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Invalid aggregate bucket: quarter. Use one of: day, week, month.');
+
+        new Aggregate(by: 'Day', sum: 'Amount', bucket: 'quarter');
+    }
+
+    public function test_pivot_needs_exactly_one_aggregation(): void
+    {
+        $this->assertSame('Region', (new Aggregate(by: 'Month', sum: 'Amount', pivot: 'Region'))->toArray()['pivot']);
+
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('A pivot aggregates exactly one column.');
+
+        new Aggregate(by: 'Month', sum: 'Amount', avg: 'Amount', pivot: 'Region');
+    }
+}
@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Band;
+use PHPUnit\Framework\TestCase;
+
+class BandTest extends TestCase
+{
+    public function test_to_array_applies_defaults(): void
+    {
+        $band = new Band(from: 10, to: 20);
+
+        $this->assertSame([
+            'from' => 10.0,
+            'to' => 20.0,
+            'label' => 'Band',
+            'color' => null,
+            'darkColor' => null,
+            'opacity' => 0.15,
+            'legend' => false,
+            'tooltip' => false,
+            'axis' => null,
+        ], $band->toArray());
+    }
+
+    public function test_allows_zero_width_bands(): void
+    {
+        $this->assertSame(5.0, (new Band(from: 5, to: 5))->toArray()['to']);
+    }
+
+    public function test_rejects_inverted_bands(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Invalid band: from (20) is greater than to (10).');
+
+        new Band(from: 20, to: 10);
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Chart;
+use FoleyBridgeSolutions\GoogleChartsFlux\Tests\TestCase;
+
+class ChartTest extends TestCase
+{
+    public function test_breakpoints_come_from_config(): void
+    {
+        $this->assertSame(['xs' => 360, 'sm' => 640, 'md' => 768, 'lg' => 1024], Chart::breakpoints());
+
+        config(['google-charts-flux.breakpoints' => ['phone' => 480]]);
+
+        $this->assertSame(['phone' => 480], Chart::breakpoints());
+    }
+
+    public function test_breakpoint_accepts_names_and_widths(): void
+    {
+        $this->assertSame('sm', Chart::breakpoint('sm'));
+        $this->assertSame('480', Chart::breakpoint(480));
+        $this->assertSame('480', Chart::breakpoint('480'));
+    }
+
+    public function test_breakpoint_rejects_unknown_names(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Unknown breakpoint: tablet. Use one of [xs, sm, md, lg] or a width in pixels.');
+
+        Chart::breakpoint('tablet');
+    }
+
+    public function test_breakpoint_rejects_negative_and_fractional_widths(): void
+    {
+        foreach (['-100', '100.5', '100px'] as $width) {
+            try {
+                Chart::breakpoint($width);
+                $this->fail("Breakpoint {$width} was accepted.");
+            } catch (\ValueError $e) {
+                $this->assertStringStartsWith("Unknown breakpoint: {$width}.", $e->getMessage());
+            }
+        }
+    }
+
+    public function test_responsive_keys_are_validated(): void
+    {
+        $chart = new Chart(type: 'line', responsive: ['sm' => ['legend' => 'none'], 480 => ['title' => null]]);
+
+        $this->assertSame(['sm' => ['legend' => 'none'], 480 => ['title' => null]], $chart->responsive);
+
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Unknown breakpoint: tablet.');
+
+        new Chart(type: 'line', responsive: ['tablet' => ['legend' => 'none']]);
+    }
+}
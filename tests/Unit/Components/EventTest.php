@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Event;
+use PHPUnit\Framework\TestCase;
+
+class EventTest extends TestCase
+{
+    public function test_requires_an_emit_name_or_a_handler(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('The "select" event needs an emit name or a handler.');
+
+        new Event(on: 'select');
+    }
+
+    public function test_rejects_throttle_combined_with_debounce(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('The "onmouseover" event can be throttled or debounced, not both.');
+
+        new Event(on: 'onmouseover', emit: 'hovered', throttle: 100, debounce: 100);
+    }
+
+    public function test_to_array_omits_unset_options(): void
+    {
+        $this->assertSame(
+            ['on' => 'select', 'emit' => 'picked'],
+            (new Event(on: 'select', emit: 'picked'))->toArray(),
+        );
+    }
+
+    public function test_to_array_includes_delivery_options(): void
+    {
+        $event = new Event(on: 'ready', handler: '$dispatch(\'ready\', $payload)', throttle: 200, once: true, to: 'sidebar');
+
+        $this->assertSame([
+            'on' => 'ready',
+            'emit' => null,
+            'throttle' => 200,
+            'once' => true,
+            'to' => 'sidebar',
+            'handler' => '$dispatch(\'ready\', $payload)',
+        ], $event->toArray());
+    }
+}
@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Options;
+use FoleyBridgeSolutions\GoogleChartsFlux\Tests\TestCase;
+
+class OptionsTest extends TestCase
+{
+    public function test_builds_options_from_props(): void
+    {
+        $options = new Options(title: 'Sales', legend: 'bottom', hideSeries: ['Forecast'], extra: ['hAxis' => ['title' => 'Month']]);
+
+        $this->assertSame([
+            'title' => 'Sales',
+            'legend' => ['position' => 'bottom'],
+            'hideSeries' => ['Forecast'],
+            'hAxis' => ['title' => 'Month'],
+        ], $options->chartOptions);
+    }
+
+    public function test_breakpoint_is_normalized(): void
+    {
+        $this->assertSame('md', (new Options(breakpoint: 'md'))->breakpoint);
+        $this->assertSame('500', (new Options(breakpoint: 500))->breakpoint);
+        $this->assertNull((new Options())->breakpoint);
+    }
+
+    public function test_rejects_unknown_breakpoints(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Unknown breakpoint: desktop.');
+
+        new Options(breakpoint: 'desktop');
+    }
+}
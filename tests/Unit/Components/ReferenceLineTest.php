@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\ReferenceLine;
+use PHPUnit\Framework\TestCase;
+
+class ReferenceLineTest extends TestCase
+{
+    public function test_numeric_strings_become_numbers(): void
+    {
+        $line = new ReferenceLine(value: '42.5');
+
+        $this->assertSame(42.5, $line->value);
+        $this->assertSame('Reference', $line->toArray()['label']);
+    }
+
+    public function test_statistics_are_kept_and_labeled(): void
+    {
+        $line = new ReferenceLine(value: 'median', of: 'Revenue');
+
+        $this->assertSame('median', $line->toArray()['value']);
+        $this->assertSame('Revenue', $line->toArray()['of']);
+        $this->assertSame('Median', $line->toArray()['label']);
+    }
+
+    public function test_rejects_unknown_statistics(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Invalid reference line value: mean. Use a number or one of: avg, min, max, median.');
+
+        new ReferenceLine(value: 'mean');
+    }
+
+    public function test_dash_patterns(): void
+    {
+        $this->assertSame([4, 4], (new ReferenceLine(value: 1.0))->toArray()['dash']);
+        $this->assertNull((new ReferenceLine(value: 1.0, dash: false))->toArray()['dash']);
+        $this->assertNull((new ReferenceLine(value: 1.0, dash: ''))->toArray()['dash']);
+        $this->assertSame([6, 3], (new ReferenceLine(value: 1.0, dash: '6, 3'))->toArray()['dash']);
+    }
+}
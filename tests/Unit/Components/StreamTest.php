@@ -0,0 +1,67 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Components;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Components\Stream;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+class StreamTest extends TestCase
+{
+    /**
+     * @return array<string, array{string|int, int}>
+     */
+    public static function spans(): array
+    {
+        return [
+            'seconds as int' => [90, 90_000],
+            'seconds as string' => ['90', 90_000],
+            'seconds' => ['30s', 30_000],
+            'minutes' => ['5m', 300_000],
+            'hours with space' => ['1 h', 3_600_000],
+            'days' => ['2d', 172_800_000],
+        ];
+    }
+
+    #[DataProvider('spans')]
+    public function test_converts_spans_to_milliseconds(string|int $span, int $milliseconds): void
+    {
+        $this->assertSame($milliseconds, (new Stream(span: $span))->toArray()['span']);
+    }
+
+    /**
+     * @return array<string, array{string}>
+     */
+    public static function invalidSpans(): array
+    {
+        return [
+            'unknown unit' => ['5w'],
+            'fraction' => ['1.5h'],
+            'negative' => ['-5m'],
+            'words' => ['five minutes'],
+        ];
+    }
+
+    #[DataProvider('invalidSpans')]
+    public function test_rejects_invalid_spans(string $span): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage("Invalid stream span: {$span}.");
+
+        new Stream(span: $span);
+    }
+
+    public function test_defaults(): void
+    {
+        $this->assertSame([
+            'max' => null,
+            'span' => null,
+            'fps' => 10,
+            'channel' => null,
+            'event' => 'ChartPointsPushed',
+            'private' => false,
+        ], (new Stream())->toArray());
+    }
+}
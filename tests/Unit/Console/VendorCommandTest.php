@@ -0,0 +1,84 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Console;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Tests\TestCase;
+use Illuminate\Filesystem\Filesystem;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Support\Facades\Http;
+
+class VendorCommandTest extends TestCase
+{
+    protected string $public;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->public = sys_get_temp_dir() . '/google-charts-flux-' . uniqid();
+        $this->app->usePublicPath($this->public);
+    }
+
+    protected function tearDown(): void
+    {
+        (new Filesystem())->deleteDirectory($this->public);
+
+        parent::tearDown();
+    }
+
+    public function test_copies_the_loaders_and_rewrites_their_cdn_references(): void
+    {
+        Http::fake([
+            'www.gstatic.com/charts/loader.js' => Http::response('load("https://www.gstatic.com/charts/51/loader.js")'),
+            'www.gstatic.com/charts/51/loader.js' => Http::response('base="https://www.gstatic.com/charts";m=["js/jsapi_compiled_default_module.js","css/core/tooltip.css"]'),
+            'www.gstatic.com/charts/51/js/*' => Http::response('module'),
+            'www.gstatic.com/charts/51/css/*' => Http::response('', 404),
+        ]);
+
+        $this->artisan('google-charts-flux:vendor', ['--charts-version' => '51'])
+            ->expectsOutputToContain('Could not download 51/css/core/tooltip.css (HTTP 404)')
+            ->assertSuccessful();
+
+        $directory = "{$this->public}/vendor/google-charts-flux";
+        $this->assertSame('load("/vendor/google-charts-flux/51/loader.js")', file_get_contents("{$directory}/loader.js"));
+        $this->assertStringStartsWith('base="/vendor/google-charts-flux";', file_get_contents("{$directory}/51/loader.js"));
+        $this->assertSame('module', file_get_contents("{$directory}/51/js/jsapi_compiled_default_module.js"));
+        $this->assertFileDoesNotExist("{$directory}/51/css/core/tooltip.css");
+    }
+
+    public function test_copies_nothing_when_no_cdn_reference_is_rewritten(): void
+    {
+        Http::fake([
+            'www.gstatic.com/charts/loader.js' => Http::response('load("51/loader.js")'),
+            'www.gstatic.com/charts/51/loader.js' => Http::response('m=["js/jsapi_compiled_default_module.js"]'),
+        ]);
+
+        $this->artisan('google-charts-flux:vendor', ['--charts-version' => '51'])
+            ->expectsOutputToContain('The loaders contain no CDN references to rewrite')
+            ->assertFailed();
+
+        $this->assertDirectoryDoesNotExist("{$this->public}/vendor/google-charts-flux");
+    }
+
+    public function test_reports_why_a_loader_could_not_be_downloaded(): void
+    {
+        Http::fake(fn () => throw new ConnectionException('cURL error 6: Could not resolve host: www.gstatic.com'));
+
+        $this->artisan('google-charts-flux:vendor', ['--charts-version' => '51'])
+            ->expectsOutputToContain('Could not download loader.js: cURL error 6: Could not resolve host')
+            ->assertFailed();
+
+        $this->assertDirectoryDoesNotExist("{$this->public}/vendor/google-charts-flux");
+    }
+
+    public function test_requires_a_pinned_version(): void
+    {
+        Http::fake();
+
+        $this->artisan('google-charts-flux:vendor', ['--charts-version' => 'current'])->assertFailed();
+
+        Http::assertNothingSent();
+    }
+}
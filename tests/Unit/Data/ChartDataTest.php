@@ -0,0 +1,301 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Data;
+
+use DateTimeImmutable;
+use FoleyBridgeSolutions\GoogleChartsFlux\Data\ChartData;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+class ChartDataTest extends TestCase
+{
+    public function test_to_array_emits_plain_labels_for_untyped_columns(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Task')
+            ->addNumberColumn('Hours')
+            ->addRow(['Work', 11])
+            ->toArray();
+
+        $this->assertSame([['Task', 'Hours'], ['Work', 11]], $data);
+    }
+
+    public function test_to_array_emits_typed_headers_and_iso_dates(): void
+    {
+        $data = ChartData::make()
+            ->addDateColumn('Day')
+            ->addDateTimeColumn('At')
+            ->addTimeOfDayColumn('Time')
+            ->addTooltipColumn('Note')
+            ->addRow([
+                new DateTimeImmutable('2024-03-05'),
+                new DateTimeImmutable('2024-03-05T10:30:00+00:00'),
+                new DateTimeImmutable('2024-03-05 14:15:30'),
+                'Busy',
+            ])
+            ->toArray();
+
+        $this->assertSame([
+            ['type' => 'date', 'label' => 'Day'],
+            ['type' => 'datetime', 'label' => 'At'],
+            ['type' => 'timeofday', 'label' => 'Time'],
+            ['type' => 'string', 'label' => 'Note', 'role' => 'tooltip'],
+        ], $data[0]);
+        $this->assertSame(['2024-03-05', '2024-03-05T10:30:00+00:00', '14:15:30', 'Busy'], $data[1]);
+    }
+
+    public function test_to_array_serializes_dates_inside_cells(): void
+    {
+        $data = ChartData::make()
+            ->addDateColumn('Day')
+            ->addRow([ChartData::cell(new DateTimeImmutable('2024-03-05'), 'March 5')])
+            ->toArray();
+
+        $this->assertSame([['v' => '2024-03-05', 'f' => 'March 5']], $data[1]);
+    }
+
+    public function test_to_array_embeds_formats(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Month')
+            ->addNumberColumn('Sales')
+            ->addRow(['Jan', 1000])
+            ->numberFormat('Sales', ['prefix' => '$'])
+            ->toArray();
+
+        $this->assertArrayHasKey('_formats', $data);
+        $this->assertSame(
+            [['type' => 'number', 'columns' => ['Sales'], 'options' => ['prefix' => '$']]],
+            $data['_formats'],
+        );
+        $this->assertSame([['Month', 'Sales'], ['Jan', 1000]], array_values(array_filter(
+            $data,
+            fn (int|string $key) => is_int($key),
+            ARRAY_FILTER_USE_KEY,
+        )));
+    }
+
+    public function test_to_array_omits_formats_when_there_are_none(): void
+    {
+        $data = ChartData::make()->addStringColumn('Month')->toArray();
+
+        $this->assertArrayNotHasKey('_formats', $data);
+    }
+
+    public function test_to_data_table_keeps_column_and_cell_metadata(): void
+    {
+        $data = ChartData::make()
+            ->addColumn('string', 'Month', id: 'month')
+            ->addColumn('number', 'Sales', pattern: '#,##0', properties: ['unit' => 'usd'])
+            ->addAnnotationColumn('Note')
+            ->addRow(['Jan', ChartData::cell(1000, '$1,000', ['style' => 'color:red']), null])
+            ->toDataTable();
+
+        $this->assertSame([
+            ['type' => 'string', 'label' => 'Month', 'id' => 'month'],
+            ['type' => 'number', 'label' => 'Sales', 'pattern' => '#,##0', 'p' => ['unit' => 'usd']],
+            ['type' => 'string', 'label' => 'Note', 'p' => ['role' => 'annotation']],
+        ], $data['cols']);
+        $this->assertSame([
+            ['c' => [
+                ['v' => 'Jan'],
+                ['v' => 1000, 'f' => '$1,000', 'p' => ['style' => 'color:red']],
+                null,
+            ]],
+        ], $data['rows']);
+    }
+
+    public function test_to_data_table_emits_google_date_literals(): void
+    {
+        $data = ChartData::make()
+            ->addDateColumn('Day')
+            ->addDateTimeColumn('At')
+            ->addTimeOfDayColumn('Time')
+            ->addRow([
+                new DateTimeImmutable('2024-03-05 10:30:00'),
+                new DateTimeImmutable('2024-03-05 10:30:15'),
+                new DateTimeImmutable('2024-03-05 14:15:30.250'),
+            ])
+            ->toDataTable();
+
+        $this->assertSame([
+            ['v' => 'Date(2024, 2, 5)'],
+            ['v' => 'Date(2024, 2, 5, 10, 30, 15)'],
+            ['v' => [14, 15, 30, 250]],
+        ], $data['rows'][0]['c']);
+    }
+
+    public function test_to_data_table_embeds_formats(): void
+    {
+        $data = ChartData::make()
+            ->addNumberColumn('Sales')
+            ->numberFormat(0, ['suffix' => '%'])
+            ->toDataTable();
+
+        $this->assertSame([['type' => 'number', 'columns' => [0], 'options' => ['suffix' => '%']]], $data['_formats']);
+    }
+
+    public function test_aggregate_groups_rows_and_labels_repeated_columns(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Region')
+            ->addNumberColumn('Amount')
+            ->addRows([
+                ['South', 5],
+                ['North', ChartData::cell(10, '$10')],
+                ['North', 20],
+                ['South', null],
+            ])
+            ->aggregate('Region', ['Amount' => ['sum', 'avg', 'count']]);
+
+        $this->assertSame([
+            ['type' => 'string', 'label' => 'Region'],
+            ['type' => 'number', 'label' => 'Amount (sum)'],
+            ['type' => 'number', 'label' => 'Amount (avg)'],
+            ['type' => 'number', 'label' => 'Amount (count)'],
+        ], $data->getColumns());
+        $this->assertSame([['North', 30, 15, 2], ['South', 5, 5, 1]], $data->getRows());
+    }
+
+    public function test_aggregate_min_and_max_keep_the_column_type_and_label(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Region')
+            ->addDateColumn('Day')
+            ->addRows([
+                ['North', new DateTimeImmutable('2024-03-05')],
+                ['North', new DateTimeImmutable('2024-01-02')],
+            ])
+            ->aggregate(0, ['Day' => 'min']);
+
+        $this->assertSame([['type' => 'string', 'label' => 'Region'], ['type' => 'date', 'label' => 'Day']], $data->getColumns());
+        $this->assertSame([['North', '2024-01-02']], array_slice($data->toArray(), 1));
+    }
+
+    public function test_aggregate_buckets_dates_by_month(): void
+    {
+        $data = ChartData::make()
+            ->addDateColumn('Day')
+            ->addNumberColumn('Amount')
+            ->addRows([
+                [new DateTimeImmutable('2024-01-05'), 10],
+                ['2024-01-20', 5],
+                [new DateTimeImmutable('2024-02-03 15:00'), 7],
+            ])
+            ->aggregate('Day', ['Amount' => 'sum'], bucket: 'month');
+
+        $this->assertSame([
+            [['type' => 'date', 'label' => 'Day'], 'Amount'],
+            ['2024-01-01', 15],
+            ['2024-02-01', 7],
+        ], $data->toArray());
+    }
+
+    public function test_aggregate_buckets_datetimes_by_week_from_monday(): void
+    {
+        $data = ChartData::make()
+            ->addDateTimeColumn('At')
+            ->addNumberColumn('Visits')
+            ->addRows([
+                [new DateTimeImmutable('2024-01-03 09:00'), 1], // Wednesday
+                [new DateTimeImmutable('2024-01-07 23:59'), 2], // Sunday
+                [new DateTimeImmutable('2024-01-08 00:00'), 4], // Monday
+            ])
+            ->aggregate('At', ['Visits' => 'sum'], bucket: 'week');
+
+        $this->assertSame('date', $data->getColumns()[0]['type']);
+        $this->assertSame([['2024-01-01', 3], ['2024-01-08', 4]], array_slice($data->toArray(), 1));
+    }
+
+    public function test_aggregate_pivots_values_into_series(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Month')
+            ->addStringColumn('Region')
+            ->addNumberColumn('Amount')
+            ->addRows([
+                ['Jan', 'South', 5],
+                ['Jan', 'North', 10],
+                ['Feb', 'North', 7],
+                ['Jan', 'North', 1],
+            ])
+            ->aggregate('Month', ['Amount' => 'sum'], pivot: 'Region');
+
+        $this->assertSame([
+            ['type' => 'string', 'label' => 'Month'],
+            ['type' => 'number', 'label' => 'North'],
+            ['type' => 'number', 'label' => 'South'],
+        ], $data->getColumns());
+        $this->assertSame([['Feb', 7, null], ['Jan', 11, 5]], $data->getRows());
+    }
+
+    public function test_aggregate_moves_formats_with_their_columns(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Note')
+            ->addDateColumn('Day')
+            ->addNumberColumn('Amount')
+            ->addRow(['x', new DateTimeImmutable('2024-01-05'), 10])
+            ->numberFormat('Amount', ['prefix' => '$'])
+            ->dateFormat(1, ['pattern' => 'MMM yyyy'])
+            ->arrowFormat('Note')
+            ->patternFormat('{0}: {1}', ['Note', 'Day'])
+            ->aggregate('Day', ['Amount' => ['sum', 'count']], bucket: 'month');
+
+        $this->assertSame([
+            ['type' => 'number', 'columns' => [1], 'options' => ['prefix' => '$']],
+            ['type' => 'date', 'columns' => [0], 'options' => ['pattern' => 'MMM yyyy']],
+        ], $data->getFormats());
+    }
+
+    public function test_aggregate_moves_formats_onto_every_pivot_series(): void
+    {
+        $data = ChartData::make()
+            ->addStringColumn('Month')
+            ->addStringColumn('Region')
+            ->addNumberColumn('Amount')
+            ->addRows([['Jan', 'North', 10], ['Jan', 'South', 5]])
+            ->numberFormat(2, ['suffix' => ' kg'])
+            ->aggregate('Month', ['Amount' => 'sum'], pivot: 'Region');
+
+        $this->assertSame([['type' => 'number', 'columns' => [1, 2], 'options' => ['suffix' => ' kg']]], $data->toDataTable()['_formats']);
+    }
+
+    public function test_aggregate_rejects_bucketed_strings_that_are_not_dates(): void
+    {
+        $data = ChartData::make()->addDateColumn('Day')->addNumberColumn('Amount')->addRow(['soon', 1]);
+
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Invalid date in column Day: soon.');
+
+        $data->aggregate('Day', ['Amount' => 'sum'], bucket: 'month');
+    }
+
+    /**
+     * @return array<string, array{\Closure(ChartData): mixed, string}>
+     */
+    public static function invalidAggregates(): array
+    {
+        return [
+            'unknown group column' => [fn (ChartData $data) => $data->aggregate('Country', ['Amount' => 'sum']), 'Unknown column: Country.'],
+            'unknown aggregated column' => [fn (ChartData $data) => $data->aggregate('Region', ['Total' => 'sum']), 'Unknown column: Total.'],
+            'unknown function' => [fn (ChartData $data) => $data->aggregate('Region', ['Amount' => 'median']), 'Invalid aggregate function: median.'],
+            'no aggregation' => [fn (ChartData $data) => $data->aggregate('Region', []), 'An aggregate needs at least one aggregated column.'],
+            'unknown bucket' => [fn (ChartData $data) => $data->aggregate('Region', ['Amount' => 'sum'], bucket: 'year'), 'Invalid aggregate bucket: year.'],
+            'pivot with two aggregations' => [fn (ChartData $data) => $data->aggregate('Region', ['Amount' => ['sum', 'avg']], pivot: 'Region'), 'A pivot aggregates exactly one column.'],
+        ];
+    }
+
+    #[DataProvider('invalidAggregates')]
+    public function test_aggregate_rejects_invalid_definitions(\Closure $aggregate, string $message): void
+    {
+        $data = ChartData::make()->addStringColumn('Region')->addNumberColumn('Amount');
+
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage($message);
+
+        $aggregate($data);
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Data;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Data\ChartEventPayload;
+use PHPUnit\Framework\TestCase;
+
+class ChartEventPayloadTest extends TestCase
+{
+    public function test_from_array_maps_point_fields_and_keeps_the_rest_as_attributes(): void
+    {
+        $payload = ChartEventPayload::fromArray([
+            'chartType' => 'geo',
+            'event' => 'regionClick',
+            'row' => '2',
+            'column' => 1,
+            'key' => 'US',
+            'series' => 'Visitors',
+            'value' => 1200,
+            'formattedValue' => '1,200',
+            'data' => ['Country' => 'US', 'Visitors' => 1200],
+            'region' => 'US',
+        ]);
+
+        $this->assertSame(2, $payload->row);
+        $this->assertTrue($payload->isPoint());
+        $this->assertSame('US', $payload->key);
+        $this->assertSame(['Country' => 'US', 'Visitors' => 1200], $payload->data);
+        $this->assertSame(['region' => 'US'], $payload->attributes);
+        $this->assertSame('US', $payload->get('region'));
+        $this->assertSame('fallback', $payload->get('date', 'fallback'));
+    }
+
+    public function test_events_without_coordinates_are_not_points(): void
+    {
+        $payload = ChartEventPayload::fromArray(['chartType' => 'line', 'event' => 'ready']);
+
+        $this->assertFalse($payload->isPoint());
+        $this->assertSame([], $payload->selection);
+    }
+
+    public function test_to_array_round_trips(): void
+    {
+        $array = [
+            'chartType' => 'pie',
+            'event' => 'select',
+            'row' => 0,
+            'column' => null,
+            'key' => 'Work',
+            'series' => null,
+            'value' => null,
+            'formattedValue' => null,
+            'data' => ['Task' => 'Work', 'Hours' => 11],
+            'selection' => [['row' => 0, 'column' => null]],
+            'selectedData' => [['Task' => 'Work', 'Hours' => 11, '_row' => 0, '_column' => null]],
+            'raw' => null,
+        ];
+
+        $this->assertSame($array, ChartEventPayload::fromArray($array)->toArray());
+    }
+}
@@ -0,0 +1,208 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Data;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Data\ChartQuery;
+use FoleyBridgeSolutions\GoogleChartsFlux\Tests\TestCase;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+use PHPUnit\Framework\Attributes\DataProvider;
+
+class ChartQueryTest extends TestCase
+{
+    /**
+     * @var array<string, string|array<string, string>>
+     */
+    protected array $columns = [
+        'region' => 'Region',
+        'product' => 'Product',
+        'total' => ['label' => 'Revenue', 'type' => 'number', 'column' => 'amount'],
+    ];
+
+    /**
+     * @param \Illuminate\Foundation\Application $app
+     */
+    protected function defineEnvironment($app): void
+    {
+        $app['config']->set('database.default', 'testing');
+        $app['config']->set('database.connections.testing', [
+            'driver' => 'sqlite',
+            'database' => ':memory:',
+            'prefix' => '',
+        ]);
+    }
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Schema::create('orders', function (Blueprint $table) {
+            $table->id();
+            $table->string('region');
+            $table->string('product');
+            $table->integer('amount')->nullable();
+        });
+
+        DB::table('orders')->insert([
+            ['region' => 'North', 'product' => '100% Cotton', 'amount' => 10],
+            ['region' => 'North', 'product' => '1000 Cotton', 'amount' => 20],
+            ['region' => 'South', 'product' => 'Wool_Blend', 'amount' => 5],
+            ['region' => 'South', 'product' => 'WoolXBlend', 'amount' => null],
+        ]);
+    }
+
+    public function test_empty_query_selects_everything(): void
+    {
+        $query = ChartQuery::parse('');
+
+        $this->assertSame([], $query->select);
+        $this->assertNull($query->where);
+        $this->assertSame([], $query->groupBy);
+    }
+
+    public function test_parses_every_clause(): void
+    {
+        $query = ChartQuery::parse(
+            "select region, sum(total) where total >= 10 and not product contains 'x' "
+            . "group by region order by sum(total) desc, region limit 5 offset 10 label sum(total) 'Revenue'"
+        );
+
+        $this->assertSame([
+            ['id' => 'region', 'aggregate' => null],
+            ['id' => 'total', 'aggregate' => 'sum'],
+        ], $query->select);
+        $this->assertSame([
+            'type' => 'and',
+            'items' => [
+                ['type' => 'compare', 'id' => 'total', 'operator' => '>=', 'value' => 10],
+                ['type' => 'not', 'item' => ['type' => 'compare', 'id' => 'product', 'operator' => 'contains', 'value' => 'x']],
+            ],
+        ], $query->where);
+        $this->assertSame(['region'], $query->groupBy);
+        $this->assertSame([
+            ['id' => 'total', 'aggregate' => 'sum', 'direction' => 'desc'],
+            ['id' => 'region', 'aggregate' => null, 'direction' => 'asc'],
+        ], $query->orderBy);
+        $this->assertSame(5, $query->limit);
+        $this->assertSame(10, $query->offset);
+        $this->assertSame(['sum(total)' => 'Revenue'], $query->labels);
+    }
+
+    public function test_tokenizes_quoted_identifiers_strings_and_literals(): void
+    {
+        $query = ChartQuery::parse(
+            "select `total` where region = \"It's \\\"North\\\"\" or total < -1.5 or (product is not null and region != date '2024-01-01') or total = true"
+        );
+
+        $this->assertSame([['id' => 'total', 'aggregate' => null]], $query->select);
+        $this->assertSame([
+            'type' => 'or',
+            'items' => [
+                ['type' => 'compare', 'id' => 'region', 'operator' => '=', 'value' => 'It\'s "North"'],
+                ['type' => 'compare', 'id' => 'total', 'operator' => '<', 'value' => -1.5],
+                ['type' => 'and', 'items' => [
+                    ['type' => 'compare', 'id' => 'product', 'operator' => 'is not null', 'value' => null],
+                    ['type' => 'compare', 'id' => 'region', 'operator' => '!=', 'value' => '2024-01-01'],
+                ]],
+                ['type' => 'compare', 'id' => 'total', 'operator' => '=', 'value' => true],
+            ],
+        ], $query->where);
+    }
+
+    public function test_keywords_are_case_insensitive(): void
+    {
+        $query = ChartQuery::parse('SELECT region, COUNT(total) GROUP BY region ORDER BY region DESC');
+
+        $this->assertSame([['id' => 'region', 'aggregate' => null], ['id' => 'total', 'aggregate' => 'count']], $query->select);
+        $this->assertSame('desc', $query->orderBy[0]['direction']);
+    }
+
+    /**
+     * @return array<string, array{string, string}>
+     */
+    public static function invalidQueries(): array
+    {
+        return [
+            'unexpected character' => ['select region where total ~ 1', 'Unexpected "~"'],
+            'unknown function' => ['select median(total)', 'Unknown query function: median'],
+            'unclosed function' => ['select sum(total', 'Expected ")"'],
+            'missing by' => ['select region group region', 'Expected "by"'],
+            'pivot' => ['select region pivot product', 'The pivot clause is not supported.'],
+            'missing comparison' => ['select region where total', 'Expected a comparison after "total"'],
+            'missing value' => ['select region where total =', 'Expected a value in query, found end of query.'],
+            'fractional limit' => ['select region limit 1.5', 'Expected a whole number'],
+            'label without string' => ['select region label region 5', 'Expected a quoted string'],
+            'trailing tokens' => ['select region region', 'Unexpected "region" in query.'],
+            'unclosed parenthesis' => ['select region where (total = 1', 'Expected ")"'],
+            'ungrouped column' => ['select region, product, sum(total) group by region', 'Column product must be grouped or aggregated'],
+            'column beside aggregate' => ['select region, sum(total)', 'Column region must be grouped or aggregated in a query with aggregates.'],
+            'ungrouped order' => ['select region, sum(total) group by region order by product', 'Column product must be grouped or aggregated'],
+            'select all with group by' => ['group by region', '"select *" cannot be combined with group by'],
+        ];
+    }
+
+    #[DataProvider('invalidQueries')]
+    public function test_rejects_invalid_queries(string $tq, string $message): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage($message);
+
+        ChartQuery::parse($tq);
+    }
+
+    public function test_runs_a_grouped_query(): void
+    {
+        $table = ChartQuery::parse('select region, sum(total) group by region order by region')
+            ->run(DB::table('orders'), $this->columns);
+
+        $this->assertSame([
+            ['type' => 'string', 'label' => 'Region', 'id' => 'region'],
+            ['type' => 'number', 'label' => 'sum Revenue', 'id' => 'sum-total'],
+        ], $table['cols']);
+        $this->assertSame([
+            ['c' => [['v' => 'North'], ['v' => 30]]],
+            ['c' => [['v' => 'South'], ['v' => 5]]],
+        ], $table['rows']);
+    }
+
+    public function test_declared_types_apply_to_all_null_columns(): void
+    {
+        $table = ChartQuery::parse("select product, total where product = 'WoolXBlend'")
+            ->run(DB::table('orders'), $this->columns);
+
+        $this->assertSame('number', $table['cols'][1]['type']);
+        $this->assertSame([['c' => [['v' => 'WoolXBlend'], null]]], $table['rows']);
+    }
+
+    public function test_contains_matches_wildcards_literally(): void
+    {
+        $products = fn (string $tq) => array_map(
+            fn (array $row) => $row['c'][0]['v'],
+            ChartQuery::parse($tq)->run(DB::table('orders'), $this->columns)['rows'],
+        );
+
+        $this->assertSame(['100% Cotton'], $products("select product where product contains '0%'"));
+        $this->assertSame(['Wool_Blend'], $products("select product where product starts with 'Wool_'"));
+        $this->assertSame(['WoolXBlend'], $products("select product where product ends with 'XBlend'"));
+        $this->assertSame(['WoolXBlend', 'Wool_Blend'], $products("select product where product like 'Wool_Blend' order by product"));
+    }
+
+    public function test_rejects_sums_of_non_number_columns(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Cannot sum column product of type string');
+
+        ChartQuery::parse('select region, sum(product) group by region')->run(DB::table('orders'), $this->columns);
+    }
+
+    public function test_rejects_columns_outside_the_map(): void
+    {
+        $this->expectException(\ValueError::class);
+        $this->expectExceptionMessage('Unknown query column: id.');
+
+        ChartQuery::parse('select id')->run(DB::table('orders'), $this->columns);
+    }
+}
@@ -0,0 +1,139 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FoleyBridgeSolutions\GoogleChartsFlux\Tests\Unit\Traits;
+
+use FoleyBridgeSolutions\GoogleChartsFlux\Tests\TestCase;
+use FoleyBridgeSolutions\GoogleChartsFlux\Traits\AnswersChartQueries;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+use Symfony\Component\HttpFoundation\Response;
+
+class AnswersChartQueriesTest extends TestCase
+{
+    /**
+     * @param \Illuminate\Foundation\Application $app
+     */
+    protected function defineEnvironment($app): void
+    {
+        $app['config']->set('database.default', 'testing');
+        $app['config']->set('database.connections.testing', [
+            'driver' => 'sqlite',
+            'database' => ':memory:',
+            'prefix' => '',
+        ]);
+    }
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Schema::create('orders', function (Blueprint $table) {
+            $table->id();
+            $table->string('region');
+            $table->integer('amount');
+        });
+
+        DB::table('orders')->insert([
+            ['region' => 'North', 'amount' => 10],
+            ['region' => "South \xB1", 'amount' => 5],
+        ]);
+    }
+
+    /**
+     * @param array<string, string> $parameters
+     * @param array<int|string, string|array<string, string>> $columns
+     */
+    protected function respond(array $parameters, bool $auth = true, array $columns = ['region' => 'Region']): Response
+    {
+        $server = $auth ? ['HTTP_X_DATASOURCE_AUTH' => 'a'] : [];
+        $request = Request::create('/charts/orders', 'GET', $parameters, [], [], $server);
+
+        $controller = new class {
+            use AnswersChartQueries {
+                chartQueryResponse as public;
+            }
+        };
+
+        return $controller->chartQueryResponse($request, DB::table('orders')->orderBy('id'), $columns);
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    protected function protocolPayload(Response $response): array
+    {
+        $content = (string) $response->getContent();
+        $this->assertStringStartsWith(")]}'\n", $content);
+
+        return json_decode(substr($content, 5), true, flags: JSON_THROW_ON_ERROR);
+    }
+
+    public function test_refuses_queries_without_the_data_source_auth_header(): void
+    {
+        $response = $this->respond(['tq' => 'select region', 'tqx' => 'reqId:0;responseHandler:steal'], auth: false);
+
+        $this->assertSame(403, $response->getStatusCode());
+        $this->assertStringNotContainsString('North', (string) $response->getContent());
+    }
+
+    public function test_answers_queries_with_prefixed_json(): void
+    {
+        $response = $this->respond(['tq' => "select region where region = 'North'", 'tqx' => 'reqId:7;responseHandler:steal']);
+
+        $this->assertSame('application/json; charset=UTF-8', $response->headers->get('Content-Type'));
+        $this->assertSame([
+            'version' => '0.6',
+            'reqId' => '7',
+            'status' => 'ok',
+            'table' => [
+                'cols' => [['type' => 'string', 'label' => 'Region', 'id' => 'region']],
+                'rows' => [['c' => [['v' => 'North']]]],
+            ],
+        ], $this->protocolPayload($response));
+    }
+
+    public function test_substitutes_invalid_utf8(): void
+    {
+        $payload = $this->protocolPayload($this->respond(['tq' => 'select region', 'tqx' => 'reqId:0']));
+
+        $this->assertSame("South \u{FFFD}", $payload['table']['rows'][1]['c'][0]['v']);
+    }
+
+    public function test_answers_invalid_queries_with_a_protocol_error(): void
+    {
+        $payload = $this->protocolPayload($this->respond(['tq' => 'select median(region)', 'tqx' => 'reqId:3']));
+
+        $this->assertSame('error', $payload['status']);
+        $this->assertSame('3', $payload['reqId']);
+        $this->assertSame('invalid_query', $payload['errors'][0]['reason']);
+        $this->assertStringContainsString('Unknown query function: median', $payload['errors'][0]['detailed_message']);
+    }
+
+    public function test_answers_database_errors_with_a_protocol_error_without_sql(): void
+    {
+        $response = $this->respond(['tq' => 'select total', 'tqx' => 'reqId:0'], columns: ['total' => ['label' => 'Total', 'column' => 'missing']]);
+        $payload = $this->protocolPayload($response);
+
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame('internal_error', $payload['errors'][0]['reason']);
+        $this->assertStringNotContainsString('missing', (string) $response->getContent());
+    }
+
+    public function test_answers_plain_requests_with_data_table_json(): void
+    {
+        $response = $this->respond([], auth: false);
+
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame('North', json_decode((string) $response->getContent(), true)['rows'][0]['c'][0]['v']);
+    }
+
+    public function test_answers_invalid_plain_requests_with_status_codes(): void
+    {
+        $this->assertSame(422, $this->respond(['tq' => 'select nope'], auth: false)->getStatusCode());
+        $this->assertSame(500, $this->respond([], auth: false, columns: ['total' => ['column' => 'missing']])->getStatusCode());
+    }
+}
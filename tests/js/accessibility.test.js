@@ -0,0 +1,91 @@
+// Screen reader summaries, the data table fallback and keyboard navigation. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+const data = [
+    ['Month', 'Revenue', { label: 'Note', type: 'string', role: 'annotation' }, 'Cost'],
+    ['Jan', 100, 'launch', 40],
+    ['Feb', 300, null, 20],
+    ['Mar', 200, null, 60],
+];
+
+function accessibleChart(config = {}) {
+    const chart = makeChart(googleChart, { data, formats: [{ type: 'number', columns: ['Revenue'], options: { prefix: '$' } }], ...config });
+    chart.chart = new Chart(chart.$el);
+    chart.registerEvents();
+    chart.buildDataTable();
+    chart.$nextTick = callback => callback();
+    chart.draw = () => {
+        chart._drawnData = chart.drawData();
+        chart.updateAccessibility(chart.buildOptions());
+    };
+    chart.draw();
+    return chart;
+}
+
+function press(chart, key) {
+    chart.handleKeydown({ key, preventDefault() {} });
+    return chart.a11y.announcement;
+}
+
+test('the description summarizes the title, range, series and extremes', () => {
+    const chart = accessibleChart({ options: { title: 'Sales' } });
+
+    assert.strictEqual(chart.a11y.label, 'Sales');
+    assert.strictEqual(chart.a11y.description, 'Sales. Line chart with 3 rows. Month from Jan to Mar. 2 series: Revenue, Cost.'
+        + ' Revenue range from $100 (Jan) to $300 (Feb). Cost range from 20 (Feb) to 60 (Mar).');
+});
+
+test('a configured description replaces the generated one', () => {
+    assert.strictEqual(accessibleChart({ description: 'Monthly sales.' }).a11y.description, 'Monthly sales.');
+});
+
+test('the data table mirrors the formatted data without role columns and follows updates', async () => {
+    const chart = accessibleChart();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify([chart.a11y.headers, chart.a11y.rows])), [
+        ['Month', 'Revenue', 'Cost'],
+        [['Jan', '$100', '40'], ['Feb', '$300', '20'], ['Mar', '$200', '60']],
+    ]);
+
+    await chart.updateData([['Month', 'Revenue', 'Cost'], ['Apr', 50, 10]]);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(chart.a11y.rows)), [['Apr', '$50', '10']]);
+    assert.strictEqual(chart.a11y.label, 'line chart');
+});
+
+test('arrow keys move through points and announce them', () => {
+    const chart = accessibleChart();
+
+    assert.strictEqual(press(chart, 'ArrowRight'), 'Revenue, Jan: $100. 1 of 3.');
+    assert.strictEqual(press(chart, 'ArrowDown'), 'Cost, Jan: 40. 1 of 3.');
+    assert.strictEqual(press(chart, 'End'), 'Cost, Mar: 60. 3 of 3.');
+    assert.strictEqual(press(chart, 'ArrowRight'), 'Cost, Mar: 60. 3 of 3.');
+    assert.strictEqual(press(chart, 'Home'), 'Cost, Jan: 40. 1 of 3.');
+    assert.deepStrictEqual(Array.from(chart.chart.getSelection(), item => ({ ...item })), [{ row: 0, column: 3 }]);
+});
+
+test('row charts navigate rows only', () => {
+    const chart = accessibleChart({ type: 'pie', data: [['Region', 'Sales'], ['North', 10], ['South', 20]], formats: [] });
+
+    press(chart, 'ArrowRight');
+    assert.strictEqual(press(chart, 'ArrowDown'), 'North: 10. 1 of 2.');
+    assert.deepStrictEqual(Array.from(chart.chart.getSelection(), item => ({ ...item })), [{ row: 0, column: null }]);
+});
+
+test('Enter selects the point and Escape puts the selection back', () => {
+    const chart = accessibleChart();
+    chart.select('Feb');
+    const selected = [];
+    chart.chart.listeners.select.push(() => selected.push(chart.chart.getSelection()[0].row));
+
+    press(chart, 'ArrowRight');
+    press(chart, 'Enter');
+    assert.deepStrictEqual(selected, [0]);
+
+    chart.select('Mar');
+    press(chart, 'ArrowRight');
+    assert.strictEqual(press(chart, 'Escape'), 'Left data navigation.');
+    assert.deepStrictEqual(Array.from(chart.chart.getSelection(), item => item.row), [2]);
+});
@@ -0,0 +1,128 @@
+// In-place data updates of the chart component. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+const formats = [{ type: 'number', columns: [1], options: { prefix: '$' } }];
+
+test('unchanged data does not rewrite formatted cells', async () => {
+    const chart = googleChart({ formats });
+    await chart.applyData([['Month', 'Sales'], ['Jan', 100], ['Feb', 200]]);
+    const table = chart.dataTable;
+
+    await chart.applyData([['Month', 'Sales'], ['Jan', 100], ['Feb', 200]]);
+
+    assert.strictEqual(chart.dataTable, table);
+    assert.strictEqual(table.setCellCalls, 0);
+    assert.strictEqual(table.getFormattedValue(1, 1), '$200');
+});
+
+test('only changed cells are set and keep their formatting', async () => {
+    const chart = googleChart({ formats });
+    await chart.applyData([['Month', 'Sales'], ['Jan', 100], ['Feb', 200]]);
+    const table = chart.dataTable;
+
+    await chart.applyData([['Month', 'Sales'], ['Jan', 100], ['Feb', 250], ['Mar', 300]]);
+
+    assert.strictEqual(chart.dataTable, table);
+    assert.strictEqual(table.setCellCalls, 1);
+    assert.strictEqual(table.getFormattedValue(1, 1), '$250');
+    assert.strictEqual(table.getFormattedValue(2, 1), '$300');
+});
+
+test('explicit formatted values in the data are applied', async () => {
+    const chart = googleChart({});
+    await chart.applyData([['Month', 'Sales'], ['Jan', { v: 100, f: 'one hundred' }]]);
+    const table = chart.dataTable;
+
+    await chart.applyData([['Month', 'Sales'], ['Jan', { v: 100, f: 'a hundred' }]]);
+
+    assert.strictEqual(table.setCellCalls, 1);
+    assert.strictEqual(table.getFormattedValue(0, 1), 'a hundred');
+});
+
+test('appendRows adds rows with typed values', () => {
+    const chart = googleChart({ formats });
+    chart.applyData([[{ label: 'Day', type: 'date' }, 'Sales'], ['2024-01-01', 100]]);
+
+    chart.appendRows([['2024-01-02', 200]]);
+
+    assert.strictEqual(chart.dataTable.getNumberOfRows(), 2);
+    assert.strictEqual(chart.dataTable.getValue(1, 0).getDate(), 2);
+    assert.strictEqual(chart.dataTable.getFormattedValue(1, 1), '$200');
+});
+
+test('appendRows rejects rows of the wrong size or type without a change', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = googleChart({});
+    chart.applyData([['Month', 'Sales'], ['Jan', 100]]);
+
+    chart.appendRows([['Feb', 200], ['Mar']]);
+    chart.appendRows([['Feb', 200], ['Mar', 'many']]);
+    chart.appendRows(['Feb', 200]);
+
+    assert.strictEqual(chart.dataTable.getNumberOfRows(), 1);
+    assert.strictEqual(warn.mock.callCount(), 3);
+    assert.match(warn.mock.calls[0].arguments[0], /appendRows: row 1 must have 2 cells/);
+    assert.match(warn.mock.calls[1].arguments[0], /appendRows: Type mismatch/);
+});
+
+test('removeRows ignores ranges outside the data', () => {
+    const chart = googleChart({});
+    chart.applyData([['Month', 'Sales'], ['Jan', 100], ['Feb', 200]]);
+
+    chart.removeRows(5);
+    chart.removeRows(1, 10);
+
+    assert.strictEqual(chart.dataTable.getNumberOfRows(), 1);
+    assert.strictEqual(chart.dataTable.getValue(0, 0), 'Jan');
+});
+
+test('patchCells sets cells by column index, id or label', () => {
+    const chart = googleChart({ formats });
+    chart.applyData({
+        cols: [{ type: 'string', label: 'Month' }, { type: 'number', label: 'Sales', id: 'sales' }],
+        rows: [{ c: [{ v: 'Jan' }, { v: 100 }] }, { c: [{ v: 'Feb' }, { v: 200 }] }],
+    });
+
+    chart.patchCells([
+        { row: 0, column: 'sales', value: 150 },
+        { row: 1, column: 'Sales', value: 250 },
+        { row: 1, column: 0, value: 'February' },
+    ]);
+
+    assert.strictEqual(chart.dataTable.getValue(0, 1), 150);
+    assert.strictEqual(chart.dataTable.getFormattedValue(0, 1), '$150');
+    assert.strictEqual(chart.dataTable.getValue(1, 1), 250);
+    assert.strictEqual(chart.dataTable.getValue(1, 0), 'February');
+});
+
+test('patchCells keeps explicit formatted values over column formatters', () => {
+    const chart = googleChart({ formats });
+    chart.applyData([['Month', 'Sales'], ['Jan', 100]]);
+
+    chart.patchCells([{ row: 0, column: 1, value: 150, formatted: 'about 150' }]);
+
+    assert.strictEqual(chart.dataTable.getFormattedValue(0, 1), 'about 150');
+});
+
+test('patchCells skips invalid cells with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = googleChart({});
+    chart.applyData([['Month', 'Sales'], ['Jan', 100]]);
+
+    chart.patchCells([
+        { row: 3, column: 1, value: 1 },
+        { row: -1, column: 1, value: 1 },
+        { row: 0, column: 2, value: 1 },
+        { row: 0, column: 'Cost', value: 1 },
+        { row: 0, column: 1, value: 'many' },
+        { row: 0, column: 1, value: 150 },
+    ]);
+
+    assert.strictEqual(chart.dataTable.getValue(0, 1), 150);
+    assert.strictEqual(warn.mock.callCount(), 5);
+    assert.match(warn.mock.calls[0].arguments[0], /patchCells: row 3 is out of range \(1 rows\)/);
+    assert.match(warn.mock.calls[2].arguments[0], /patchCells: unknown column "2"/);
+});
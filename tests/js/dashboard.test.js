@@ -0,0 +1,55 @@
+// Data updates of the dashboard component. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Element, loadGoogleChartsFlux } = require('./support');
+
+const { googleChartDashboard } = loadGoogleChartsFlux();
+
+function dashboard() {
+    const component = googleChartDashboard({
+        data: [['Region', 'Sales'], ['North', 10], ['South', 20]],
+        loaderConfig: {},
+        wireModelProp: null,
+    });
+    component.$el = new Element();
+    component.draws = 0;
+    component.draw = () => { component.draws++; };
+    component.buildDataTable();
+    return component;
+}
+
+function rows(component) {
+    const table = component.dataTable;
+    return Array.from({ length: table.getNumberOfRows() }, (_, r) => [table.getValue(r, 0), table.getValue(r, 1)]);
+}
+
+test('update events replace the shared data', () => {
+    const component = dashboard();
+
+    component.applyUpdate({ operation: 'replace', data: [['Region', 'Sales'], ['East', 5]] });
+
+    assert.deepStrictEqual(rows(component), [['East', 5]]);
+    assert.strictEqual(component.draws, 1);
+});
+
+test('update events append, remove and patch rows', () => {
+    const component = dashboard();
+
+    component.applyUpdate({ operation: 'append', rows: [['East', 5]] });
+    component.applyUpdate({ operation: 'remove', index: 0, count: 1 });
+    component.applyUpdate({ operation: 'patch', cells: [{ row: 0, column: 'Sales', value: 25 }] });
+    component.applyUpdate({ operation: 'stream', points: [['West', 1]] });
+
+    assert.deepStrictEqual(rows(component), [['South', 25], ['East', 5], ['West', 1]]);
+    assert.strictEqual(component.draws, 4);
+});
+
+test('malformed incremental updates leave the shared data unchanged', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const component = dashboard();
+
+    component.applyUpdate({ operation: 'append', rows: [['East']] });
+    component.applyUpdate({ operation: 'patch', cells: [{ row: 9, column: 1, value: 1 }] });
+
+    assert.deepStrictEqual(rows(component), [['North', 10], ['South', 20]]);
+});
@@ -0,0 +1,111 @@
+// Drill-down levels and the breadcrumb. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+const years = [['Year', 'Sales'], ['2023', 10], ['2024', 20]];
+
+function drillChart(drilldown) {
+    const chart = makeChart(googleChart, { data: years, drilldown: { emit: 'drilled', ...drilldown } });
+    chart.chart = new Chart(chart.$el);
+    chart.registerEvents();
+    chart.buildDataTable();
+    chart.draw = () => { chart._drawnData = chart.drawData(); };
+    chart.draw();
+    return chart;
+}
+
+function firstColumn(chart) {
+    return Array.from({ length: chart.dataTable.getNumberOfRows() }, (_, r) => chart.dataTable.getValue(r, 0));
+}
+
+async function click(chart, row) {
+    chart.chart.setSelection([{ row, column: 1 }]);
+    await Promise.all(chart.chart.listeners.select.map(handler => handler()));
+}
+
+function drillEvents(chart) {
+    return chart.$el.dispatched.filter(e => e.type === 'drilled').map(e => JSON.parse(JSON.stringify(e.detail)));
+}
+
+test('clicking a row drills into its inline children by path, then by key', async () => {
+    const chart = drillChart({
+        children: {
+            2024: [['Quarter', 'Sales'], ['Q1', 5], ['Q2', 15]],
+            '2024/Q2': [['Month', 'Sales'], ['Apr', 4]],
+            Q1: [['Month', 'Sales'], ['Jan', 1]],
+        },
+    });
+
+    await click(chart, 1);
+    assert.deepStrictEqual(firstColumn(chart), ['Q1', 'Q2']);
+
+    await click(chart, 1);
+    assert.deepStrictEqual(firstColumn(chart), ['Apr']);
+    assert.deepStrictEqual(Array.from(chart.drillPath, level => level.label), ['2024', 'Q2']);
+
+    assert.deepStrictEqual(drillEvents(chart).map(e => e.path), [['2024'], ['2024', 'Q2']]);
+});
+
+test('the breadcrumb goes back up to any level', async () => {
+    const chart = drillChart({ children: { 2024: [['Quarter', 'Sales'], ['Q1', 5]], Q1: [['Month', 'Sales'], ['Jan', 1]] } });
+    await chart.drillDown('2024');
+    await chart.drillDown('Q1');
+
+    chart.drillUp();
+    assert.deepStrictEqual(firstColumn(chart), ['Q1']);
+
+    chart.drillTo(0);
+    assert.deepStrictEqual(firstColumn(chart), ['2023', '2024']);
+    assert.strictEqual(chart.drillPath.length, 0);
+    assert.deepStrictEqual(drillEvents(chart).at(-1), {
+        chartType: 'line', event: 'drilldown', direction: 'up', level: 0, path: [], labels: [],
+    });
+});
+
+test('keys without children and the depth limit stay on the level', async () => {
+    const chart = drillChart({ depth: 1, children: { 2024: [['Quarter', 'Sales'], ['Q1', 5]], Q1: [['Month', 'Sales'], ['Jan', 1]] } });
+
+    await chart.drillDown('2023');
+    assert.strictEqual(chart.drillPath.length, 0);
+
+    await chart.drillDown('2024');
+    await chart.drillDown('Q1');
+    assert.deepStrictEqual(firstColumn(chart), ['Q1']);
+});
+
+test('child data comes from a Livewire method with the key path', async () => {
+    const chart = drillChart({ method: 'quarters' });
+    const calls = [];
+    chart.$wire = { call: async (method, key, path) => { calls.push([method, key, [...path]]); return [['Quarter', 'Sales'], ['Q3', 7]]; } };
+
+    await chart.drillDown('2024');
+
+    assert.deepStrictEqual(calls, [['quarters', '2024', ['2024']]]);
+    assert.deepStrictEqual(firstColumn(chart), ['Q3']);
+});
+
+test('child data is fetched from a URL and failures keep the level', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const requests = [];
+    const { googleChart: fetchingChart } = loadGoogleChartsFlux({
+        fetch: async (url) => {
+            requests.push(url);
+            return url.endsWith('2023')
+                ? { ok: false, status: 500 }
+                : { ok: true, json: async () => [['Quarter', 'Sales'], ['Q4', 9]] };
+        },
+    });
+    const chart = makeChart(fetchingChart, { data: years, drilldown: { url: '/sales/{path}/{key}' } });
+    chart.buildDataTable();
+    chart.draw = () => {};
+
+    await chart.drillDown('2023');
+    assert.match(error.mock.calls[0].arguments[1].message, /Drill-down request to \/sales\/2023\/2023 failed with HTTP 500/);
+    assert.strictEqual(chart.drillPath.length, 0);
+
+    await chart.drillDown('2024');
+    assert.deepStrictEqual(requests, ['/sales/2023/2023', '/sales/2024/2024']);
+    assert.deepStrictEqual(firstColumn(chart), ['Q4']);
+});
@@ -0,0 +1,55 @@
+// Exporting chart data and answering export events. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+
+function salesChart(config = {}) {
+    const chart = makeChart(googleChart, {
+        data: [['Region', 'Sales'], ['North, East', 10], ['Say "hi"', 20]],
+        formats: [{ type: 'number', columns: ['Sales'], options: { prefix: '$' } }],
+        ...config,
+    });
+    chart.$refs = { canvas: chart.$el };
+    chart.buildDataTable();
+    return chart;
+}
+
+test('CSV exports use formatted values and quote special characters', () => {
+    assert.strictEqual(salesChart().exportCsv(), 'Region,Sales\r\n"North, East",$10\r\n"Say ""hi""",$20');
+});
+
+test('JSON exports the formatted rows', () => {
+    assert.deepStrictEqual(JSON.parse(salesChart().exportJson()), [['Region', 'Sales'], ['North, East', '$10'], ['Say "hi"', '$20']]);
+});
+
+test('exports go through the active view', () => {
+    const chart = salesChart({ views: [{ name: 'sales', columns: [1] }] });
+    chart.setView('sales');
+
+    assert.strictEqual(chart.exportCsv(), 'Sales\r\n$10\r\n$20');
+});
+
+test('unknown export formats are rejected', async () => {
+    await assert.rejects(salesChart().exportAs('xlsx'), /Unknown export format: "xlsx"/);
+});
+
+test('charts without an SVG cannot be downloaded as SVG', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    await salesChart({ type: 'table' }).download('svg');
+
+    assert.match(warn.mock.calls[0].arguments[0], /"table" charts cannot be exported as svg/);
+});
+
+test('export events with an emit name send the export back to Livewire', async () => {
+    const chart = salesChart();
+    chart.$el.id = 'sales';
+    const sent = [];
+    chart.$wire = { dispatch: (name, params) => sent.push([name, params]) };
+
+    await chart.exportFromEvent({ format: 'csv', emit: 'chart-exported' });
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(sent)), [['chart-exported', { payload: { chartId: 'sales', format: 'csv', data: chart.exportCsv() } }]]);
+});
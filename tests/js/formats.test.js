@@ -0,0 +1,94 @@
+// Declarative column formatters. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart, sandbox } = loadGoogleChartsFlux();
+const data = [['Region', { label: 'Sales', id: 'sales', type: 'number' }, 'Cost'], ['North', 10, 4]];
+
+/** Records the formatters created, so tests can see their options. */
+function recordFormatters(t) {
+    const created = [];
+    const NumberFormat = sandbox.google.visualization.NumberFormat;
+    sandbox.google.visualization.NumberFormat = class extends NumberFormat {
+        constructor(options) {
+            super(options);
+            created.push({ options, columns: [] });
+        }
+
+        format(table, column) {
+            created[created.length - 1].columns.push(column);
+            super.format(table, column);
+        }
+    };
+    t.after(() => { sandbox.google.visualization.NumberFormat = NumberFormat; });
+    return created;
+}
+
+function formatted(chart) {
+    const table = chart.dataTable;
+    return Array.from({ length: table.getNumberOfColumns() }, (_, c) => table.getFormattedValue(0, c));
+}
+
+test('formats reference columns by index, id or label', () => {
+    const chart = makeChart(googleChart, {
+        data,
+        formats: [
+            { type: 'number', columns: ['sales'], options: { prefix: '$' } },
+            { type: 'number', columns: [2], options: { prefix: '€' } },
+        ],
+    });
+    chart.buildDataTable();
+
+    assert.deepStrictEqual(formatted(chart), ['North', '$10', '€4']);
+});
+
+test('formats for unknown columns are skipped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = makeChart(googleChart, { data, formats: [{ type: 'number', columns: ['Profit', 'Cost'], options: { prefix: '$' } }] });
+    chart.buildDataTable();
+
+    assert.match(warn.mock.calls[0].arguments[0], /NumberFormat references unknown column "Profit"/);
+    assert.deepStrictEqual(formatted(chart), ['North', '10', '$4']);
+});
+
+test('unknown format types are rejected', () => {
+    const chart = makeChart(googleChart, { data, formats: [{ type: 'currency', columns: [1] }] });
+
+    assert.throws(() => chart.buildDataTable(), /Unknown format type: "currency"/);
+});
+
+test('column pattern props become number formats', (t) => {
+    const created = recordFormatters(t);
+    const chart = makeChart(googleChart, {
+        columns: [{ type: 'string', label: 'Region' }, { type: 'number', label: 'Sales', pattern: '#,##0.00' }],
+        rows: [['North', 1000]],
+    });
+    chart.buildDataTable();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(created)), [{ options: { pattern: '#,##0.00' }, columns: [1] }]);
+});
+
+test('ChartData formats are applied and replaced by data updates', async () => {
+    const chart = makeChart(googleChart, {
+        data: [['Region', 'Sales'], ['North', 10]],
+        dataFormats: [{ type: 'number', columns: [1], options: { prefix: '$' } }],
+    });
+    chart.draw = () => {};
+    chart.buildDataTable();
+    assert.deepStrictEqual(formatted(chart), ['North', '$10']);
+
+    await chart.updateData({ 0: ['Region', 'Sales'], 1: ['South', 20], _formats: [{ type: 'number', columns: [1], options: { prefix: '£' } }] });
+
+    assert.deepStrictEqual(formatted(chart), ['South', '£20']);
+});
+
+test('formats are reapplied to appended rows', () => {
+    const chart = makeChart(googleChart, { data, formats: [{ type: 'number', columns: ['Sales'], options: { prefix: '$' } }] });
+    chart.draw = () => {};
+    chart.buildDataTable();
+
+    chart.appendRows([['South', 20, 8]]);
+
+    assert.strictEqual(chart.dataTable.getFormattedValue(1, 1), '$20');
+});
@@ -0,0 +1,101 @@
+// Lazy rendering of off-screen charts. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+/** Records observers so tests can move charts in and out of view. */
+class IntersectionObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.disconnected = false;
+        IntersectionObserver.last = this;
+    }
+
+    observe(el) { this.el = el; }
+    disconnect() { this.disconnected = true; }
+    scroll(isIntersecting) { this.callback([{ target: this.el, isIntersecting }]); }
+}
+
+const { googleChart } = loadGoogleChartsFlux({ IntersectionObserver });
+
+function lazyChart(config = {}) {
+    const chart = makeChart(googleChart, { data: [['Region', 'Sales'], ['North', 10]], lazy: true, ...config });
+    chart.renders = 0;
+    chart.render = async () => { chart.renders++; };
+    return chart;
+}
+
+/** Count the draws that get past the visibility check. */
+function countDraws(chart) {
+    chart.chart = new Chart(chart.$el);
+    chart.buildDataTable();
+    chart.draws = 0;
+    chart.updateEmptyState = () => { chart.draws++; return true; };
+}
+
+test('lazy charts render once they near the viewport', async () => {
+    const chart = lazyChart({ lazyMargin: '400px' });
+
+    const init = chart.init();
+    await new Promise(resolve => setTimeout(resolve));
+    assert.strictEqual(chart.renders, 0);
+    assert.strictEqual(IntersectionObserver.last.options.rootMargin, '400px');
+
+    IntersectionObserver.last.scroll(false);
+    await new Promise(resolve => setTimeout(resolve));
+    assert.strictEqual(chart.renders, 0);
+
+    IntersectionObserver.last.scroll(true);
+    await init;
+    assert.strictEqual(chart.renders, 1);
+});
+
+test('charts without lazy render immediately', async () => {
+    const chart = lazyChart({ lazy: false });
+
+    await chart.init();
+
+    assert.strictEqual(chart.renders, 1);
+});
+
+test('draws of off-screen charts are held and replayed once', () => {
+    const chart = lazyChart();
+    chart.whenVisible();
+    countDraws(chart);
+
+    chart.draw();
+    chart.draw();
+    assert.strictEqual(chart.draws, 0);
+
+    IntersectionObserver.last.scroll(true);
+    assert.strictEqual(chart.draws, 1);
+
+    IntersectionObserver.last.scroll(false);
+    chart.draw();
+    IntersectionObserver.last.scroll(true);
+    IntersectionObserver.last.scroll(true);
+    assert.strictEqual(chart.draws, 2);
+});
+
+test('data updates while off-screen are drawn when the chart is visible', async () => {
+    const chart = lazyChart();
+    chart.whenVisible();
+    countDraws(chart);
+
+    await chart.updateData([['Region', 'Sales'], ['South', 20]]);
+    assert.strictEqual(chart.draws, 0);
+
+    IntersectionObserver.last.scroll(true);
+    assert.strictEqual(chart.draws, 1);
+    assert.strictEqual(chart.dataTable.getValue(0, 0), 'South');
+});
+
+test('destroy disconnects the observer', () => {
+    const chart = lazyChart();
+    chart.whenVisible();
+
+    chart.destroy();
+
+    assert.ok(IntersectionObserver.last.disconnected);
+});
@@ -0,0 +1,83 @@
+// Toggling series from the legend. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+
+function toggleableChart(config = {}) {
+    const chart = makeChart(googleChart, {
+        data: [['Month', 'North', 'South', 'East'], ['Jan', 1, 2, 3]],
+        toggleable: true,
+        events: [{ on: 'seriestoggle', emit: 'series-toggled' }],
+        ...config,
+    });
+    chart.chart = new Chart(chart.$el);
+    chart.registerEvents();
+    chart.buildDataTable();
+    chart.draw = () => {};
+    return chart;
+}
+
+function clickLegend(chart, column) {
+    chart.chart.setSelection([{ row: null, column }]);
+    chart.chart.listeners.select.forEach(handler => handler());
+}
+
+function drawnRow(chart) {
+    const data = chart.drawData();
+    return Array.from({ length: data.getNumberOfColumns() }, (_, c) => data.getValue(0, c));
+}
+
+test('legend clicks hide and show a series', () => {
+    const chart = toggleableChart();
+
+    clickLegend(chart, 2);
+    assert.deepStrictEqual(drawnRow(chart), ['Jan', 1, null, 3]);
+    assert.strictEqual(chart.chart.getSelection().length, 0);
+
+    clickLegend(chart, 2);
+    assert.deepStrictEqual(drawnRow(chart), ['Jan', 1, 2, 3]);
+});
+
+test('clicks on points do not toggle series', () => {
+    const chart = toggleableChart();
+
+    chart.chart.setSelection([{ row: 0, column: 2 }]);
+    chart.chart.listeners.select.forEach(handler => handler());
+
+    assert.deepStrictEqual([...chart.visibleSeries()], ['North', 'South', 'East']);
+});
+
+test('hidden series keep their index and are greyed out in the legend', () => {
+    const chart = toggleableChart();
+
+    chart.toggleSeries('South');
+
+    const options = chart.buildOptions();
+    assert.deepStrictEqual({ ...options.series[1] }, { color: '#d4d4d8' });
+    assert.strictEqual(options.series[0], undefined);
+    assert.strictEqual(chart.drawData().getNumberOfColumns(), 4);
+});
+
+test('hidden series stay hidden when the data is replaced', async () => {
+    const chart = toggleableChart();
+    chart.toggleSeries('South');
+
+    await chart.updateData([['Month', 'North', 'South', 'East'], ['Feb', 4, 5, 6]]);
+
+    assert.deepStrictEqual(drawnRow(chart), ['Feb', 4, null, 6]);
+});
+
+test('toggles report the visible and hidden series', () => {
+    const chart = toggleableChart();
+
+    chart.toggleSeries('East');
+    chart.showAllSeries();
+
+    const payloads = chart.$el.dispatched.filter(e => e.type === 'series-toggled').map(e => JSON.parse(JSON.stringify(e.detail)));
+    assert.deepStrictEqual(payloads, [
+        { chartType: 'line', event: 'seriestoggle', toggled: 'East', visible: ['North', 'South'], hidden: ['East'] },
+        { chartType: 'line', event: 'seriestoggle', toggled: null, visible: ['North', 'South', 'East'], hidden: [] },
+    ]);
+});
@@ -0,0 +1,88 @@
+// Loader reuse, listener cleanup and Livewire morphs. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { Chart, DataTable, Element, loadGoogleChartsFlux, makeChart } = require('./support');
+
+class MutationObserver {
+    observe() {}
+    disconnect() { this.disconnected = true; }
+}
+
+/** Element whose <template> children can be swapped, like a morph does. */
+function templatedElement(templates) {
+    const el = new Element();
+    el.templates = templates;
+    el.querySelectorAll = (selector) => {
+        const attribute = /^template\[data-gcf-([\w-]+)\]$/.exec(selector);
+        if (selector === 'template') return el.templates;
+        if (!attribute) return [];
+        const key = 'gcf' + attribute[1].replace(/(^|-)(\w)/g, (_, __, c) => c.toUpperCase());
+        return el.templates.filter(t => key in t.dataset);
+    };
+    return el;
+}
+
+function eventTemplate(on) {
+    const json = JSON.stringify({ on, emit: `chart-${on}` });
+    return { dataset: { gcfEvent: json }, outerHTML: `<template data-gcf-event='${json}'></template>` };
+}
+
+test('the loader reuses a library that is already loaded', async () => {
+    const loads = [];
+    const google = {
+        charts: { load: (...args) => loads.push(args), setOnLoadCallback: callback => callback() },
+        visualization: { DataTable },
+    };
+    const { GoogleChartsFlux } = loadGoogleChartsFlux({ google });
+
+    await GoogleChartsFlux.loader.load({ requires: ['timeline'] });
+
+    assert.strictEqual(loads.length, 0);
+});
+
+test('running the script twice keeps the first loader', () => {
+    const { GoogleChartsFlux, sandbox } = loadGoogleChartsFlux();
+    const source = fs.readFileSync(path.join(__dirname, '../../resources/js/google-charts-flux.js'), 'utf8');
+
+    vm.runInContext(source, sandbox);
+
+    assert.strictEqual(sandbox.window.GoogleChartsFlux, GoogleChartsFlux);
+});
+
+test('destroy removes the document listeners and observers of a chart', () => {
+    const { googleChart, sandbox } = loadGoogleChartsFlux({ MutationObserver });
+    const listeners = new Set();
+    sandbox.document.addEventListener = (name, handler) => listeners.add(handler);
+    sandbox.document.removeEventListener = (name, handler) => listeners.delete(handler);
+    const chart = makeChart(googleChart);
+
+    chart.setupDarkMode();
+    assert.strictEqual(listeners.size, 2);
+
+    chart.destroy();
+    assert.strictEqual(listeners.size, 0);
+    assert.ok(chart._darkModeObserver.disconnected);
+});
+
+test('a morph that changes the templates re-parses them without duplicate listeners', () => {
+    const { googleChart } = loadGoogleChartsFlux();
+    const chart = makeChart(googleChart, { data: [['Region', 'Sales'], ['North', 10]] });
+    chart.$el = templatedElement([eventTemplate('onmouseover')]);
+    chart.parseSubComponents();
+    chart.chart = new Chart(chart.$el);
+    chart.registerEvents();
+    chart.draw = () => { chart.draws = (chart.draws || 0) + 1; };
+
+    chart.refresh();
+    assert.strictEqual(chart.draws, undefined);
+
+    chart.$el.templates = [eventTemplate('onmouseover'), eventTemplate('onmouseout')];
+    chart.refresh();
+
+    assert.strictEqual(chart.draws, 1);
+    assert.strictEqual(chart.chart.listeners.onmouseover.length, 1);
+    assert.strictEqual(chart.chart.listeners.onmouseout.length, 1);
+});
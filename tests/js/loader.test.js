@@ -0,0 +1,66 @@
+// Batched package loading. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux } = require('./support');
+
+/**
+ * Load the script on a page whose loader script is already present but
+ * has not loaded anything, with chart elements needing the given packages.
+ */
+function page(packages) {
+    const loads = [];
+    const google = {
+        charts: {
+            load: (version, options) => loads.push({ version, options }),
+            setOnLoadCallback: callback => setTimeout(callback),
+        },
+    };
+    const { GoogleChartsFlux, sandbox } = loadGoogleChartsFlux({ google });
+    sandbox.document.querySelectorAll = selector => (
+        selector === '[data-gcf-package]' ? packages.map(gcfPackage => ({ dataset: { gcfPackage } })) : []
+    );
+    return { loader: GoogleChartsFlux.loader, loads };
+}
+
+test('the packages of every chart on the page load in one call', async () => {
+    const { loader, loads } = page(['corechart', 'geochart', 'corechart']);
+
+    await Promise.all([
+        loader.load({ version: '51', language: 'de', requires: ['corechart'] }),
+        loader.load({ version: '51', language: 'de', requires: ['geochart'] }),
+    ]);
+
+    assert.strictEqual(loads.length, 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loads[0])), {
+        version: '51',
+        options: { packages: ['corechart', 'geochart'], language: 'de' },
+    });
+});
+
+test('configured and required packages are added to the page packages', async () => {
+    const { loader, loads } = page([]);
+
+    await loader.load({ packages: ['table'], requires: ['gantt'] });
+
+    assert.deepStrictEqual([...loads[0].options.packages], ['table', 'gantt']);
+    assert.strictEqual(loads[0].version, 'current');
+});
+
+test('corechart loads when nothing asks for a package', async () => {
+    const { loader, loads } = page([]);
+
+    await loader.load({});
+
+    assert.deepStrictEqual([...loads[0].options.packages], ['corechart']);
+});
+
+test('charts needing a package the page did not load get a clear error', async () => {
+    const { loader, loads } = page(['corechart']);
+    await loader.load({ requires: ['corechart'] });
+
+    await assert.rejects(
+        loader.load({ requires: ['corechart', 'timeline'] }),
+        /needs the Google Charts package\(s\) "timeline", but the page already loaded \[corechart\]/,
+    );
+    assert.strictEqual(loads.length, 1);
+});
@@ -0,0 +1,128 @@
+// wire:selection binding and chart groups. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart, GoogleChartsFlux } = loadGoogleChartsFlux();
+
+/** Livewire stand-in holding component properties. */
+function wire(properties) {
+    const watchers = {};
+    return {
+        properties,
+        sets: [],
+        get: name => properties[name],
+        set(name, value, live) {
+            this.sets.push({ name, value: JSON.parse(JSON.stringify(value)), live });
+            properties[name] = value;
+        },
+        $watch: (name, callback) => { watchers[name] = callback; },
+        change(name, value) {
+            properties[name] = value;
+            watchers[name](value);
+        },
+    };
+}
+
+/** A drawn chart: _drawnData is normally set by draw(). */
+function drawnChart(config, data = [['Region', 'Sales'], ['North', 10], ['South', 20], ['East', 30]]) {
+    const chart = makeChart(googleChart, { data, selectionKey: 'Region', ...config });
+    chart.chart = new Chart(chart.$el);
+    chart.registerEvents();
+    chart.buildDataTable();
+    chart._drawnData = chart.dataTable;
+    chart.draw = () => { chart._drawnData = chart.drawData(); };
+    return chart;
+}
+
+function selectedRows(chart) {
+    return Array.from(chart.chart.getSelection(), item => item.row);
+}
+
+function trigger(chart, name, event) {
+    (chart.chart.listeners[name] || []).forEach(handler => handler(event));
+}
+
+function userSelects(chart, selection) {
+    chart.chart.setSelection(selection);
+    trigger(chart, 'select');
+}
+
+test('the bound property selects rows by key, now and when it changes', () => {
+    const $wire = wire({ region: 'South' });
+    const chart = drawnChart({ selectionProp: 'region' });
+    chart.$wire = $wire;
+
+    chart.setupSelection();
+    assert.deepStrictEqual(selectedRows(chart), [1]);
+
+    $wire.change('region', ['North', { key: 'East', column: 'Sales' }]);
+    assert.deepStrictEqual(Array.from(chart.chart.getSelection(), item => ({ ...item })), [{ row: 0, column: null }, { row: 2, column: 1 }]);
+    assert.strictEqual($wire.sets.length, 0);
+});
+
+test('user selections are written back by key in the bound shape', () => {
+    const $wire = wire({ region: null, regions: [] });
+    const single = drawnChart({ selectionProp: 'region', selectionLive: true });
+    const multiple = drawnChart({ selectionProp: 'regions' });
+    single.$wire = $wire;
+    multiple.$wire = $wire;
+    single.setupSelection();
+    multiple.setupSelection();
+
+    userSelects(single, [{ row: 2, column: 1 }]);
+    userSelects(multiple, [{ row: 1, column: null }]);
+
+    assert.deepStrictEqual($wire.sets, [
+        { name: 'region', value: { key: 'East', column: 'Sales' }, live: true },
+        { name: 'regions', value: ['South'], live: false },
+    ]);
+});
+
+test('the selection follows its row key across data updates', async () => {
+    const chart = drawnChart({});
+    chart.select('South');
+    assert.deepStrictEqual(selectedRows(chart), [1]);
+
+    await chart.updateData([['Region', 'Sales'], ['South', 25], ['West', 5]]);
+    trigger(chart, 'ready');
+
+    assert.deepStrictEqual(selectedRows(chart), [0]);
+});
+
+test('clearSelection empties the selection and the bound property', () => {
+    const $wire = wire({ region: 'North' });
+    const chart = drawnChart({ selectionProp: 'region' });
+    chart.$wire = $wire;
+    chart.setupSelection();
+
+    chart.clearSelection();
+
+    assert.deepStrictEqual(selectedRows(chart), []);
+    assert.deepStrictEqual($wire.sets, [{ name: 'region', value: null, live: false }]);
+});
+
+test('charts in a group share selections and hover highlights by key', () => {
+    const line = drawnChart({ group: 'regions' });
+    const table = drawnChart({ group: 'regions', type: 'table' }, [['Region', 'Sales'], ['East', 30], ['North', 10], ['South', 20]]);
+    const other = drawnChart({ group: 'other' });
+    GoogleChartsFlux.groups.join('regions', line);
+    GoogleChartsFlux.groups.join('regions', table);
+    GoogleChartsFlux.groups.join('other', other);
+
+    userSelects(line, [{ row: 0, column: 1 }]);
+    assert.deepStrictEqual(selectedRows(table), [1]);
+    assert.deepStrictEqual(selectedRows(other), []);
+
+    trigger(line, 'onmouseover', { row: 2, column: 1 });
+    assert.deepStrictEqual(selectedRows(table), [0]);
+
+    trigger(line, 'onmouseout', { row: 2, column: 1 });
+    assert.deepStrictEqual(selectedRows(table), [1]);
+
+    table.destroy();
+    userSelects(line, [{ row: 2, column: 1 }]);
+    assert.deepStrictEqual(selectedRows(table), [1]);
+    other.destroy();
+    line.destroy();
+});
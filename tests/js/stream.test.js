@@ -0,0 +1,88 @@
+// Streamed points and the stream window. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+const header = [{ label: 'Time', type: 'datetime' }, { label: 'CPU', type: 'number' }];
+
+function streamingChart(config) {
+    const chart = makeChart(googleChart, config);
+    chart.buildDataTable();
+    chart.draw = () => { chart.draws = (chart.draws || 0) + 1; };
+    return chart;
+}
+
+function times(chart) {
+    return Array.from({ length: chart.dataTable.getNumberOfRows() }, (_, r) => chart.dataTable.getValue(r, 0).toISOString());
+}
+
+test('points stream into a header row with typed columns', () => {
+    const chart = streamingChart({ data: [header], stream: { max: null, span: null, fps: 10 } });
+
+    chart.pushPoints(['2024-01-01T10:00:00Z', 12]);
+    chart.pushPoints([['2024-01-01T10:00:01Z', 15], ['2024-01-01T10:00:02Z', 11]]);
+
+    assert.deepStrictEqual(times(chart), ['2024-01-01T10:00:00.000Z', '2024-01-01T10:00:01.000Z', '2024-01-01T10:00:02.000Z']);
+    assert.strictEqual(chart.dataTable.getValue(1, 1), 15);
+});
+
+test('points stream into declared columns without data', () => {
+    const chart = streamingChart({
+        columns: [{ type: 'datetime', label: 'Time' }, { type: 'number', label: 'CPU' }],
+        stream: { max: null, span: null, fps: 10 },
+    });
+
+    chart.pushPoints(['2024-01-01T10:00:00Z', 12]);
+
+    assert.strictEqual(chart.dataTable.getNumberOfRows(), 1);
+    assert.strictEqual(chart.dataTable.getColumnLabel(1), 'CPU');
+});
+
+test('points without columns to stream into are dropped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = streamingChart({ data: [], stream: { max: null, span: null, fps: 10 } });
+
+    chart.pushPoints(['2024-01-01T10:00:00Z', 12]);
+
+    assert.strictEqual(chart.dataTable, null);
+    assert.match(warn.mock.calls[0].arguments[0], /pushPoints: the chart has no columns to stream into/);
+});
+
+test('malformed points are rejected with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = streamingChart({ data: [header], stream: { max: null, span: null, fps: 10 } });
+
+    chart.pushPoints(['2024-01-01T10:00:00Z']);
+    chart.pushPoints(['2024-01-01T10:00:00Z', 'high']);
+
+    assert.strictEqual(chart.dataTable.getNumberOfRows(), 0);
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test('max keeps the newest rows', () => {
+    const chart = streamingChart({ data: [header], stream: { max: 2, span: null, fps: 10 } });
+
+    chart.pushPoints([['2024-01-01T10:00:00Z', 1], ['2024-01-01T10:00:01Z', 2], ['2024-01-01T10:00:02Z', 3]]);
+
+    assert.deepStrictEqual(times(chart), ['2024-01-01T10:00:01.000Z', '2024-01-01T10:00:02.000Z']);
+});
+
+test('span drops rows older than the span before the newest', () => {
+    const chart = streamingChart({ data: [header], stream: { max: null, span: 60_000, fps: 10 } });
+
+    chart.pushPoints([['2024-01-01T10:00:00Z', 1], ['2024-01-01T10:00:30Z', 2], ['2024-01-01T10:01:10Z', 3]]);
+
+    assert.deepStrictEqual(times(chart), ['2024-01-01T10:00:30.000Z', '2024-01-01T10:01:10.000Z']);
+});
+
+test('points arriving between frames are drawn together', async () => {
+    const chart = streamingChart({ data: [header], stream: { max: null, span: null, fps: 50 } });
+
+    chart.pushPoints(['2024-01-01T10:00:00Z', 1]);
+    chart.pushPoints(['2024-01-01T10:00:01Z', 2]);
+    chart.pushPoints(['2024-01-01T10:00:02Z', 3]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(chart.draws, 1);
+});
@@ -0,0 +1,477 @@
+// Shared stand-ins for the browser, Alpine and Google Charts used by the
+// tests in this directory. Only the parts the component touches exist.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../resources/js/google-charts-flux.js'), 'utf8');
+
+/**
+ * Dates made by the component come from the script's own context, so
+ * instanceof Date does not recognize them.
+ */
+function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Normalize a cell given to addRows()/setCell() to {v, f, p}.
+ */
+function toCell(cell) {
+    if (cell !== null && typeof cell === 'object' && !isDate(cell) && !Array.isArray(cell)) {
+        return { v: cell.v ?? null, f: cell.f ?? null, p: cell.p || {} };
+    }
+    return { v: cell ?? null, f: null, p: {} };
+}
+
+/**
+ * Check a value against a column type the way Google's DataTable does.
+ */
+function checkType(value, type) {
+    if (value === null) return;
+    const ok = {
+        number: typeof value === 'number',
+        string: typeof value === 'string',
+        boolean: typeof value === 'boolean',
+        date: isDate(value),
+        datetime: isDate(value),
+        timeofday: Array.isArray(value),
+    }[type];
+    if (ok === false) {
+        throw new Error(`Type mismatch. Value ${value} does not match type ${type}`);
+    }
+}
+
+/**
+ * Rows matching every filter, with getFilteredRows() semantics: a filter
+ * has a column and either a value or a minValue/maxValue range.
+ */
+function filteredRows(table, filters) {
+    const rows = [];
+    for (let r = 0; r < table.getNumberOfRows(); r++) {
+        const matches = filters.every(({ column, value, minValue, maxValue }) => {
+            const cell = table.getValue(r, column);
+            if (value !== undefined) return cell === value;
+            return cell !== null && (minValue === undefined || cell >= minValue) && (maxValue === undefined || cell <= maxValue);
+        });
+        if (matches) rows.push(r);
+    }
+    return rows;
+}
+
+/**
+ * Minimal stand-in for google.visualization.DataTable: cells keep their
+ * value, explicit formatted value and properties, and invalid indices,
+ * row sizes and types throw like Google's.
+ */
+class DataTable {
+    constructor(literal) {
+        this.cols = [];
+        this.rows = [];
+        this.setCellCalls = 0;
+        if (literal) {
+            literal.cols.forEach(col => this.addColumn(col));
+            this.addRows(literal.rows.map(row => row.c.map(cell => cell ?? null)));
+        }
+    }
+
+    addColumn(descriptor, label, id) {
+        const col = typeof descriptor === 'object' ? { ...descriptor } : { type: descriptor, label, id };
+        if (col.role) {
+            col.p = { ...(col.p || {}), role: col.role };
+        }
+        this.cols.push(col);
+        this.rows.forEach(row => row.push(toCell(null)));
+        return this.cols.length - 1;
+    }
+
+    insertColumn(index, type, label, id) {
+        this.cols.splice(index, 0, { type, label, id });
+        this.rows.forEach(row => row.splice(index, 0, toCell(null)));
+    }
+
+    addRows(rows) {
+        for (const row of rows) {
+            if (row.length !== this.cols.length) {
+                throw new Error(`Row given with size different than ${this.cols.length} (the number of columns in the table).`);
+            }
+            const cells = row.map(toCell);
+            cells.forEach((cell, c) => checkType(cell.v, this.cols[c].type));
+            this.rows.push(cells);
+        }
+        return this.rows.length - 1;
+    }
+
+    addRow(row) {
+        return this.addRows([row]);
+    }
+
+    removeRows(from, count) {
+        this.rows.splice(from, count);
+    }
+
+    checkCell(r, c) {
+        if (!Number.isInteger(r) || r < 0 || r >= this.rows.length) {
+            throw new Error(`Invalid row index ${r}. Should be in the range [0-${this.rows.length - 1}].`);
+        }
+        if (!Number.isInteger(c) || c < 0 || c >= this.cols.length) {
+            throw new Error(`Invalid column index ${c}. Should be an integer in the range [0-${this.cols.length - 1}].`);
+        }
+    }
+
+    getNumberOfColumns() { return this.cols.length; }
+    getNumberOfRows() { return this.rows.length; }
+    getColumnLabel(c) { return this.cols[c].label || ''; }
+    getColumnId(c) { return this.cols[c].id || ''; }
+    getColumnType(c) { return this.cols[c].type; }
+    getColumnPattern(c) { return this.cols[c].pattern || null; }
+    getColumnRole(c) { return this.cols[c].p?.role || ''; }
+    getColumnProperties(c) { return this.cols[c].p || {}; }
+    getColumnProperty(c, name) { return this.cols[c].p?.[name] ?? null; }
+    setColumnProperties(c, p) { this.cols[c].p = { ...p }; }
+    setColumnProperty(c, name, value) { this.cols[c].p = { ...(this.cols[c].p || {}), [name]: value }; }
+
+    getValue(r, c) {
+        this.checkCell(r, c);
+        return this.rows[r][c].v;
+    }
+
+    getFormattedValue(r, c) {
+        this.checkCell(r, c);
+        const { v, f } = this.rows[r][c];
+        return f ?? (v === null ? '' : String(v));
+    }
+
+    getProperties(r, c) {
+        this.checkCell(r, c);
+        return this.rows[r][c].p;
+    }
+
+    setFormattedValue(r, c, f) {
+        this.checkCell(r, c);
+        this.rows[r][c].f = f;
+    }
+
+    setValue(r, c, v) {
+        this.checkCell(r, c);
+        checkType(v, this.cols[c].type);
+        this.rows[r][c] = { ...this.rows[r][c], v, f: null };
+    }
+
+    setCell(r, c, v, f, p) {
+        this.checkCell(r, c);
+        checkType(v ?? null, this.cols[c].type);
+        this.setCellCalls++;
+        this.rows[r][c] = { v: v ?? null, f: f ?? null, p: p || {} };
+    }
+
+    getDistinctValues(c) {
+        return [...new Set(this.rows.map(row => row[c].v))].sort();
+    }
+
+    getFilteredRows(filters) {
+        return filteredRows(this, filters);
+    }
+
+    clone() {
+        const copy = new DataTable();
+        copy.cols = this.cols.map(col => ({ ...col, p: col.p && { ...col.p } }));
+        copy.rows = this.rows.map(row => row.map(cell => ({ ...cell, p: { ...cell.p } })));
+        return copy;
+    }
+}
+
+/**
+ * Minimal stand-in for google.visualization.DataView: row and column
+ * selections, including calculated columns.
+ */
+class DataView {
+    constructor(table) {
+        this.table = table;
+        this.columns = null;
+        this.rowIndexes = null;
+    }
+
+    setColumns(columns) { this.columns = columns; }
+    setRows(rows) { this.rowIndexes = rows; }
+    getViewRows() { return this.rowIndexes ?? Array.from({ length: this.table.getNumberOfRows() }, (_, r) => r); }
+    getTableRowIndex(r) { return this.getViewRows()[r]; }
+    column(c) { return this.columns ? this.columns[c] : c; }
+    getNumberOfRows() { return this.getViewRows().length; }
+    getNumberOfColumns() { return this.columns ? this.columns.length : this.table.getNumberOfColumns(); }
+
+    describe(c, key, fallback) {
+        const column = this.column(c);
+        return typeof column === 'number' ? this.table[fallback](column) : column[key];
+    }
+
+    getColumnLabel(c) { return this.describe(c, 'label', 'getColumnLabel') || ''; }
+    getColumnId(c) { return this.describe(c, 'id', 'getColumnId') || ''; }
+    getColumnType(c) { return this.describe(c, 'type', 'getColumnType'); }
+    getColumnRole(c) { return this.describe(c, 'role', 'getColumnRole') || ''; }
+    getColumnProperties(c) { return typeof this.column(c) === 'number' ? this.table.getColumnProperties(this.column(c)) : {}; }
+    getColumnProperty(c, name) { return this.getColumnProperties(c)[name] ?? null; }
+
+    /** A calculated cell as {v, f}; calc may return either form. */
+    calculated(r, c) {
+        const cell = this.column(c).calc(this.table, this.getTableRowIndex(r));
+        return cell !== null && typeof cell === 'object' && !isDate(cell) ? cell : { v: cell, f: null };
+    }
+
+    getValue(r, c) {
+        const column = this.column(c);
+        return typeof column === 'number' ? this.table.getValue(this.getTableRowIndex(r), column) : this.calculated(r, c).v;
+    }
+
+    getFormattedValue(r, c) {
+        const column = this.column(c);
+        if (typeof column === 'number') return this.table.getFormattedValue(this.getTableRowIndex(r), column);
+        const { v, f } = this.calculated(r, c);
+        return f ?? (v === null ? '' : String(v));
+    }
+
+    getProperties(r, c) {
+        const column = this.column(c);
+        return typeof column === 'number' ? this.table.getProperties(this.getTableRowIndex(r), column) : {};
+    }
+
+    getFilteredRows(filters) {
+        return filteredRows(this, filters);
+    }
+
+    toDataTable() {
+        const table = new DataTable();
+        for (let c = 0; c < this.getNumberOfColumns(); c++) {
+            const role = this.getColumnRole(c);
+            table.addColumn({ type: this.getColumnType(c), label: this.getColumnLabel(c), id: this.getColumnId(c), ...(role ? { role } : {}) });
+        }
+        for (let r = 0; r < this.getNumberOfRows(); r++) {
+            table.addRow(Array.from({ length: this.getNumberOfColumns() }, (_, c) => ({
+                v: this.getValue(r, c),
+                f: this.getFormattedValue(r, c),
+                p: this.getProperties(r, c),
+            })));
+        }
+        return table;
+    }
+}
+
+/**
+ * Infer a column type from the first non-null value, like
+ * google.visualization.arrayToDataTable.
+ */
+function inferType(rows, c) {
+    const value = rows.map(row => row[c]).find(v => v !== null && v !== undefined);
+    const raw = value !== null && typeof value === 'object' && !isDate(value) && !Array.isArray(value) ? value.v : value;
+    if (typeof raw === 'number') return 'number';
+    if (typeof raw === 'boolean') return 'boolean';
+    if (isDate(raw)) return 'date';
+    if (Array.isArray(raw)) return 'timeofday';
+    return 'string';
+}
+
+function arrayToDataTable([header, ...rows]) {
+    const table = new DataTable();
+    header.forEach((h, c) => table.addColumn(h !== null && typeof h === 'object'
+        ? { type: inferType(rows, c), ...h }
+        : { type: inferType(rows, c), label: h }));
+    table.addRows(rows);
+    return table;
+}
+
+/** Prefixes number cells, like NumberFormat with a prefix option. */
+class NumberFormat {
+    constructor(options) { this.prefix = options.prefix || ''; }
+
+    format(table, column) {
+        for (let r = 0; r < table.getNumberOfRows(); r++) {
+            const value = table.getValue(r, column);
+            if (value !== null) table.setFormattedValue(r, column, this.prefix + value);
+        }
+    }
+}
+
+/**
+ * Records listeners so tests can trigger chart events.
+ */
+const events = {
+    addListener(target, name, handler) {
+        target.listeners = target.listeners || {};
+        (target.listeners[name] = target.listeners[name] || []).push(handler);
+        return { target, name, handler };
+    },
+    addOneTimeListener(target, name, handler) {
+        return events.addListener(target, name, handler);
+    },
+    removeListener({ target, name, handler }) {
+        target.listeners[name] = (target.listeners?.[name] || []).filter(h => h !== handler);
+    },
+    removeAllListeners(target) {
+        target.listeners = {};
+    },
+    trigger(target, name, event) {
+        (target.listeners?.[name] || []).forEach(handler => handler(event));
+    },
+};
+
+/**
+ * Chart stand-in that records draws, keeps its selection and fires
+ * 'ready' after each draw. Chart.drawing counts draws not yet ready.
+ */
+class Chart {
+    constructor(container) {
+        this.container = container;
+        this.draws = [];
+        this.selection = [];
+    }
+
+    draw(data, options) {
+        this.draws.push({ data, options });
+        Chart.drawing++;
+        Chart.maxDrawing = Math.max(Chart.maxDrawing, Chart.drawing);
+        Promise.resolve().then(() => {
+            Chart.drawing--;
+            events.trigger(this, 'ready');
+        });
+    }
+
+    getSelection() { return this.selection; }
+    setSelection(selection) { this.selection = selection || []; }
+    clearChart() {}
+
+    getImageURI() {
+        const { options } = this.draws[this.draws.length - 1];
+        return `data:image/png;base64,${options.backgroundColor}`;
+    }
+}
+Chart.drawing = 0;
+Chart.maxDrawing = 0;
+
+/**
+ * Bare element stand-in for a component's $el.
+ */
+class Element {
+    constructor() {
+        this.dispatched = [];
+        this.classList = { contains: () => false, add() {}, remove() {} };
+        this.dataset = {};
+        this.style = {};
+        this.parentElement = null;
+    }
+
+    querySelector() { return null; }
+    querySelectorAll() { return []; }
+    dispatchEvent(event) { this.dispatched.push(event); }
+    addEventListener() {}
+    removeEventListener() {}
+    appendChild(child) { return child; }
+    remove() {}
+    getBoundingClientRect() { return { width: 600, height: 400 }; }
+    closest() { return null; }
+}
+
+/**
+ * Load the component script in a fresh context and return its Alpine
+ * component factories, the public GoogleChartsFlux object and the context.
+ *
+ * @param {Object} [globals] - Extra or replaced globals (Flux, Livewire, ...)
+ */
+function loadGoogleChartsFlux(globals = {}) {
+    const factories = {};
+    const documentElement = new Element();
+    const sandbox = {
+        window: {},
+        document: {
+            documentElement,
+            body: new Element(),
+            head: new Element(),
+            hidden: false,
+            addEventListener() {},
+            removeEventListener() {},
+            dispatchEvent() {},
+            createElement: () => new Element(),
+            querySelector: () => null,
+            querySelectorAll: () => [],
+        },
+        Alpine: { data: (name, factory) => { factories[name] = factory; } },
+        google: {
+            visualization: {
+                DataTable,
+                DataView,
+                NumberFormat,
+                arrayToDataTable,
+                events,
+                LineChart: Chart,
+                ColumnChart: Chart,
+                PieChart: Chart,
+            },
+        },
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        getComputedStyle: () => ({ getPropertyValue: () => '' }),
+        setTimeout,
+        clearTimeout,
+        performance,
+        console,
+        ...globals,
+    };
+    vm.runInNewContext(SOURCE, sandbox);
+
+    return { ...factories, GoogleChartsFlux: sandbox.window.GoogleChartsFlux, sandbox };
+}
+
+/**
+ * Create a chart component with the config defaults of chart.blade.php
+ * and a bare element. The component is not initialized.
+ *
+ * @param {Function} factory - The googleChart factory
+ * @param {Object} [config]
+ */
+function makeChart(factory, config = {}) {
+    const component = factory({
+        type: 'line',
+        data: null,
+        src: null,
+        options: {},
+        defaults: {},
+        darkOptions: {},
+        responsive: {},
+        breakpoints: {},
+        theme: null,
+        description: null,
+        events: [],
+        columns: [],
+        rows: [],
+        seriesConfig: [],
+        axisConfig: [],
+        formats: [],
+        views: [],
+        drilldown: null,
+        tooltips: [],
+        emptyMessage: 'No data',
+        stream: null,
+        referenceLines: [],
+        bands: [],
+        aggregate: null,
+        dataFormats: [],
+        loaderConfig: {},
+        wireModelProp: null,
+        loading: 'none',
+        lazy: false,
+        toggleable: false,
+        selectionProp: null,
+        selectionLive: false,
+        selectionKey: null,
+        group: null,
+        otherBreakdown: null,
+        ...config,
+    });
+    component.$el = new Element();
+    return component;
+}
+
+module.exports = { DataTable, DataView, Chart, Element, isDate, loadGoogleChartsFlux, makeChart };
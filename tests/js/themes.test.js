@@ -0,0 +1,98 @@
+// Named themes and CSS variable tokens. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Element, loadGoogleChartsFlux, makeChart } = require('./support');
+
+/** Colors the canvas stand-in understands, with their painted pixel. */
+const PAINTED = { '#3366ff': [0x33, 0x66, 0xff, 255], 'oklch(0.6 0.2 250)': [0x33, 0x66, 0xff, 255], red: [255, 0, 0, 255] };
+
+/**
+ * 2D context stand-in: fillStyle ignores colors it cannot parse, like a
+ * browser's, and fillRect() paints the current color.
+ */
+function canvas() {
+    let fill = '#000000';
+    let pixel = null;
+    const context = {
+        get fillStyle() { return fill; },
+        set fillStyle(color) {
+            if (color in PAINTED || /^#[0-9a-f]{6}$/.test(color)) fill = color;
+        },
+        clearRect() {},
+        fillRect() { pixel = PAINTED[fill] || [0, 0, 0, 255]; },
+        getImageData: () => ({ data: pixel }),
+    };
+    const element = new Element();
+    element.getContext = () => context;
+    return element;
+}
+
+function themedPage(variables = {}) {
+    const loaded = loadGoogleChartsFlux({
+        Flux: { dark: false },
+        getComputedStyle: () => ({ getPropertyValue: name => variables[name] ?? '' }),
+    });
+    loaded.sandbox.document.createElement = tag => (tag === 'canvas' ? canvas() : new Element());
+    return loaded;
+}
+
+test('a theme goes under chart options, its dark variant over the dark options', () => {
+    const { googleChart, GoogleChartsFlux, sandbox } = themedPage();
+    GoogleChartsFlux.themes.register('brand', {
+        light: { colors: ['#111111'], legend: { position: 'bottom' } },
+        dark: { backgroundColor: '#222222' },
+    });
+    const chart = makeChart(googleChart, {
+        options: { legend: { position: 'top' } },
+        darkOptions: { backgroundColor: '#000000', colors: ['#ffffff'] },
+    });
+    chart._theme = 'brand';
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(chart.buildOptions())), { colors: ['#111111'], legend: { position: 'top' } });
+
+    sandbox.Flux.dark = true;
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(chart.buildOptions())), {
+        colors: ['#ffffff'],
+        legend: { position: 'top' },
+        backgroundColor: '#222222',
+    });
+});
+
+test('var() tokens resolve from computed styles to hex colors', () => {
+    const { googleChart } = themedPage({ '--color-accent': 'oklch(0.6 0.2 250)', '--color-zinc-500': ' #3366ff ' });
+    const chart = makeChart(googleChart, {
+        options: {
+            colors: ['var(--color-accent)', 'var(--color-missing, red)', 'var(--color-zinc-500)'],
+            titleTextStyle: { color: 'var(--color-unknown)' },
+            title: 'Sales',
+        },
+    });
+
+    const options = chart.buildOptions();
+
+    assert.deepStrictEqual([...options.colors], ['#3366ff', '#ff0000', '#3366ff']);
+    assert.strictEqual(options.titleTextStyle.color, '');
+    assert.strictEqual(options.title, 'Sales');
+});
+
+test('re-registering a theme announces it and charts redraw only on changes', () => {
+    const { googleChart, GoogleChartsFlux, sandbox } = themedPage();
+    const announced = [];
+    sandbox.document.dispatchEvent = event => announced.push(event.detail.name);
+    GoogleChartsFlux.themes.register('brand', { light: { colors: ['#111111'] } });
+    const chart = makeChart(googleChart);
+    chart._theme = 'brand';
+    chart.draws = 0;
+    chart.draw = () => { chart.draws++; };
+    chart._appearance = chart.appearanceKey();
+
+    GoogleChartsFlux.themes.register('brand', { light: { colors: ['#111111'] } });
+    chart.onAppearanceChange();
+    assert.deepStrictEqual(announced, []);
+    assert.strictEqual(chart.draws, 0);
+
+    GoogleChartsFlux.themes.register('brand', { light: { colors: ['#333333'] } });
+    chart.onAppearanceChange();
+    assert.deepStrictEqual(announced, ['brand']);
+    assert.strictEqual(chart.draws, 1);
+});
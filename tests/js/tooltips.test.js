@@ -0,0 +1,95 @@
+// Rendered tooltips and their mini charts. Run with: node --test tests/js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Chart, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart, sandbox } = loadGoogleChartsFlux({ Flux: { dark: false } });
+
+const tooltip = {
+    series: null,
+    rows: null,
+    key: null,
+    title: null,
+    chart: 'pie',
+    charts: {
+        Jan: [['Region', 'Sales'], ['North', 60], ['South', 40]],
+        Feb: [['Region', 'Sales'], ['North', 30], ['South', 70]],
+    },
+    chartOptions: {},
+    chartWidth: 100,
+    chartHeight: 50,
+    listItems: false,
+    html: '',
+};
+
+function chartWithTooltips() {
+    return makeChart(googleChart, {
+        type: 'column',
+        data: [['Month', 'Sales'], ['Jan', 100], ['Feb', 200]],
+        darkOptions: { backgroundColor: 'dark' },
+        tooltips: [tooltip],
+    });
+}
+
+function tooltipHtml(table) {
+    return [table.getValue(0, 2), table.getValue(1, 2)];
+}
+
+beforeEach(() => {
+    sandbox.Flux.dark = false;
+});
+
+test('tooltips get the mini chart of their row', async () => {
+    const chart = chartWithTooltips();
+    chart.buildDataTable();
+
+    const [jan, feb] = tooltipHtml(await chart.withTooltips(chart.dataTable));
+
+    assert.match(jan, /<img src="data:image\/png;base64,transparent"/);
+    assert.match(jan, /Sales: <strong>100<\/strong>/);
+    assert.match(feb, /Sales: <strong>200<\/strong>/);
+});
+
+test('mini charts render concurrently', async () => {
+    const chart = chartWithTooltips();
+    chart.buildDataTable();
+    Chart.maxDrawing = 0;
+
+    await chart.withTooltips(chart.dataTable);
+
+    assert.strictEqual(Chart.maxDrawing, 2);
+});
+
+test('redraws without appearance changes reuse rendered tooltips', async () => {
+    const chart = chartWithTooltips();
+    chart.buildDataTable();
+    const first = tooltipHtml(await chart.withTooltips(chart.dataTable));
+    Chart.maxDrawing = 0;
+
+    const second = tooltipHtml(await chart.withTooltips(chart.dataTable));
+
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(Chart.maxDrawing, 0);
+});
+
+test('dark mode re-renders tooltips with dark mini charts', async () => {
+    const chart = chartWithTooltips();
+    chart.buildDataTable();
+    await chart.withTooltips(chart.dataTable);
+
+    sandbox.Flux.dark = true;
+    const [jan] = tooltipHtml(await chart.withTooltips(chart.dataTable));
+
+    assert.match(jan, /<img src="data:image\/png;base64,dark"/);
+});
+
+test('data changes re-render tooltips', async () => {
+    const chart = chartWithTooltips();
+    chart.buildDataTable();
+    await chart.withTooltips(chart.dataTable);
+
+    await chart.applyData([['Month', 'Sales'], ['Jan', 150], ['Feb', 200]]);
+    const [jan] = tooltipHtml(await chart.withTooltips(chart.dataTable));
+
+    assert.match(jan, /Sales: <strong>150<\/strong>/);
+});
@@ -0,0 +1,70 @@
+// Reviving dates and times of day from their JSON form. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isDate, loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+
+function chartWith(data) {
+    const chart = makeChart(googleChart, { data });
+    chart.buildDataTable();
+    chart.draw = () => {};
+    return chart;
+}
+
+function localParts(date) {
+    assert.ok(isDate(date), `${date} is not a Date`);
+    return [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()];
+}
+
+test('Google Date(...) strings are revived in any column', () => {
+    const chart = chartWith([
+        ['Day', 'At'],
+        ['Date(2024, 0, 31)', 'Date(2024, 1, 5, 10, 30, 15, 250)'],
+    ]);
+
+    assert.deepStrictEqual(localParts(chart.dataTable.getValue(0, 0)), [2024, 0, 31, 0, 0, 0, 0]);
+    assert.deepStrictEqual(localParts(chart.dataTable.getValue(0, 1)), [2024, 1, 5, 10, 30, 15, 250]);
+});
+
+test('ISO strings are revived in typed date and datetime columns', () => {
+    const chart = chartWith([
+        [{ label: 'Day', type: 'date' }, { label: 'At', type: 'datetime' }, 'Note'],
+        ['2024-03-05', '2024-03-05T10:30:00Z', '2024-03-05'],
+    ]);
+
+    assert.deepStrictEqual(localParts(chart.dataTable.getValue(0, 0)), [2024, 2, 5, 0, 0, 0, 0]);
+    assert.strictEqual(chart.dataTable.getValue(0, 1).toISOString(), '2024-03-05T10:30:00.000Z');
+    assert.strictEqual(chart.dataTable.getValue(0, 2), '2024-03-05');
+});
+
+test('times of day are revived to [h, m, s, ms] arrays', () => {
+    const chart = chartWith([
+        [{ label: 'Start', type: 'timeofday' }],
+        ['13:45'],
+        ['13:45:30.25'],
+        [[8, 15, 0, 0]],
+        [null],
+    ]);
+
+    const values = [0, 1, 2, 3].map(r => chart.dataTable.getValue(r, 0));
+    assert.deepStrictEqual(values.map(v => (v ? [...v] : v)), [[13, 45, 0, 0], [13, 45, 30, 250], [8, 15, 0, 0], null]);
+});
+
+test('unparseable strings are left for the DataTable to reject', () => {
+    assert.throws(() => chartWith([[{ label: 'Day', type: 'date' }], ['soon']]), /Type mismatch/);
+});
+
+test('appended rows and patched cells are revived by column type', () => {
+    const chart = chartWith([
+        [{ label: 'Day', type: 'date' }, { label: 'Start', type: 'timeofday' }],
+        ['2024-03-05', '09:00'],
+    ]);
+
+    chart.appendRows([['Date(2024, 2, 6)', '10:30']]);
+    chart.patchCells([{ row: 0, column: 'Start', value: '09:15:20' }]);
+
+    assert.deepStrictEqual(localParts(chart.dataTable.getValue(1, 0)), [2024, 2, 6, 0, 0, 0, 0]);
+    assert.deepStrictEqual([...chart.dataTable.getValue(1, 1)], [10, 30, 0, 0]);
+    assert.deepStrictEqual([...chart.dataTable.getValue(0, 1)], [9, 15, 20, 0]);
+});
@@ -0,0 +1,83 @@
+// Declarative data views. Run with: node --test tests/js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadGoogleChartsFlux, makeChart } = require('./support');
+
+const { googleChart } = loadGoogleChartsFlux();
+const data = [
+    ['Region', { label: 'Revenue', id: 'revenue', type: 'number' }, 'Cost'],
+    ['North', 100, 40],
+    ['South', 50, 50],
+    ['East', 50, null],
+];
+
+function viewChart(views) {
+    const chart = makeChart(googleChart, { data, views });
+    chart.parseSubComponents();
+    chart.buildDataTable();
+    chart.draw = () => { chart.draws = (chart.draws || 0) + 1; };
+    return chart;
+}
+
+function drawn(chart, formatted = false) {
+    const view = chart.drawData();
+    const get = formatted ? 'getFormattedValue' : 'getValue';
+    const labels = Array.from({ length: view.getNumberOfColumns() }, (_, c) => view.getColumnLabel(c));
+    return [labels, ...Array.from({ length: view.getNumberOfRows() }, (_, r) => labels.map((_, c) => view[get](r, c)))];
+}
+
+test('the first view selects columns by index, id or label', () => {
+    const chart = viewChart([{ name: 'revenue', columns: [0, 'revenue'] }, { name: 'cost', columns: ['Region', 'Cost'] }]);
+
+    assert.deepStrictEqual(drawn(chart), [['Region', 'Revenue'], ['North', 100], ['South', 50], ['East', 50]]);
+});
+
+test('calculated columns run the named calculations', () => {
+    const chart = viewChart([{
+        columns: [
+            'Region',
+            { calc: 'difference', columns: ['Revenue', 'Cost'], label: 'Profit' },
+            { calc: 'ratio', columns: ['Cost', 'Revenue'] },
+            { calc: 'percentOfTotal', columns: ['Revenue'], label: 'Share', decimals: 1 },
+        ],
+    }]);
+
+    assert.deepStrictEqual(drawn(chart, true), [
+        ['Region', 'Profit', 'ratio', 'Share'],
+        ['North', '60', '0.4', '50.0'],
+        ['South', '0', '1', '25.0'],
+        ['East', '', '', '25.0'],
+    ]);
+});
+
+test('filters keep matching rows before percentages are taken', () => {
+    const chart = viewChart([{
+        columns: ['Region', { calc: 'percentOfTotal', columns: ['Revenue'], label: 'Share' }],
+        filters: [{ column: 'Revenue', minValue: 50, maxValue: 60 }],
+    }]);
+
+    assert.deepStrictEqual(drawn(chart), [['Region', 'Share'], ['South', 50], ['East', 50]]);
+});
+
+test('unknown columns and calculations are reported', () => {
+    assert.throws(() => viewChart([{ columns: ['Profit'] }]).drawData(), /Unknown column "Profit" in <x-google-chart.view>/);
+    assert.throws(() => viewChart([{ columns: [{ calc: 'eval', columns: [1] }] }]).drawData(), /Unknown calculation "eval"/);
+});
+
+test('setView switches views client-side', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const chart = viewChart([{ name: 'revenue', columns: [0, 1] }, { name: 'cost', columns: [0, 2] }]);
+
+    chart.setView('cost');
+    assert.deepStrictEqual(drawn(chart)[0], ['Region', 'Cost']);
+
+    chart.setView({ columns: [2] });
+    assert.deepStrictEqual(drawn(chart)[0], ['Cost']);
+
+    chart.setView(null);
+    assert.deepStrictEqual(drawn(chart)[0], ['Region', 'Revenue', 'Cost']);
+
+    chart.setView('profit');
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown view "profit"/);
+    assert.strictEqual(chart.draws, 3);
+});